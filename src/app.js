@@ -10,6 +10,13 @@ import { CustomerManager } from './customerManager.js';
 import { FilterManager } from './filterManager.js';
 import { PaginationManager } from './paginationManager.js';
 import { UIManager } from './uiManager.js';
+import { SimulatorManager } from './simulatorManager.js';
+import { ReportManager } from './reportManager.js';
+import { DataQualityManager } from './dataQualityManager.js';
+import { ImportManager } from './importManager.js';
+import { RequestClient } from './requestClient.js';
+import { RewardRules } from './rewardRules.js';
+import { CampaignEngine } from './campaignEngine.js';
 import { CONSTANTS } from './constants.js';
 
 /**
@@ -23,7 +30,13 @@ class App {
         this.filterManager = null;
         this.paginationManager = null;
         this.uiManager = null;
+        this.simulatorManager = null;
+        this.reportManager = null;
+        this.dataQualityManager = null;
+        this.importManager = null;
         this.isInitialized = false;
+        this.retryButtonBound = false;
+        this.isRefreshing = false;
     }
 
     /**
@@ -34,11 +47,26 @@ class App {
         try {
             logger.info('Initializing Rewards Program Calculator');
             
+            // Loading can fail before the other managers are set up, and the error state is shown through this one
+            if (!this.uiManager) {
+                this.uiManager = new UIManager();
+            }
+            
             // Show loading state
             this.showLoadingState();
             
-            // Load data
-            await this.loadData();
+            // Retry must work even when loading fails before the other listeners are set up
+            this.setupRetryButton();
+            
+            // Refuse to score anything with misconfigured reward rules; invalid campaigns are logged and skipped
+            RewardRules.getRuleVersions();
+            CampaignEngine.getCampaigns();
+            
+            // Serve data from the persistent cache instantly when available, otherwise wait for the data source
+            const restoredFromCache = await this.dataService.restoreFromPersistentCache();
+            if (!restoredFromCache) {
+                await this.loadData();
+            }
             
             // Initialize managers
             this.initializeManagers();
@@ -48,13 +76,19 @@ class App {
             
             // Hide loading and show main content
             this.showMainContent();
+            this.updateDataAsOf();
             
             this.isInitialized = true;
             logger.info('Application initialized successfully');
+
+            // Replace cached data with fresh data in the background
+            if (restoredFromCache) {
+                this.refreshData();
+            }
             
         } catch (error) {
             logger.error('Failed to initialize application:', error);
-            this.showErrorState(error.message);
+            this.showErrorState(error.message, RequestClient.isRetryable(error));
         }
     }
 
@@ -65,16 +99,17 @@ class App {
     async loadData() {
         try {
             console.log('Starting to load data...');
-            console.log('Loading customers...');
-            await this.dataService.loadCustomers();
-            console.log('Customers loaded, now loading transactions...');
-            await this.dataService.loadTransactions();
+            logger.info('Loading customers, transactions and redemptions');
+            await this.dataService.loadAllData();
             console.log('All data loaded successfully');
             logger.info('Data loaded successfully');
         } catch (error) {
             console.error('Error loading data:', error);
             logger.error('Failed to load data:', error);
-            throw new Error('Unable to load customer and transaction data. Please check your connection and try again.');
+            const message = RequestClient.isRetryable(error)
+                ? 'Unable to load customer, transaction and redemption data. Please check your connection and try again.'
+                : `Unable to load customer, transaction and redemption data. ${error.message}`;
+            throw new Error(message, { cause: error });
         }
     }
 
@@ -87,9 +122,14 @@ class App {
         this.customerManager = new CustomerManager(this.dataService, this.uiManager);
         this.filterManager = new FilterManager(this.uiManager);
         this.paginationManager = new PaginationManager(this.uiManager);
+        this.simulatorManager = new SimulatorManager(this.dataService, this.uiManager, this.customerManager);
+        this.reportManager = new ReportManager(this.dataService, this.uiManager, this.customerManager);
+        this.dataQualityManager = new DataQualityManager(this.dataService, this.uiManager);
+        this.importManager = new ImportManager(this.dataService, this.uiManager, () => this.showReloadedData());
         
         // Populate customer dropdown
         this.customerManager.populateCustomerDropdown();
+        this.dataQualityManager.updateIssueCount();
     }
 
     /**
@@ -97,12 +137,6 @@ class App {
      * @private
      */
     setupEventListeners() {
-        // Retry button
-        const retryBtn = document.getElementById('retryBtn');
-        if (retryBtn) {
-            retryBtn.addEventListener('click', () => this.handleRetry());
-        }
-
         // Customer selection
         const customerSelect = document.getElementById('customerSelect');
         if (customerSelect) {
@@ -126,6 +160,48 @@ class App {
         if (nextPageBtn) {
             nextPageBtn.addEventListener('click', () => this.handleNextPage());
         }
+
+        // Data refresh
+        const refreshDataBtn = document.getElementById('refreshData');
+        if (refreshDataBtn) {
+            refreshDataBtn.addEventListener('click', () => this.refreshData());
+        }
+
+        // CSV and statement import drop zone and file picker
+        this.importManager.setupDropZone();
+
+        // What-if simulator, liability report, data quality and import controls
+        const panelControls = {
+            toggleSimulator: () => this.simulatorManager.toggleSimulator(),
+            addSimulatorTier: () => this.simulatorManager.addTier(),
+            resetSimulator: () => this.simulatorManager.resetRules(),
+            runSimulation: () => this.simulatorManager.runSimulation(),
+            toggleReport: () => this.reportManager.toggleReport(),
+            exportReport: () => this.reportManager.exportReport(),
+            toggleDataQuality: () => this.dataQualityManager.toggleDataQuality(),
+            toggleImport: () => this.importManager.toggleImport(),
+            importStatements: () => this.importManager.importStatements(),
+            discardStatements: () => this.importManager.discardStatements()
+        };
+
+        Object.entries(panelControls).forEach(([elementId, handler]) => {
+            const element = document.getElementById(elementId);
+            if (element) {
+                element.addEventListener('click', handler);
+            }
+        });
+    }
+
+    /**
+     * Set up the retry button once, however often initialization is retried
+     * @private
+     */
+    setupRetryButton() {
+        const retryBtn = document.getElementById('retryBtn');
+        if (retryBtn && !this.retryButtonBound) {
+            retryBtn.addEventListener('click', () => this.handleRetry());
+            this.retryButtonBound = true;
+        }
     }
 
     /**
@@ -137,6 +213,69 @@ class App {
         await this.init();
     }
 
+    /**
+     * Reload data from the data source and redisplay the selected customer
+     * The current data stays on screen if the refresh fails
+     * @returns {Promise<void>}
+     * @private
+     */
+    async refreshData() {
+        if (this.isRefreshing) {
+            return;
+        }
+
+        const refreshBtn = document.getElementById('refreshData');
+        this.isRefreshing = true;
+        if (refreshBtn) {
+            refreshBtn.disabled = true;
+            refreshBtn.classList.add('refreshing');
+        }
+
+        try {
+            await this.dataService.refreshData();
+            await this.showReloadedData();
+            logger.info('Data refreshed');
+
+        } catch (error) {
+            logger.error('Failed to refresh data:', error);
+            this.uiManager.showMessage('Unable to refresh data. The data shown may be out of date.', 'error');
+        } finally {
+            this.isRefreshing = false;
+            if (refreshBtn) {
+                refreshBtn.disabled = false;
+                refreshBtn.classList.remove('refreshing');
+            }
+        }
+    }
+
+    /**
+     * Update the views after the data was reloaded, keeping the selected customer when it still exists
+     * @returns {Promise<void>}
+     * @private
+     */
+    async showReloadedData() {
+        const customerSelect = document.getElementById('customerSelect');
+        const customerId = customerSelect ? customerSelect.value : '';
+        await this.customerManager.populateCustomerDropdown();
+
+        if (customerId && this.dataService.getCustomerById(customerId)) {
+            customerSelect.value = customerId;
+            await this.customerManager.displayCustomerData(customerId, this.customerManager.currentFilters);
+        }
+
+        this.updateDataAsOf();
+        this.dataQualityManager.updateIssueCount();
+    }
+
+    /**
+     * Show when the data in use was loaded in the header
+     * @private
+     */
+    updateDataAsOf() {
+        const dataAsOf = this.dataService.getDataAsOf();
+        this.uiManager.setText('dataAsOf', dataAsOf ? `Data as of ${dataAsOf.toLocaleString()}` : '');
+    }
+
     /**
      * Handle customer selection change
      * @param {Event} event - Change event from customer dropdown
@@ -246,17 +385,30 @@ class App {
 
     /**
      * Show error state with message
+     * The retry button is only offered for temporary failures, since anything else fails again the same way
      * @param {string} message - Error message to display
+     * @param {boolean} retryable - True if retrying may succeed
      * @private
      */
-    showErrorState(message) {
+    showErrorState(message, retryable = true) {
         this.uiManager.hideElement('loadingState');
         this.uiManager.hideElement('mainContent');
         this.uiManager.showElement('errorState');
-        
-        const errorMessageElement = document.getElementById('errorMessage');
-        if (errorMessageElement) {
-            errorMessageElement.textContent = message;
+
+        const errorElement = this.uiManager.getElement('errorState');
+        if (errorElement) {
+            errorElement.dataset.errorType = retryable ? 'temporary' : 'permanent';
+        }
+
+        this.uiManager.setText('errorMessage', message);
+        this.uiManager.setText('errorHint', retryable
+            ? 'This looks like a temporary problem. The request was retried automatically; you can try again.'
+            : 'The data could not be used, so retrying will not help. Please contact support if this continues.');
+
+        if (retryable) {
+            this.uiManager.showElement('retryBtn');
+        } else {
+            this.uiManager.hideElement('retryBtn');
         }
     }
 }
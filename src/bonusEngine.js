@@ -0,0 +1,283 @@
+/**
+ * Bonus Engine
+ * Generates lifecycle bonus entries (welcome, anniversary, tenure) from a customer's join date,
+ * referral bonus entries for linked customers, and streak and frequency bonus entries for engagement
+ * @module BonusEngine
+ */
+
+import logger from './logger.js';
+import { CONSTANTS } from './constants.js';
+import { RewardRules } from './rewardRules.js';
+import { RewardCalculator } from './rewardCalculator.js';
+import { StreakAnalyzer } from './streakAnalyzer.js';
+import { DateUtils } from './dateUtils.js';
+
+/**
+ * Engine class for lifecycle bonuses
+ * Bonuses are synthetic entries with type "bonus" that are scored alongside the customer's
+ * transactions, so they count towards caps, monthly breakdowns, balances and expiry
+ */
+export class BonusEngine {
+    /**
+     * Generate lifecycle bonus entries for a customer
+     * @param {Object} customer - Customer with customerId and joinDate
+     * @param {Array} transactions - Customer's full transaction history
+     * @param {string|Date} asOf - Date to generate anniversaries up to, defaults to today
+     * @returns {Array} Bonus entries (empty if the customer has no valid join date)
+     */
+    static generateBonuses(customer, transactions, asOf = new Date()) {
+        if (!Array.isArray(transactions)) {
+            logger.error('Invalid transactions array provided for lifecycle bonuses');
+            throw new Error('Transactions must be an array');
+        }
+
+        const joinDate = customer ? RewardRules.toDateKey(customer.joinDate) : null;
+        if (!joinDate) {
+            return [];
+        }
+
+        const purchases = transactions
+            .filter(transaction => transaction && transaction.type !== 'refund' && RewardRules.toDateKey(transaction.date) >= joinDate)
+            .sort((a, b) => RewardRules.toDateKey(a.date).localeCompare(RewardRules.toDateKey(b.date)));
+
+        const bonuses = [
+            ...this.createWelcomeBonus(customer, purchases),
+            ...this.createAnniversaryBonuses(customer, joinDate, RewardRules.toDateKey(asOf)),
+            ...this.createTenureBonuses(customer, joinDate, purchases)
+        ];
+
+        logger.info(`Generated ${bonuses.length} lifecycle bonuses for customer ${customer.customerId}`);
+        return bonuses;
+    }
+
+    /**
+     * Generate referral bonus entries for a customer
+     * The customer earns a referee bonus on their own first qualifying purchase if they were referred,
+     * and a referrer bonus on the first qualifying purchase of every customer they referred
+     * @param {Object} customer - Customer, optionally with referredBy
+     * @param {Array} transactions - Customer's full transaction history
+     * @param {Object|null} referrer - Customer who referred this customer
+     * @param {Array} referees - Customers referred by this customer, as { customer, transactions }
+     * @returns {Array} Referral bonus entries
+     */
+    static generateReferralBonuses(customer, transactions, referrer = null, referees = []) {
+        const config = CONSTANTS.REWARDS.REFERRAL;
+        if (!config || !customer) {
+            return [];
+        }
+
+        const bonuses = [];
+        const ownQualifying = referrer ? this.findReferralPurchase(customer, transactions) : null;
+
+        if (ownQualifying) {
+            bonuses.push(this.createBonusEntry(customer, {
+                transactionId: `BONUS-REFEREE-${customer.customerId}`,
+                bonusType: 'referral',
+                date: RewardRules.toDateKey(ownQualifying.date),
+                bonusPoints: config.REFEREE_POINTS,
+                relatedTransactionId: ownQualifying.transactionId,
+                referralCustomerId: referrer.customerId,
+                description: `Referral bonus for joining via ${referrer.name}`
+            }));
+        }
+
+        referees.forEach(referee => {
+            const qualifying = this.findReferralPurchase(referee.customer, referee.transactions);
+            if (!qualifying) {
+                return;
+            }
+
+            bonuses.push(this.createBonusEntry(customer, {
+                transactionId: `BONUS-REFERRER-${referee.customer.customerId}`,
+                bonusType: 'referral',
+                date: RewardRules.toDateKey(qualifying.date),
+                bonusPoints: config.REFERRER_POINTS,
+                referralCustomerId: referee.customer.customerId,
+                description: `Referral bonus: ${referee.customer.name} made their first purchase`
+            }));
+        });
+
+        logger.info(`Generated ${bonuses.length} referral bonuses for customer ${customer.customerId}`);
+        return bonuses;
+    }
+
+    /**
+     * Generate streak and frequency bonus entries for a customer
+     * A streak bonus is awarded on the first purchase of every month that completes a multiple of the
+     * configured streak length; a frequency bonus on the purchase that reaches the monthly count
+     * @param {Object} customer - Customer
+     * @param {Array} transactions - Customer's full transaction history
+     * @returns {Array} Engagement bonus entries, oldest first
+     */
+    static generateEngagementBonuses(customer, transactions) {
+        const config = CONSTANTS.REWARDS.ENGAGEMENT;
+        if (!config || !customer) {
+            return [];
+        }
+
+        const purchases = StreakAnalyzer.getQualifyingPurchases(transactions);
+        const bonuses = [];
+
+        StreakAnalyzer.analyze(transactions).months.forEach(({ monthYear, transactionCount, streak }) => {
+            const monthPurchases = purchases.filter(
+                purchase => RewardCalculator.getMonthYearKey(purchase.date) === monthYear
+            );
+
+            if (config.STREAK && streak % config.STREAK.MONTHS === 0) {
+                bonuses.push(this.createBonusEntry(customer, {
+                    transactionId: `BONUS-STREAK-${customer.customerId}-${monthYear}`,
+                    bonusType: 'streak',
+                    date: RewardRules.toDateKey(monthPurchases[0].date),
+                    bonusPoints: config.STREAK.POINTS,
+                    relatedTransactionId: monthPurchases[0].transactionId,
+                    description: `${streak}-month purchase streak bonus`
+                }));
+            }
+
+            if (config.FREQUENCY && transactionCount >= config.FREQUENCY.TRANSACTIONS) {
+                const qualifying = monthPurchases[config.FREQUENCY.TRANSACTIONS - 1];
+                bonuses.push(this.createBonusEntry(customer, {
+                    transactionId: `BONUS-FREQUENCY-${customer.customerId}-${monthYear}`,
+                    bonusType: 'frequency',
+                    date: RewardRules.toDateKey(qualifying.date),
+                    bonusPoints: config.FREQUENCY.POINTS,
+                    relatedTransactionId: qualifying.transactionId,
+                    description: `${config.FREQUENCY.TRANSACTIONS}+ purchases in a month bonus`
+                }));
+            }
+        });
+
+        logger.info(`Generated ${bonuses.length} engagement bonuses for customer ${customer.customerId}`);
+        return bonuses;
+    }
+
+    /**
+     * Find the purchase that qualifies a referred customer's referral
+     * @param {Object} customer - Referred customer
+     * @param {Array} transactions - Referred customer's transactions
+     * @returns {Object|null} First purchase of at least the minimum amount on or after joining
+     * @private
+     */
+    static findReferralPurchase(customer, transactions) {
+        const joinDate = RewardRules.toDateKey(customer.joinDate) || '';
+
+        return (transactions || [])
+            .filter(transaction => transaction && transaction.type !== 'refund' && RewardRules.toDateKey(transaction.date))
+            .filter(transaction => RewardRules.toDateKey(transaction.date) >= joinDate)
+            .filter(transaction => transaction.amount >= CONSTANTS.REWARDS.REFERRAL.MIN_AMOUNT)
+            .sort((a, b) => RewardRules.toDateKey(a.date).localeCompare(RewardRules.toDateKey(b.date)))[0] || null;
+    }
+
+    /**
+     * Create the welcome bonus on the first qualifying purchase after joining
+     * @param {Object} customer - Customer
+     * @param {Array} purchases - Purchases on or after the join date, oldest first
+     * @returns {Array} Zero or one bonus entry
+     * @private
+     */
+    static createWelcomeBonus(customer, purchases) {
+        const config = CONSTANTS.REWARDS.LIFECYCLE.WELCOME;
+        if (!config) {
+            return [];
+        }
+
+        const qualifying = purchases.find(purchase => purchase.amount >= config.MIN_AMOUNT);
+        if (!qualifying) {
+            return [];
+        }
+
+        return [this.createBonusEntry(customer, {
+            transactionId: `BONUS-WELCOME-${customer.customerId}`,
+            bonusType: 'welcome',
+            date: RewardRules.toDateKey(qualifying.date),
+            bonusPoints: config.POINTS,
+            relatedTransactionId: qualifying.transactionId,
+            description: `Welcome bonus for first purchase ${qualifying.transactionId}`
+        })];
+    }
+
+    /**
+     * Create a bonus on every anniversary of the join date up to a date
+     * @param {Object} customer - Customer
+     * @param {string} joinDate - Join date key (YYYY-MM-DD)
+     * @param {string} asOfKey - Last date key to create anniversaries for
+     * @returns {Array} Bonus entries, oldest first
+     * @private
+     */
+    static createAnniversaryBonuses(customer, joinDate, asOfKey) {
+        const config = CONSTANTS.REWARDS.LIFECYCLE.ANNIVERSARY;
+        if (!config) {
+            return [];
+        }
+
+        const bonuses = [];
+        for (let years = 1; this.addYears(joinDate, years) <= asOfKey; years++) {
+            const date = this.addYears(joinDate, years);
+            bonuses.push(this.createBonusEntry(customer, {
+                transactionId: `BONUS-ANNIVERSARY-${customer.customerId}-${date.slice(0, 4)}`,
+                bonusType: 'anniversary',
+                date,
+                bonusPoints: config.POINTS,
+                description: `${years}-year anniversary bonus`
+            }));
+        }
+
+        return bonuses;
+    }
+
+    /**
+     * Create a tenure bonus for every purchase made after the tenure threshold
+     * The bonus is a multiplier on the points the purchase earned and is reversed with it on refund
+     * @param {Object} customer - Customer
+     * @param {string} joinDate - Join date key (YYYY-MM-DD)
+     * @param {Array} purchases - Purchases on or after the join date
+     * @returns {Array} Bonus entries
+     * @private
+     */
+    static createTenureBonuses(customer, joinDate, purchases) {
+        const config = CONSTANTS.REWARDS.LIFECYCLE.TENURE;
+        if (!config) {
+            return [];
+        }
+
+        const tenureStart = this.addYears(joinDate, config.YEARS);
+
+        return purchases
+            .filter(purchase => RewardRules.toDateKey(purchase.date) >= tenureStart)
+            .map(purchase => this.createBonusEntry(customer, {
+                transactionId: `BONUS-TENURE-${purchase.transactionId}`,
+                bonusType: 'tenure',
+                date: RewardRules.toDateKey(purchase.date),
+                bonusMultiplier: config.MULTIPLIER,
+                relatedTransactionId: purchase.transactionId,
+                description: `${config.YEARS}+ year tenure bonus (${config.MULTIPLIER}x) on ${purchase.transactionId}`
+            }));
+    }
+
+    /**
+     * Build a synthetic bonus entry shaped like a transaction
+     * @param {Object} customer - Customer
+     * @param {Object} details - Bonus details (transactionId, bonusType, date, points or multiplier, description)
+     * @returns {Object} Bonus entry
+     * @private
+     */
+    static createBonusEntry(customer, details) {
+        return {
+            customerId: customer.customerId,
+            amount: 0,
+            type: 'bonus',
+            ...details
+        };
+    }
+
+    /**
+     * Add whole years to a date key
+     * @param {string} dateKey - Date key (YYYY-MM-DD)
+     * @param {number} years - Years to add
+     * @returns {string} Resulting date key
+     * @private
+     */
+    static addYears(dateKey, years) {
+        return DateUtils.addYears(dateKey, years);
+    }
+}
@@ -0,0 +1,160 @@
+/**
+ * Campaign Engine
+ * Applies promotional bonus campaigns on top of base reward points
+ * @module CampaignEngine
+ */
+
+import logger from './logger.js';
+import { CONSTANTS } from './constants.js';
+import { RewardRules } from './rewardRules.js';
+import { Money } from './money.js';
+
+/**
+ * Valid campaigns of each configured campaign list, so each configuration is checked and logged once
+ */
+const validCampaigns = new WeakMap();
+
+/**
+ * Engine class for promotional campaigns
+ * Supports date-windowed point multipliers and flat bonuses
+ */
+export class CampaignEngine {
+    /**
+     * Get all valid configured campaigns
+     * The configuration is validated the first time it is read; invalid campaigns are logged and skipped
+     * @returns {Array} Campaign definitions
+     */
+    static getCampaigns() {
+        const campaigns = CONSTANTS.REWARDS.CAMPAIGNS;
+        if (!Array.isArray(campaigns)) {
+            return [];
+        }
+
+        if (!validCampaigns.has(campaigns)) {
+            validCampaigns.set(campaigns, campaigns.filter(campaign => {
+                try {
+                    return this.validateCampaign(campaign);
+                } catch (error) {
+                    logger.error(`Skipping invalid campaign: ${error.message}`, campaign);
+                    return false;
+                }
+            }));
+        }
+
+        return validCampaigns.get(campaigns);
+    }
+
+    /**
+     * Get campaigns running on a given date
+     * @param {string|Date} date - Transaction date
+     * @param {Array} campaigns - Campaigns to search, defaults to the configured campaigns
+     * @returns {Array} Active campaigns
+     */
+    static getActiveCampaigns(date, campaigns = this.getCampaigns()) {
+        const dateKey = RewardRules.toDateKey(date);
+        if (!dateKey || !Array.isArray(campaigns)) {
+            return [];
+        }
+
+        return campaigns.filter(campaign =>
+            campaign.startDate <= dateKey && (!campaign.endDate || dateKey <= campaign.endDate)
+        );
+    }
+
+    /**
+     * Calculate campaign contributions for a transaction
+     * Multipliers are applied to base points independently, so two 2x campaigns add 2x base points
+     * @param {Object} transaction - Transaction object with amount and date
+     * @param {number} basePoints - Points earned from the reward tiers
+     * @param {Array} campaigns - Campaigns to apply, defaults to the configured campaigns
+     * @returns {Array} Campaign contributions with id, name, type and points
+     */
+    static applyCampaigns(transaction, basePoints, campaigns = this.getCampaigns()) {
+        if (!transaction || !transaction.date) {
+            return [];
+        }
+
+        return this.getActiveCampaigns(transaction.date, campaigns)
+            .filter(campaign => this.isEligible(transaction, campaign))
+            .map(campaign => {
+                const points = this.calculateCampaignPoints(campaign, basePoints);
+                logger.debug(`Campaign ${campaign.id} adds ${points} points to transaction ${transaction.transactionId}`);
+
+                return {
+                    id: campaign.id,
+                    name: campaign.name || campaign.id,
+                    type: campaign.type,
+                    points
+                };
+            })
+            .filter(contribution => contribution.points > 0);
+    }
+
+    /**
+     * Check if a transaction qualifies for a campaign
+     * @param {Object} transaction - Transaction object
+     * @param {Object} campaign - Campaign definition
+     * @returns {boolean} True if eligible
+     * @private
+     */
+    static isEligible(transaction, campaign) {
+        if (typeof campaign.minAmount === 'number' && transaction.amount < campaign.minAmount) {
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Calculate points a single campaign adds
+     * @param {Object} campaign - Campaign definition
+     * @param {number} basePoints - Points earned from the reward tiers
+     * @returns {number} Campaign points
+     * @private
+     */
+    static calculateCampaignPoints(campaign, basePoints) {
+        switch (campaign.type) {
+            case 'multiplier':
+                return Money.multiplyPoints(basePoints, campaign.multiplier - 1);
+            case 'bonus':
+                return campaign.bonusPoints;
+            default:
+                logger.warn(`Unknown campaign type: ${campaign.type}`);
+                return 0;
+        }
+    }
+
+    /**
+     * Validate a campaign definition
+     * @param {Object} campaign - Campaign to validate
+     * @returns {boolean} True if valid
+     * @throws {Error} If the campaign is invalid
+     */
+    static validateCampaign(campaign) {
+        if (!campaign || !campaign.id) {
+            throw new Error('Campaign must have an id');
+        }
+
+        if (!RewardRules.toDateKey(campaign.startDate)) {
+            throw new Error(`Invalid startDate for campaign ${campaign.id}: ${campaign.startDate}`);
+        }
+
+        if (campaign.endDate && campaign.endDate < campaign.startDate) {
+            throw new Error(`Invalid endDate for campaign ${campaign.id}: ${campaign.endDate}`);
+        }
+
+        if (campaign.type === 'multiplier') {
+            if (typeof campaign.multiplier !== 'number' || isNaN(campaign.multiplier) || campaign.multiplier < 1) {
+                throw new Error(`Invalid multiplier for campaign ${campaign.id}: ${campaign.multiplier}`);
+            }
+        } else if (campaign.type === 'bonus') {
+            if (!Number.isInteger(campaign.bonusPoints) || campaign.bonusPoints < 0) {
+                throw new Error(`Invalid bonusPoints for campaign ${campaign.id}: ${campaign.bonusPoints}`);
+            }
+        } else {
+            throw new Error(`Invalid type for campaign ${campaign.id}: ${campaign.type}`);
+        }
+
+        return true;
+    }
+}
@@ -5,12 +5,102 @@
  */
 
 export const CONSTANTS = {
-    // Reward calculation thresholds
+    // Reward calculation rules
+    // Each tier awards points for the part of the amount between min and max (max null = no upper bound)
+    // Rule versions are effective-dated (inclusive, effectiveTo null = open-ended) so every
+    // transaction is scored by the rules that were in force on its date
     REWARDS: {
-        HIGH_THRESHOLD: 100,
-        LOW_THRESHOLD: 50,
-        HIGH_MULTIPLIER: 2,
-        LOW_MULTIPLIER: 1
+        RULE_VERSIONS: [
+            {
+                id: 'standard-2021',
+                name: 'Standard Rewards 2021',
+                effectiveFrom: '2021-01-01',
+                effectiveTo: null,
+                tiers: [
+                    { id: 'lowTier', label: '$50-$100', min: 50, max: 100, multiplier: 1 },
+                    { id: 'highTier', label: '>$100', min: 100, max: null, multiplier: 2 }
+                ]
+            }
+        ],
+
+        // Rounding policy for fractional points: 'floor', 'half-up' or 'half-even' (banker's rounding)
+        // Amounts are converted to integer cents first, so the policy is the only source of rounding
+        ROUNDING_POLICY: 'floor',
+
+        // Earn multipliers on base points per merchant category (e.g. 3x on dining)
+        // Transactions without a category, or in a category not listed here, earn 1x
+        CATEGORY_MULTIPLIERS: {
+            dining: 3,
+            travel: 2,
+            groceries: 1
+        },
+
+        // Promotional campaigns layered on top of base points (dates inclusive)
+        // type 'multiplier': { multiplier } e.g. double points; type 'bonus': { bonusPoints, minAmount }
+        CAMPAIGNS: [],
+
+        // Points expire MONTHS after they are earned; WARNING_DAYS controls the "expiring soon" window
+        EXPIRATION: {
+            MONTHS: 12,
+            WARNING_DAYS: 30
+        },
+
+        // Maximum points a customer can be awarded per calendar month and year (null = no cap)
+        // Caps are applied in chronological order; refunds give the points they reverse back to the purchase's period
+        CAPS: {
+            MONTHLY: 5000,
+            ANNUAL: 40000
+        },
+
+        // Lifecycle bonuses driven by the customer's join date (set an entry to null to disable it)
+        // WELCOME: once, on the first purchase of at least MIN_AMOUNT after joining
+        // ANNIVERSARY: every year on the join date; TENURE: MULTIPLIER on purchases after YEARS of membership
+        LIFECYCLE: {
+            WELCOME: { POINTS: 500, MIN_AMOUNT: 50 },
+            ANNIVERSARY: { POINTS: 250 },
+            TENURE: { YEARS: 3, MULTIPLIER: 1.1 }
+        },
+
+        // Referral program: both customers earn points when the referred customer makes their
+        // first purchase of at least MIN_AMOUNT
+        REFERRAL: {
+            REFERRER_POINTS: 1000,
+            REFEREE_POINTS: 500,
+            MIN_AMOUNT: 50
+        },
+
+        // Engagement bonuses for purchases of at least MIN_AMOUNT net of refunds: STREAK awards POINTS for every
+        // MONTHS consecutive months with a purchase, FREQUENCY awards POINTS in every month with at
+        // least TRANSACTIONS purchases
+        ENGAGEMENT: {
+            MIN_AMOUNT: 50,
+            STREAK: { MONTHS: 3, POINTS: 300 },
+            FREQUENCY: { TRANSACTIONS: 5, POINTS: 200 }
+        },
+
+        // Valuation of one point in cents, used to report the dollar cost and liability of points
+        VALUATION: {
+            CENTS_PER_POINT: 1
+        },
+
+        // Loyalty status levels, qualified by rolling spend ('spend') or points ('points') over WINDOW_MONTHS
+        // A month's status is earned in the preceding months and boosts base points by the level multiplier
+        STATUS: {
+            BASIS: 'spend',
+            WINDOW_MONTHS: 12,
+            LEVELS: [
+                { id: 'member', name: 'Member', threshold: 0, multiplier: 1 },
+                { id: 'silver', name: 'Silver', threshold: 250, multiplier: 1.1 },
+                { id: 'gold', name: 'Gold', threshold: 500, multiplier: 1.25 },
+                { id: 'platinum', name: 'Platinum', threshold: 1000, multiplier: 1.5 }
+            ]
+        }
+    },
+
+    // Currency settings
+    // Amounts in other currencies are converted to BASE with the dated exchange-rate table before scoring
+    CURRENCY: {
+        BASE: 'USD'
     },
 
     // Pagination settings
@@ -20,10 +110,13 @@ export const CONSTANTS = {
     },
 
     // Date formats and periods
+    // TIME_ZONE is the program's IANA time zone (e.g. 'America/New_York'): timestamps with a UTC offset and
+    // "today" are placed on its calendar. null keeps timestamps on the date written and uses the browser's zone
     DATE_FORMATS: {
         DISPLAY_FORMAT: 'MM/DD/YYYY',
         API_FORMAT: 'YYYY-MM-DD',
-        MONTH_YEAR: 'YYYY-MM'
+        MONTH_YEAR: 'YYYY-MM',
+        TIME_ZONE: null
     },
 
     // Filter options
@@ -52,7 +145,10 @@ export const CONSTANTS = {
     API: {
         SIMULATE_DELAY: 0, // milliseconds - disabled for debugging
         ERROR_RATE: 0, // 0 = no errors, 1 = always error
-        RETRY_ATTEMPTS: 3
+        RETRY_ATTEMPTS: 3, // retries after the first attempt, for network errors, timeouts and 5xx responses only
+        RETRY_BASE_DELAY: 300, // milliseconds before the first retry, doubled on every retry (with jitter)
+        RETRY_MAX_DELAY: 5000, // milliseconds - upper bound for a retry delay
+        TIMEOUT: 10000 // milliseconds per request attempt, 0 = no timeout
     },
 
     // UI messages
@@ -63,10 +159,93 @@ export const CONSTANTS = {
         SELECT_CUSTOMER: '-- Select Customer --'
     },
 
+    // Data source DataService loads from: 'static' (the DATA_PATHS files), 'rest' or 'memory' (DATA per resource)
+    // REST endpoints are relative to BASE_URL; HEADERS are added to every request
+    DATA_SOURCE: {
+        TYPE: 'static',
+        REST: {
+            BASE_URL: '/api',
+            ENDPOINTS: {
+                customers: '/customers',
+                transactions: '/transactions',
+                redemptions: '/redemptions',
+                exchangeRates: '/exchange-rates'
+            },
+            HEADERS: {}
+        },
+        DATA: {}
+    },
+
+    // Data validation issue codes and their labels in the data quality panel
+    VALIDATION: {
+        CODES: {
+            MISSING_FIELD: 'Missing field',
+            INVALID_TYPE: 'Wrong data type',
+            INVALID_DATE: 'Bad date',
+            INVALID_VALUE: 'Invalid value',
+            NEGATIVE_AMOUNT: 'Negative amount',
+            UNKNOWN_CUSTOMER: 'Unknown customerId',
+            UNKNOWN_REFERENCE: 'Unknown reference',
+            DUPLICATE_ID: 'Duplicate ID',
+            NEAR_DUPLICATE: 'Possible duplicate',
+            CURRENCY_MISMATCH: 'Currency mismatch',
+            NO_EXCHANGE_RATE: 'No exchange rate',
+            ROUNDED_AMOUNT: 'Amount rounded to cents'
+        }
+    },
+
+    // Cross-dataset integrity policies applied to transactions once customers are loaded
+    // 'reject' drops the transaction, 'keep' keeps it with a warning, 'merge' folds it into the first transaction
+    // (duplicate IDs only merge when identical); near-duplicates share customer, amount, currency and date
+    INTEGRITY: {
+        ORPHAN_TRANSACTIONS: 'reject', // 'reject' or 'keep'
+        DUPLICATE_IDS: 'reject', // 'reject', 'keep' or 'merge'
+        NEAR_DUPLICATES: 'keep' // 'reject', 'keep' or 'merge' - repeat purchases on the same day are common
+    },
+
+    // CSV import: delimiters tried when detecting the delimiter, default decimal separator and the column
+    // headers recognized for each field (compared ignoring case, spaces and punctuation)
+    // OFX/QIF statement import: order of QIF dates ('MDY' or 'DMY') and entry types (OFX TRNTYPE or QIF
+    // category) that never earn points even when they are debits
+    IMPORT: {
+        DELIMITERS: [',', ';', '\t'],
+        DECIMAL_SEPARATOR: '.',
+        HEADER_ALIASES: {
+            transactionId: ['transaction id', 'txn id', 'transaction', 'receipt no', 'receipt number'],
+            customerId: ['customer id', 'cust id', 'customer', 'customer no', 'member id'],
+            amount: ['total', 'sale amount', 'value'],
+            date: ['transaction date', 'txn date', 'sale date'],
+            type: ['transaction type'],
+            originalTransactionId: ['original transaction id', 'original txn id'],
+            category: [],
+            merchant: ['store'],
+            currency: [],
+            name: ['customer name', 'full name'],
+            email: ['email address'],
+            joinDate: ['join date', 'joined', 'member since'],
+            referredBy: ['referred by', 'referrer']
+        },
+        STATEMENT: {
+            QIF_DATE_ORDER: 'MDY',
+            EXCLUDED_TYPES: ['FEE', 'SRVCHG', 'INT', 'ATM', 'CASH', 'XFER', 'PAYMENT', 'DIRECTDEBIT']
+        }
+    },
+
+    // Persistent IndexedDB cache of loaded data, served on startup while fresh data loads in the background
+    // Bump VERSION when the shape of cached data changes; entries older than TTL (milliseconds) are not served
+    CACHE: {
+        DB_NAME: 'rewards-program',
+        STORE_NAME: 'data',
+        VERSION: 1,
+        TTL: 24 * 60 * 60 * 1000
+    },
+
     // Data file paths
     DATA_PATHS: {
         CUSTOMERS: 'public/data/customers.json',
-        TRANSACTIONS: 'public/data/transactions.json'
+        TRANSACTIONS: 'public/data/transactions.json',
+        REDEMPTIONS: 'public/data/redemptions.json',
+        EXCHANGE_RATES: 'public/data/exchangeRates.json'
     },
 
     // CSS classes for dynamic styling
@@ -98,18 +277,21 @@ export const getMonthName = (monthNumber) => {
 /**
  * Utility function to format currency
  * @param {number} amount - Amount to format
+ * @param {string} currency - ISO 4217 currency code, defaults to the base currency
  * @returns {string} Formatted currency string
  */
-export const formatCurrency = (amount) => {
+export const formatCurrency = (amount, currency = CONSTANTS.CURRENCY.BASE) => {
+    const formatter = new Intl.NumberFormat('en-US', {
+        style: 'currency',
+        currency,
+        minimumFractionDigits: 2
+    });
+
     if (typeof amount !== 'number' || isNaN(amount)) {
-        return '$0.00';
+        return formatter.format(0);
     }
     
-    return new Intl.NumberFormat('en-US', {
-        style: 'currency',
-        currency: 'USD',
-        minimumFractionDigits: 2
-    }).format(amount);
+    return formatter.format(amount);
 };
 
 /**
@@ -127,3 +309,18 @@ export const formatDate = (date) => {
     
     return dateObj.toLocaleDateString('en-US');
 };
+
+/**
+ * Utility function to escape text before inserting it as HTML
+ * Use it for every value that comes from loaded or imported data
+ * @param {*} text - Text to escape
+ * @returns {string} Escaped text
+ */
+export const escapeHtml = (text) => {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+};
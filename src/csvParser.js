@@ -0,0 +1,191 @@
+/**
+ * CSV Parser
+ * Parses CSV exports into records with the field names DataService validates
+ * @module CsvParser
+ */
+
+import logger from './logger.js';
+import { CONSTANTS } from './constants.js';
+
+/**
+ * Fields whose values are converted to numbers
+ */
+const NUMERIC_FIELDS = ['amount'];
+
+/**
+ * Parser class for CSV text
+ * Handles quoted fields (with "" escapes and line breaks), comma, semicolon or tab delimiters, header
+ * mapping through CONSTANTS.IMPORT.HEADER_ALIASES and decimal commas
+ */
+export class CsvParser {
+    /**
+     * Parse CSV text into records
+     * @param {string} text - CSV text with a header row
+     * @param {Object} options - Parse options
+     * @param {string} options.delimiter - Field delimiter, or 'auto' to detect it from the header row
+     * @param {string} options.decimalSeparator - '.' or ',' (thousands separators are the other character)
+     * @param {Object} options.headerMap - Extra header to field name mappings (e.g. { 'Receipt #': 'transactionId' })
+     * @returns {Object} { records, columns, unmappedHeaders, delimiter }, where columns maps each header to its field
+     * @throws {Error} If the text has no header row or a header maps to the same field as another
+     */
+    static parse(text, options = {}) {
+        const {
+            delimiter = 'auto',
+            decimalSeparator = CONSTANTS.IMPORT.DECIMAL_SEPARATOR,
+            headerMap = {}
+        } = options;
+
+        const content = String(text || '').replace(/^\uFEFF/, '');
+        const usedDelimiter = delimiter === 'auto' ? this.detectDelimiter(content) : delimiter;
+        const rows = this.parseRows(content, usedDelimiter)
+            .filter(row => row.some(value => value.trim() !== ''));
+
+        if (rows.length === 0) {
+            throw new Error('CSV file is empty');
+        }
+
+        const headers = rows[0].map(header => header.trim());
+        const columns = this.mapHeaders(headers, headerMap);
+        const unmappedHeaders = headers.filter(header => !columns[header]);
+
+        const records = rows.slice(1).map(row => {
+            const record = {};
+            headers.forEach((header, index) => {
+                const field = columns[header];
+                const value = (row[index] || '').trim();
+
+                if (field && value !== '') {
+                    record[field] = NUMERIC_FIELDS.includes(field) ? this.parseNumber(value, decimalSeparator) : value;
+                }
+            });
+            return record;
+        });
+
+        logger.info(`Parsed ${records.length} CSV records with delimiter ${JSON.stringify(usedDelimiter)}`);
+        return { records, columns, unmappedHeaders, delimiter: usedDelimiter };
+    }
+
+    /**
+     * Convert a number written with the given decimal separator
+     * @param {string} value - Text such as "1,234.50", "1.234,50" or "$45.00"
+     * @param {string} decimalSeparator - '.' or ','
+     * @returns {number|string} Number, or the original text if it is not a number (so validation rejects it)
+     */
+    static parseNumber(value, decimalSeparator = '.') {
+        const thousandsSeparator = decimalSeparator === ',' ? '.' : ',';
+        const normalized = value
+            .replace(/[\s $€£]/g, '')
+            .split(thousandsSeparator).join('')
+            .replace(decimalSeparator, '.');
+
+        return /^[-+]?\d+(\.\d+)?$/.test(normalized) ? Number(normalized) : value;
+    }
+
+    /**
+     * Detect the delimiter from the header row: the candidate occurring most often outside quotes
+     * @param {string} text - CSV text
+     * @returns {string} Delimiter, ',' if none occurs
+     * @private
+     */
+    static detectDelimiter(text) {
+        const unquoted = (text.split(/\r?\n/)[0] || '').replace(/"[^"]*"/g, '');
+
+        return CONSTANTS.IMPORT.DELIMITERS.reduce((best, candidate) => {
+            const count = unquoted.split(candidate).length - 1;
+            return count > best.count ? { delimiter: candidate, count } : best;
+        }, { delimiter: ',', count: 0 }).delimiter;
+    }
+
+    /**
+     * Split CSV text into rows of fields
+     * @param {string} text - CSV text
+     * @param {string} delimiter - Field delimiter
+     * @returns {Array} Rows as arrays of field values
+     * @private
+     */
+    static parseRows(text, delimiter) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') {
+                    i++;
+                }
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows;
+    }
+
+    /**
+     * Map headers to field names, using the header map first and the configured aliases otherwise
+     * Headers are compared ignoring case, spaces and punctuation ("Transaction ID" matches "transactionid")
+     * @param {Array} headers - Header row
+     * @param {Object} headerMap - Extra header to field name mappings
+     * @returns {Object} Field name per mapped header
+     * @throws {Error} If two headers map to the same field
+     * @private
+     */
+    static mapHeaders(headers, headerMap) {
+        const normalize = header => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+        const aliases = {};
+
+        Object.entries(CONSTANTS.IMPORT.HEADER_ALIASES).forEach(([field, names]) => {
+            [field, ...names].forEach(name => {
+                aliases[normalize(name)] = field;
+            });
+        });
+        Object.entries(headerMap).forEach(([header, field]) => {
+            aliases[normalize(header)] = field;
+        });
+
+        const columns = {};
+        const mappedFields = {};
+
+        headers.forEach(header => {
+            const field = aliases[normalize(header)];
+            if (!field) {
+                return;
+            }
+
+            if (mappedFields[field]) {
+                throw new Error(`Columns "${mappedFields[field]}" and "${header}" both map to ${field}`);
+            }
+
+            mappedFields[field] = header;
+            columns[header] = field;
+        });
+
+        return columns;
+    }
+}
@@ -0,0 +1,73 @@
+/**
+ * Currency Converter
+ * Converts transaction amounts to the program's base currency using a dated exchange-rate table
+ * @module CurrencyConverter
+ */
+
+import { CONSTANTS } from './constants.js';
+import { Money } from './money.js';
+import { RewardRules } from './rewardRules.js';
+
+/**
+ * Converter class for multi-currency amounts
+ * The exchange-rate table is a list of { date, rates } entries, where rates gives the value of one unit
+ * of each currency in the base currency; an entry applies from its date until a later entry replaces the rate
+ */
+export class CurrencyConverter {
+    /**
+     * Get the program's base currency
+     * @returns {string} ISO 4217 currency code (e.g., "USD")
+     */
+    static getBaseCurrency() {
+        return CONSTANTS.CURRENCY.BASE;
+    }
+
+    /**
+     * Check if a currency code is the base currency (a missing currency means the base currency)
+     * @param {string} currency - ISO 4217 currency code
+     * @returns {boolean} True if amounts in this currency need no conversion
+     */
+    static isBaseCurrency(currency) {
+        return !currency || currency === this.getBaseCurrency();
+    }
+
+    /**
+     * Find the exchange rate in force for a currency on a date
+     * @param {string} currency - ISO 4217 currency code
+     * @param {string|Date} date - Date to convert on
+     * @param {Array} exchangeRates - Exchange-rate table
+     * @returns {number} Value of one unit of the currency in the base currency
+     * @throws {Error} If no rate for the currency is in force on the date
+     */
+    static getRate(currency, date, exchangeRates) {
+        if (this.isBaseCurrency(currency)) {
+            return 1;
+        }
+
+        const dateKey = RewardRules.toDateKey(date);
+        const entry = [...exchangeRates]
+            .filter(rateEntry => rateEntry.date <= dateKey && typeof rateEntry.rates[currency] === 'number')
+            .sort((a, b) => a.date.localeCompare(b.date))
+            .pop();
+
+        if (!entry) {
+            throw new Error(`No exchange rate for ${currency} on ${dateKey}`);
+        }
+
+        return entry.rates[currency];
+    }
+
+    /**
+     * Convert an amount to the base currency, rounded to the nearest cent
+     * @param {number} amount - Amount in the original currency
+     * @param {string} currency - ISO 4217 currency code of the amount
+     * @param {string|Date} date - Date whose exchange rate applies
+     * @param {Array} exchangeRates - Exchange-rate table
+     * @returns {number} Amount in the base currency
+     * @throws {Error} If no rate for the currency is in force on the date
+     */
+    static convert(amount, currency, date, exchangeRates) {
+        const rate = this.getRate(currency, date, exchangeRates);
+        return Money.fromCents(Math.round(Money.toCents(amount) * rate));
+    }
+}
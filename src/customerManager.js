@@ -6,7 +6,12 @@
 
 import logger from './logger.js';
 import { RewardCalculator } from './rewardCalculator.js';
-import { CONSTANTS, getMonthName, formatCurrency } from './constants.js';
+import { PointsLedger } from './pointsLedger.js';
+import { StatusEngine } from './statusEngine.js';
+import { BonusEngine } from './bonusEngine.js';
+import { StreakAnalyzer } from './streakAnalyzer.js';
+import { DateUtils } from './dateUtils.js';
+import { CONSTANTS, getMonthName, formatCurrency, escapeHtml } from './constants.js';
 
 /**
  * Manager class for customer operations
@@ -24,6 +29,8 @@ export class CustomerManager {
         this.currentCustomerId = null;
         this.currentFilters = null;
         this.currentTransactions = [];
+        this.currentTransactionsWithPoints = [];
+        this.currentRedemptions = [];
     }
 
     /**
@@ -96,6 +103,7 @@ export class CustomerManager {
             logger.debug('Step 2: Getting transactions...');
             const transactions = this.dataService.getTransactionsForCustomer(customerId, filters);
             this.currentTransactions = transactions;
+            this.currentRedemptions = this.dataService.getRedemptionsForCustomer(customerId, filters);
             logger.debug(`Found ${transactions.length} transactions`);
 
             if (transactions.length === 0) {
@@ -106,25 +114,48 @@ export class CustomerManager {
             }
 
             // Calculate rewards
+            // The full history is scored so refunds, balances and status see purchases outside the filtered period
+            // Lifecycle bonuses are scored after the transactions they relate to on the same date
             logger.debug('Step 3: Calculating rewards...');
-            const totalPoints = RewardCalculator.calculateTotalPoints(transactions);
+            const { transactions: allTransactions, bonuses, referrer, referees } = this.getRewardHistory(customer);
+            const fullHistory = StatusEngine.scoreWithStatus([...allTransactions, ...bonuses]);
+            const visibleIds = new Set([
+                ...transactions.map(transaction => transaction.transactionId),
+                ...this.dataService.filterByPeriod(bonuses, filters).map(bonus => bonus.transactionId)
+            ]);
+            const transactionsWithPoints = fullHistory.filter(transaction => visibleIds.has(transaction.transactionId));
+            this.currentTransactionsWithPoints = transactionsWithPoints;
+            logger.debug('Transaction details calculated');
+
+            const totalPoints = transactionsWithPoints.reduce((sum, transaction) => sum + transaction.points, 0);
             logger.debug(`Total points calculated: ${totalPoints}`);
             
-            const monthlyBreakdown = RewardCalculator.calculateMonthlyBreakdown(transactions);
+            const monthlyBreakdown = RewardCalculator.summarizeByMonth(transactionsWithPoints);
             logger.debug('Monthly breakdown calculated');
-            
-            const transactionsWithPoints = RewardCalculator.calculatePointsWithDetails(transactions);
-            logger.debug('Transaction details calculated');
+
+            const { balances } = PointsLedger.buildLedger(
+                fullHistory,
+                this.dataService.getRedemptionsForCustomer(customerId)
+            );
+            logger.debug('Point balances calculated');
+
+            const statusProgress = StatusEngine.getStatusProgress([...allTransactions, ...bonuses]);
+            logger.debug('Status progress calculated');
+
+            const streakAnalysis = StreakAnalyzer.analyze(allTransactions);
+            logger.debug('Purchase streak calculated');
 
             // Update UI
             logger.debug('Step 4: Updating UI...');
-            this.displayCustomerSummary(customer, totalPoints, transactions.length, filters);
+            this.displayCustomerSummary(customer, totalPoints, transactions.length, filters, balances, statusProgress);
+            this.displayReferrals(referrer, referees, fullHistory);
+            this.displayPurchaseStreak(streakAnalysis);
             logger.debug('Customer summary updated');
             
             this.displayMonthlyBreakdown(monthlyBreakdown);
             logger.debug('Monthly breakdown updated');
             
-            this.displayTransactionDetails(transactionsWithPoints);
+            this.displayTransactionDetails(this.mergeRedemptionRows(transactionsWithPoints, this.currentRedemptions));
             logger.debug('Transaction details updated');
 
             // Hide no data state if it was showing
@@ -140,15 +171,50 @@ export class CustomerManager {
         }
     }
 
+    /**
+     * Get a customer's full transaction history and the bonus entries generated for it
+     * @param {Object} customer - Customer object
+     * @returns {Object} { transactions, bonuses, referrer, referees } (see getReferralLinks)
+     */
+    getRewardHistory(customer) {
+        const transactions = this.dataService.getTransactionsForCustomer(customer.customerId);
+        const { referrer, referees } = this.getReferralLinks(customer);
+        const bonuses = [
+            ...BonusEngine.generateBonuses(customer, transactions),
+            ...BonusEngine.generateReferralBonuses(customer, transactions, referrer, referees),
+            ...BonusEngine.generateEngagementBonuses(customer, transactions)
+        ];
+
+        return { transactions, bonuses, referrer, referees };
+    }
+
+    /**
+     * Get the customer who referred a customer and the customers they referred
+     * @param {Object} customer - Customer object
+     * @returns {Object} { referrer, referees } where referees are { customer, transactions }
+     * @private
+     */
+    getReferralLinks(customer) {
+        const referrer = customer.referredBy ? this.dataService.getCustomerById(customer.referredBy) : null;
+        const referees = this.dataService.getReferralsForCustomer(customer.customerId).map(referee => ({
+            customer: referee,
+            transactions: this.dataService.getTransactionsForCustomer(referee.customerId)
+        }));
+
+        return { referrer, referees };
+    }
+
     /**
      * Display customer summary section
      * @param {Object} customer - Customer object
      * @param {number} totalPoints - Total reward points
      * @param {number} transactionCount - Number of transactions
      * @param {Object} filters - Applied filters
+     * @param {Object} balances - Ledger balances (see PointsLedger.buildLedger)
+     * @param {Object} statusProgress - Current status and progress (see StatusEngine.getStatusProgress)
      * @private
      */
-    displayCustomerSummary(customer, totalPoints, transactionCount, filters) {
+    displayCustomerSummary(customer, totalPoints, transactionCount, filters, balances = null, statusProgress = null) {
         try {
             // Update summary values
             const totalPointsElement = document.getElementById('totalPoints');
@@ -168,6 +234,14 @@ export class CustomerManager {
                 totalTransactionsElement.textContent = transactionCount;
             }
 
+            if (balances) {
+                this.displayPointBalances(balances);
+            }
+
+            if (statusProgress) {
+                this.displayStatusProgress(statusProgress);
+            }
+
             // Show customer summary section
             this.uiManager.showCustomerSummary();
 
@@ -178,6 +252,111 @@ export class CustomerManager {
         }
     }
 
+    /**
+     * Display available, redeemed, expired and expiring-soon balances
+     * @param {Object} balances - Balances from PointsLedger.buildLedger
+     * @private
+     */
+    displayPointBalances(balances) {
+        const balanceElements = {
+            availablePoints: balances.availablePoints,
+            redeemedPoints: balances.redeemedPoints,
+            expiredPoints: balances.expiredPoints,
+            expiringPoints: balances.expiringSoonPoints
+        };
+
+        Object.entries(balanceElements).forEach(([elementId, value]) => {
+            const element = document.getElementById(elementId);
+            if (element) {
+                element.textContent = value.toLocaleString();
+            }
+        });
+    }
+
+    /**
+     * Display current loyalty status and progress to the next level
+     * @param {Object} statusProgress - Status progress from StatusEngine.getStatusProgress
+     * @private
+     */
+    displayStatusProgress(statusProgress) {
+        const statusLevelElement = document.getElementById('statusLevel');
+        const statusProgressElement = document.getElementById('statusProgress');
+
+        if (statusLevelElement) {
+            statusLevelElement.textContent = statusProgress.level.name;
+            statusLevelElement.setAttribute('data-status', statusProgress.level.id);
+        }
+
+        if (!statusProgressElement) {
+            return;
+        }
+
+        if (!statusProgress.nextLevel) {
+            statusProgressElement.innerHTML = '<span class="status-progress-text">Highest status reached</span>';
+            return;
+        }
+
+        const remaining = statusProgress.basis === 'points'
+            ? `${Math.ceil(statusProgress.remaining).toLocaleString()} points`
+            : formatCurrency(statusProgress.remaining);
+
+        statusProgressElement.innerHTML = `
+            <div class="status-progress-bar">
+                <div class="status-progress-fill" style="width: ${statusProgress.progressPercent}%"></div>
+            </div>
+            <span class="status-progress-text">${remaining} to ${statusProgress.nextLevel.name}</span>
+        `;
+    }
+
+    /**
+     * Display who referred the customer, who they referred and the points earned from referrals
+     * @param {Object|null} referrer - Customer who referred this customer
+     * @param {Array} referees - Referred customers as { customer, transactions }
+     * @param {Array} scoredHistory - Customer's scored history including referral bonuses
+     * @private
+     */
+    displayReferrals(referrer, referees, scoredHistory) {
+        const referralElement = document.getElementById('referralSummary');
+        if (!referralElement) {
+            return;
+        }
+
+        const referralBonuses = scoredHistory.filter(entry => entry.bonusType === 'referral');
+        const referralPoints = referralBonuses.reduce((sum, entry) => sum + entry.points, 0);
+        const qualifiedIds = new Set(referralBonuses.map(entry => entry.referralCustomerId));
+
+        const referredByText = referrer ? `Referred by ${escapeHtml(referrer.name)}` : 'Not referred';
+        const refereeItems = referees.map(referee => {
+            const state = qualifiedIds.has(referee.customer.customerId) ? 'qualified' : 'pending';
+            return `<li class="referral-${state}">${escapeHtml(referee.customer.name)} (${state === 'qualified' ? 'Qualified' : 'Pending'})</li>`;
+        }).join('');
+
+        referralElement.innerHTML = `
+            <div class="referral-points">${referralPoints.toLocaleString()} points</div>
+            <div class="referral-text">${referredByText}</div>
+            ${refereeItems ? `<ul class="referral-list">${refereeItems}</ul>` : '<div class="referral-text">No referrals yet</div>'}
+        `;
+    }
+
+    /**
+     * Display the current and longest purchase streaks
+     * @param {Object} streakAnalysis - Streak analysis from StreakAnalyzer.analyze
+     * @private
+     */
+    displayPurchaseStreak(streakAnalysis) {
+        const streakElement = document.getElementById('purchaseStreak');
+        if (!streakElement) {
+            return;
+        }
+
+        const formatMonths = months => `${months} month${months === 1 ? '' : 's'}`;
+
+        streakElement.innerHTML = `
+            <div class="streak-value">${formatMonths(streakAnalysis.currentStreak)}</div>
+            <div class="streak-text">Longest: ${formatMonths(streakAnalysis.longestStreak)}</div>
+        `;
+    }
+
     /**
      * Display monthly breakdown section
      * @param {Object} monthlyBreakdown - Monthly points breakdown
@@ -210,6 +389,11 @@ export class CustomerManager {
                 monthlyDataElement.appendChild(monthCard);
             });
 
+            const categoryCard = this.createCategoryCard(monthlyBreakdown);
+            if (categoryCard) {
+                monthlyDataElement.appendChild(categoryCard);
+            }
+
             // Show monthly breakdown section
             this.uiManager.showMonthlyBreakdown();
 
@@ -248,6 +432,27 @@ export class CustomerManager {
                     <span class="stat-label">Total Spent:</span>
                     <span class="stat-value">${formatCurrency(data.totalAmount)}</span>
                 </div>
+                ${this.formatCampaignStats(data)}
+                ${data.statusPoints ? `
+                <div class="monthly-stat status-stat">
+                    <span class="stat-label">Status Boost:</span>
+                    <span class="stat-value">+${data.statusPoints} points</span>
+                </div>` : ''}
+                ${data.bonusPoints ? `
+                <div class="monthly-stat bonus-stat">
+                    <span class="stat-label">Bonuses:</span>
+                    <span class="stat-value">+${data.bonusPoints} points</span>
+                </div>` : ''}
+                ${data.cappedPoints ? `
+                <div class="monthly-stat cap-stat">
+                    <span class="stat-label">Over Cap:</span>
+                    <span class="stat-value">${data.cappedPoints} points not awarded</span>
+                </div>` : ''}
+                ${data.refundedPoints ? `
+                <div class="monthly-stat refund-stat">
+                    <span class="stat-label">Refunds:</span>
+                    <span class="stat-value">-${data.refundedPoints} points</span>
+                </div>` : ''}
             </div>
         `;
 
@@ -259,6 +464,104 @@ export class CustomerManager {
         return card;
     }
 
+    /**
+     * Create a card with points per merchant category across the displayed months
+     * @param {Object} monthlyBreakdown - Monthly points breakdown
+     * @returns {HTMLElement|null} Category card element, or null if no transaction has a category
+     * @private
+     */
+    createCategoryCard(monthlyBreakdown) {
+        const categoryTotals = {};
+
+        Object.values(monthlyBreakdown).forEach(data => {
+            Object.entries(data.categories || {}).forEach(([categoryId, categoryData]) => {
+                if (!categoryTotals[categoryId]) {
+                    categoryTotals[categoryId] = { points: 0, transactionCount: 0 };
+                }
+                categoryTotals[categoryId].points += categoryData.points;
+                categoryTotals[categoryId].transactionCount += categoryData.transactionCount;
+            });
+        });
+
+        const categoryIds = Object.keys(categoryTotals).filter(categoryId => categoryId !== 'uncategorized');
+        if (categoryIds.length === 0) {
+            return null;
+        }
+
+        if (categoryTotals.uncategorized) {
+            categoryIds.push('uncategorized');
+        }
+
+        const card = document.createElement('div');
+        card.className = 'monthly-card category-card';
+
+        const categoryLines = categoryIds
+            .map(categoryId => {
+                const multiplier = CONSTANTS.REWARDS.CATEGORY_MULTIPLIERS[categoryId];
+                return `
+                    <div class="monthly-stat">
+                        <span class="stat-label">${escapeHtml(this.getCategoryDisplayName(categoryId))}${multiplier ? ` (${multiplier}x)` : ''}:</span>
+                        <span class="stat-value">${categoryTotals[categoryId].points} points</span>
+                    </div>
+                `;
+            })
+            .join('');
+
+        card.innerHTML = `
+            <div class="monthly-card-header">
+                <h3>Points by Category</h3>
+            </div>
+            <div class="monthly-card-body">
+                ${categoryLines}
+            </div>
+        `;
+
+        return card;
+    }
+
+    /**
+     * Get display name for a category id
+     * @param {string} categoryId - Category id (e.g., "dining")
+     * @returns {string} Display name (e.g., "Dining")
+     * @private
+     */
+    getCategoryDisplayName(categoryId) {
+        if (!categoryId) {
+            return '-';
+        }
+
+        return categoryId.charAt(0).toUpperCase() + categoryId.slice(1);
+    }
+
+    /**
+     * Format campaign contributions for a monthly card
+     * @param {Object} data - Monthly data
+     * @returns {string} HTML for campaign stats (empty when no campaign applied)
+     * @private
+     */
+    formatCampaignStats(data) {
+        if (!data.campaignPoints) {
+            return '';
+        }
+
+        const campaignLines = Object.values(data.campaigns || {})
+            .map(campaign => `
+                <div class="monthly-stat campaign-stat">
+                    <span class="stat-label">${escapeHtml(campaign.name)}:</span>
+                    <span class="stat-value">+${campaign.points}</span>
+                </div>
+            `)
+            .join('');
+
+        return `
+            <div class="monthly-stat">
+                <span class="stat-label">Campaign Bonus:</span>
+                <span class="stat-value">+${data.campaignPoints} points</span>
+            </div>
+            ${campaignLines}
+        `;
+    }
+
     /**
      * Display transaction details section
      * @param {Array} transactions - Transactions with calculated points
@@ -315,8 +618,10 @@ export class CustomerManager {
                 <th>Transaction ID</th>
                 <th>Date</th>
                 <th>Amount</th>
+                <th>Category</th>
                 <th>Points Earned</th>
                 <th>Points Breakdown</th>
+                <th>Rule Version</th>
             </tr>
         `;
         table.appendChild(thead);
@@ -348,39 +653,158 @@ export class CustomerManager {
     createTransactionRow(transaction) {
         const row = document.createElement('tr');
         
-        const formattedDate = new Date(transaction.date).toLocaleDateString();
-        const breakdown = transaction.pointsBreakdown || { highTier: 0, lowTier: 0 };
+        const formattedDate = DateUtils.toLocalDate(transaction.date).toLocaleDateString();
+
+        if (transaction.entryType === 'redemption') {
+            row.className = 'redemption-row';
+            row.innerHTML = `
+                <td>${escapeHtml(transaction.transactionId)}</td>
+                <td>${formattedDate}</td>
+                <td>-</td>
+                <td class="category-cell">-</td>
+                <td class="points-cell">${transaction.points}</td>
+                <td class="breakdown-cell">Redeemed: ${escapeHtml(transaction.description || 'Points redemption')}</td>
+                <td class="rule-version-cell">-</td>
+            `;
+            return row;
+        }
+
+        const breakdown = transaction.pointsBreakdown || { ruleVersion: null, tiers: [], campaigns: [] };
         const breakdownText = this.formatPointsBreakdown(breakdown);
 
+        if (RewardCalculator.isRefund(transaction)) {
+            row.className = 'refund-row';
+        } else if (RewardCalculator.isBonus(transaction)) {
+            row.className = 'bonus-row';
+        }
+
         row.innerHTML = `
-            <td>${transaction.transactionId}</td>
+            <td>${escapeHtml(transaction.transactionId)}</td>
             <td>${formattedDate}</td>
-            <td>${formatCurrency(transaction.amount)}</td>
+            <td>${RewardCalculator.isBonus(transaction) ? '-' : this.formatAmount(transaction)}</td>
+            <td class="category-cell">${this.formatCategory(transaction)}</td>
             <td class="points-cell">${transaction.points}</td>
-            <td class="breakdown-cell">${breakdownText}</td>
+            <td class="breakdown-cell">
+                <details class="explanation-panel">
+                    <summary>${escapeHtml(breakdownText)}</summary>
+                    ${this.formatExplanation(RewardCalculator.explainPoints(transaction))}
+                </details>
+            </td>
+            <td class="rule-version-cell">${escapeHtml(breakdown.ruleVersion || '-')}</td>
         `;
 
         return row;
     }
 
+    /**
+     * Format a transaction amount in the base currency, with the original amount for converted transactions
+     * @param {Object} transaction - Transaction object
+     * @returns {string} HTML for the amount cell
+     * @private
+     */
+    formatAmount(transaction) {
+        const amount = formatCurrency(transaction.amount);
+        if (!transaction.currency || transaction.originalAmount === undefined) {
+            return amount;
+        }
+
+        return `${amount}<span class="original-amount">${formatCurrency(transaction.originalAmount, transaction.currency)}</span>`;
+    }
+
+    /**
+     * Format category and merchant for a transaction row
+     * @param {Object} transaction - Transaction object
+     * @returns {string} Escaped category and merchant HTML, or "-" if neither is known
+     * @private
+     */
+    formatCategory(transaction) {
+        const parts = [
+            transaction.category ? this.getCategoryDisplayName(transaction.category) : null,
+            transaction.merchant || null
+        ].filter(Boolean);
+
+        return parts.length > 0 ? escapeHtml(parts.join(' · ')) : '-';
+    }
+
+    /**
+     * Format a points explanation as an ordered list for the expandable panel
+     * @param {Array} steps - Explanation steps from RewardCalculator.explainPoints
+     * @returns {string} HTML for the explanation steps
+     * @private
+     */
+    formatExplanation(steps) {
+        const items = steps
+            .map(step => {
+                const points = step.points === null ? '' : `${step.points > 0 && step.step !== 'total' ? '+' : ''}${step.points}`;
+                return `
+                    <li class="explanation-step explanation-${step.step}">
+                        <span class="explanation-description">${escapeHtml(step.description)}</span>
+                        <span class="explanation-points">${points}</span>
+                    </li>
+                `;
+            })
+            .join('');
+
+        return `<ol class="explanation-steps">${items}</ol>`;
+    }
+
+    /**
+     * Interleave redemptions with purchases, newest first
+     * Redemptions become rows with negative points
+     * @param {Array} transactionsWithPoints - Transactions with calculated points
+     * @param {Array} redemptions - Redemptions for the same period
+     * @returns {Array} Combined rows sorted by date descending
+     * @private
+     */
+    mergeRedemptionRows(transactionsWithPoints, redemptions) {
+        const redemptionRows = (redemptions || []).map(redemption => ({
+            entryType: 'redemption',
+            transactionId: redemption.redemptionId,
+            customerId: redemption.customerId,
+            date: redemption.date,
+            amount: null,
+            points: -redemption.points,
+            description: redemption.description
+        }));
+
+        return [...transactionsWithPoints, ...redemptionRows]
+            .sort((a, b) => DateUtils.compare(b.date, a.date));
+    }
+
     /**
      * Format points breakdown for display
+     * Renders every tier of the applied rule set, every campaign and the status boost that contributed points,
+     * and what the transaction would have earned if a cap reduced it
      * @param {Object} breakdown - Points breakdown object
      * @returns {string} Formatted breakdown text
      * @private
      */
     formatPointsBreakdown(breakdown) {
-        const parts = [];
-        
-        if (breakdown.lowTier > 0) {
-            parts.push(`${breakdown.lowTier} (from $50-$100)`);
+        if (breakdown.bonus) {
+            return `${breakdown.bonus.description || 'Bonus'}${breakdown.cap ? ` (capped from ${breakdown.cap.uncappedPoints})` : ''}`;
         }
-        
-        if (breakdown.highTier > 0) {
-            parts.push(`${breakdown.highTier} (from >$100)`);
+
+        if (breakdown.refund) {
+            return `${-breakdown.refund.reversedPoints} (refund of ${breakdown.refund.originalTransactionId}, ` +
+                `${Math.round(breakdown.refund.refundRatio * 100)}% of ${breakdown.refund.originalPoints} points)`;
         }
+
+        const tiers = Array.isArray(breakdown.tiers) ? breakdown.tiers : [];
+        const campaigns = Array.isArray(breakdown.campaigns) ? breakdown.campaigns : [];
+        const parts = [
+            ...tiers
+                .filter(tier => tier.points > 0)
+                .map(tier => `${tier.points} (from ${tier.label})`),
+            ...(breakdown.category ? [`${breakdown.category.points} (${breakdown.category.id} ${breakdown.category.multiplier}x)`] : []),
+            ...campaigns.map(campaign => `${campaign.points} (${campaign.name})`),
+            ...(breakdown.status ? [`${breakdown.status.points} (${breakdown.status.name} status)`] : [])
+        ];
         
-        return parts.length > 0 ? parts.join(' + ') : '0 points';
+        const text = parts.length > 0 ? parts.join(' + ') : '0 points';
+        return breakdown.cap
+            ? `${text} (capped: would have earned ${breakdown.cap.uncappedPoints}, awarded ` +
+                `${breakdown.cap.uncappedPoints - breakdown.cap.cappedPoints})`
+            : text;
     }
 
     /**
@@ -416,20 +840,21 @@ export class CustomerManager {
             logger.info(`Showing transactions for ${monthYear}`);
             
             // Filter transactions for the selected month
-            const monthTransactions = this.currentTransactions.filter(transaction => {
-                const transactionDate = new Date(transaction.date);
-                const transactionMonthYear = RewardCalculator.getMonthYearKey(transactionDate);
-                return transactionMonthYear === monthYear;
-            });
+            const monthTransactions = this.currentTransactionsWithPoints.filter(transaction =>
+                DateUtils.toMonthKey(transaction.date) === monthYear
+            );
 
             if (monthTransactions.length === 0) {
                 logger.info(`No transactions found for ${monthYear}`);
                 return;
             }
 
+            const monthRedemptions = this.currentRedemptions.filter(redemption =>
+                DateUtils.toMonthKey(redemption.date) === monthYear
+            );
+
             // Update transaction details with filtered data
-            const transactionsWithPoints = RewardCalculator.calculatePointsWithDetails(monthTransactions);
-            this.displayTransactionDetails(transactionsWithPoints);
+            this.displayTransactionDetails(this.mergeRedemptionRows(monthTransactions, monthRedemptions));
 
             // Scroll to transaction details
             const detailsSection = document.getElementById('transactionDetails');
@@ -0,0 +1,159 @@
+/**
+ * Data Quality Manager
+ * Handles the data quality panel listing records rejected or corrected while loading data
+ * @module DataQualityManager
+ */
+
+import logger from './logger.js';
+import { DataValidator } from './dataValidator.js';
+import { escapeHtml } from './constants.js';
+
+/**
+ * Manager class for the data quality panel
+ * Renders the validation report of DataService: counts per resource and issue code, and every rejected record
+ */
+export class DataQualityManager {
+    /**
+     * Constructor
+     * @param {DataService} dataService - Data service instance
+     * @param {UIManager} uiManager - UI manager instance
+     */
+    constructor(dataService, uiManager) {
+        this.dataService = dataService;
+        this.uiManager = uiManager;
+    }
+
+    /**
+     * Show or hide the data quality panel, rendering the latest report every time it is shown
+     */
+    toggleDataQuality() {
+        const panelElement = this.uiManager.getElement('dataQuality');
+        if (panelElement && panelElement.classList.contains('hidden')) {
+            this.displayDataQuality();
+        }
+
+        this.uiManager.toggleElement('dataQuality');
+    }
+
+    /**
+     * Render the validation report in the panel
+     */
+    displayDataQuality() {
+        try {
+            const report = this.dataService.getValidationReport();
+
+            this.renderSummary(report.getSummary(), report.getCountsByCode());
+            this.renderIssues(report.getIssues());
+
+        } catch (error) {
+            logger.error('Failed to display data quality report:', error);
+            this.uiManager.setHTML('dataQualityIssues', '<p class="no-data">Unable to display the data quality report.</p>');
+        }
+    }
+
+    /**
+     * Show the number of rejected records on the panel button, and refresh the panel if it is open
+     */
+    updateIssueCount() {
+        const rejected = this.dataService.getValidationReport().getSummary()
+            .reduce((sum, resource) => sum + resource.rejected, 0);
+
+        this.uiManager.setText('dataQualityCount', rejected > 0 ? String(rejected) : '');
+
+        const panelElement = this.uiManager.getElement('dataQuality');
+        if (panelElement && !panelElement.classList.contains('hidden')) {
+            this.displayDataQuality();
+        }
+    }
+
+    /**
+     * Render record counts per resource and issue counts per code
+     * @param {Array} summary - Summary from ValidationReport.getSummary
+     * @param {Object} countsByCode - Counts from ValidationReport.getCountsByCode
+     * @private
+     */
+    renderSummary(summary, countsByCode) {
+        const rows = summary.map(resource => `
+            <tr>
+                <td>${this.formatResource(resource.resource)}</td>
+                <td class="points-cell">${resource.received.toLocaleString()}</td>
+                <td class="points-cell">${resource.accepted.toLocaleString()}</td>
+                <td class="points-cell">${resource.rejected.toLocaleString()}</td>
+                <td class="points-cell">${resource.warnings.toLocaleString()}</td>
+            </tr>
+        `).join('');
+
+        const codes = Object.entries(countsByCode)
+            .sort(([, a], [, b]) => b - a)
+            .map(([code, count]) => `<span class="quality-code" title="${code}">${DataValidator.getCodeLabel(code)}: ${count}</span>`)
+            .join('');
+
+        this.uiManager.setHTML('dataQualitySummary', `
+            <table class="transactions-table quality-summary-table">
+                <thead>
+                    <tr>
+                        <th>Data</th>
+                        <th>Received</th>
+                        <th>Accepted</th>
+                        <th>Rejected</th>
+                        <th>Corrected</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            ${codes ? `<div class="quality-codes">${codes}</div>` : ''}
+        `);
+    }
+
+    /**
+     * Render the list of rejected and corrected records
+     * @param {Array} issues - Issues from ValidationReport.getIssues
+     * @private
+     */
+    renderIssues(issues) {
+        if (issues.length === 0) {
+            this.uiManager.setHTML('dataQualityIssues', '<p class="no-data">All loaded records passed validation</p>');
+            return;
+        }
+
+        const rows = issues.map(issue => `
+            <tr class="quality-${issue.severity}">
+                <td>${this.formatResource(issue.resource)}</td>
+                <td>${escapeHtml(issue.recordId || '-')}</td>
+                <td>${issue.row || '-'}</td>
+                <td>${issue.severity === 'error' ? 'Rejected' : 'Corrected'}</td>
+                <td>${issue.reasons.map(reason => `
+                    <div class="quality-reason">
+                        <span class="quality-code" title="${reason.code}">${DataValidator.getCodeLabel(reason.code)}</span>
+                        ${escapeHtml(reason.message)}
+                    </div>
+                `).join('')}</td>
+            </tr>
+        `).join('');
+
+        this.uiManager.setHTML('dataQualityIssues', `
+            <table class="transactions-table quality-issues-table">
+                <thead>
+                    <tr>
+                        <th>Data</th>
+                        <th>Record</th>
+                        <th>Row</th>
+                        <th>Result</th>
+                        <th>Reasons</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `);
+    }
+
+    /**
+     * Format a resource name for display
+     * @param {string} resource - Resource name (e.g., "transactions")
+     * @returns {string} Display name (e.g., "Transactions")
+     * @private
+     */
+    formatResource(resource) {
+        return resource.charAt(0).toUpperCase() + resource.slice(1);
+    }
+}
@@ -6,21 +6,166 @@
 
 import logger from './logger.js';
 import { CONSTANTS } from './constants.js';
+import { Money } from './money.js';
+import { CurrencyConverter } from './currencyConverter.js';
+import { RewardRules } from './rewardRules.js';
+import { DateUtils } from './dateUtils.js';
+import { DataSource } from './dataSources.js';
+import { PersistentCache } from './persistentCache.js';
+import { DataValidator, ValidationReport } from './dataValidator.js';
+import { IntegrityChecker } from './integrityChecker.js';
+
+/**
+ * Resources kept in the persistent cache; exchange rates are not needed once transactions are converted
+ */
+const PERSISTED_RESOURCES = ['customers', 'transactions', 'redemptions'];
+
+/**
+ * Fields holding loaded data, swapped in together when a refresh succeeds
+ */
+const LOADED_STATE = ['customers', 'transactions', 'redemptions', 'exchangeRates', 'cache', 'loadedAt', 'validationReport'];
+
+/**
+ * Resources that records can be imported into, e.g. from a CSV file
+ */
+const IMPORTABLE_RESOURCES = ['customers', 'transactions'];
 
 /**
  * Service class for managing customer and transaction data
  * Simulates API calls with loading states and error handling
  */
 export class DataService {
-    constructor() {
+    /**
+     * Constructor
+     * @param {DataSource} dataSource - Adapter to load raw data through, defaults to the configured source
+     * @param {PersistentCache} persistentCache - Cache that keeps loaded data across page reloads
+     */
+    constructor(dataSource = DataSource.create(), persistentCache = new PersistentCache()) {
+        this.dataSource = dataSource;
+        this.persistentCache = persistentCache;
         this.customers = [];
         this.transactions = [];
+        this.redemptions = [];
+        this.exchangeRates = [];
         this.isLoading = false;
         this.cache = new Map();
+        this.loadedAt = {};
+        this.validationReport = new ValidationReport();
+        this.importedRecords = { customers: [], transactions: [] };
+    }
+
+    /**
+     * Restore customers, transactions, redemptions and their validation report from the persistent cache
+     * Nothing is restored unless every resource and the report have a fresh entry, so cached and newly
+     * loaded data are never mixed
+     * @returns {Promise<boolean>} True if the data was restored
+     */
+    async restoreFromPersistentCache() {
+        const [entries, reportEntry] = await Promise.all([
+            Promise.all(PERSISTED_RESOURCES.map(resource => this.persistentCache.get(resource))),
+            this.persistentCache.get('validationReport')
+        ]);
+
+        if (entries.some(entry => !entry || !Array.isArray(entry.data)) || !reportEntry || !reportEntry.data) {
+            logger.info('No fresh data in persistent cache');
+            return false;
+        }
+
+        PERSISTED_RESOURCES.forEach((resource, index) => {
+            this[resource] = entries[index].data;
+            this.cache.set(resource, entries[index].data);
+            this.loadedAt[resource] = entries[index].savedAt;
+        });
+        this.validationReport = ValidationReport.fromData(reportEntry.data);
+
+        // Imported records are kept so the next refresh still includes them
+        const imports = await this.persistentCache.get('imports');
+        if (imports && imports.data) {
+            this.importedRecords = { ...this.importedRecords, ...imports.data };
+        }
+
+        logger.info(`Restored data from persistent cache as of ${this.getDataAsOf().toISOString()}`);
+        return true;
+    }
+
+    /**
+     * Load customers, transactions and redemptions, then keep them in the persistent cache
+     * Integrity checks run once customers and transactions have both loaded, so orphan transactions are
+     * found against the customers of the same load. Nothing is persisted unless every resource loaded,
+     * so the cache never pairs new and old data
+     * @returns {Promise<void>}
+     * @throws {Error} When data loading fails
+     */
+    async loadAllData() {
+        await this.loadCustomers();
+        await this.loadTransactions();
+        this.checkIntegrity();
+        await this.loadRedemptions();
+        await this.persistLoadedData();
+    }
+
+    /**
+     * Reload customers, transactions and redemptions from the data source, replacing the cached data
+     * The data is loaded into a separate service and swapped in once everything loaded, so the data in use
+     * stays complete while the refresh runs and is kept if loading fails
+     * @returns {Promise<void>}
+     * @throws {Error} When data loading fails
+     */
+    async refreshData() {
+        const staged = new DataService(this.dataSource, this.persistentCache);
+        staged.importedRecords = this.importedRecords;
+
+        await staged.loadAllData();
+
+        LOADED_STATE.forEach(field => {
+            this[field] = staged[field];
+        });
+        logger.info('Data refreshed from data source');
+    }
+
+    /**
+     * Import raw records, e.g. parsed from a CSV file, and reload the data with them
+     * Imported records are added to those of the data source and go through the same validation and
+     * integrity checks; rejected records are listed in the validation report
+     * @param {string} resource - 'customers' or 'transactions'
+     * @param {Array} records - Raw records
+     * @returns {Promise<void>}
+     * @throws {Error} If the resource cannot be imported or reloading fails (the import is then undone)
+     */
+    async importRecords(resource, records) {
+        if (!IMPORTABLE_RESOURCES.includes(resource)) {
+            throw new Error(`Cannot import ${resource}`);
+        }
+
+        if (!Array.isArray(records) || records.length === 0) {
+            throw new Error('No records to import');
+        }
+
+        const previousRecords = this.importedRecords[resource];
+        this.importedRecords = { ...this.importedRecords, [resource]: [...previousRecords, ...records] };
+
+        try {
+            await this.refreshData();
+        } catch (error) {
+            this.importedRecords = { ...this.importedRecords, [resource]: previousRecords };
+            throw error;
+        }
+
+        await this.persistentCache.set('imports', this.importedRecords);
+        logger.info(`Imported ${records.length} ${resource} records`);
+    }
+
+    /**
+     * Get the time the data in use was loaded from the data source
+     * @returns {Date|null} Load time of the oldest resource, or null if nothing was loaded
+     */
+    getDataAsOf() {
+        const times = Object.values(this.loadedAt);
+        return times.length > 0 ? new Date(Math.min(...times.map(time => time.getTime()))) : null;
     }
 
     /**
-     * Load customers data from JSON file
+     * Load customers data from the data source
      * Simulates async API call with loading state
      * @returns {Promise<Array>} Array of customer objects
      * @throws {Error} When data loading fails
@@ -47,34 +192,29 @@ export class DataService {
             // Check for simulated errors
             this.checkForSimulatedError();
 
-            const response = await fetch(CONSTANTS.DATA_PATHS.CUSTOMERS);
-            
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-
-            const data = await response.json();
+            const data = await this.dataSource.load('customers');
             
             if (!Array.isArray(data)) {
                 throw new Error('Invalid customers data format');
             }
 
-            this.customers = this.validateCustomersData(data);
+            this.customers = this.validateCustomersData([...data, ...this.importedRecords.customers]);
             this.cache.set(cacheKey, this.customers);
+            this.loadedAt[cacheKey] = new Date();
             
             logger.info(`Successfully loaded ${this.customers.length} customers`);
             return this.customers;
 
         } catch (error) {
             logger.error('Failed to load customers:', error);
-            throw new Error(`Failed to load customers data: ${error.message}`);
+            throw new Error(`Failed to load customers data: ${error.message}`, { cause: error });
         } finally {
             this.isLoading = false;
         }
     }
 
     /**
-     * Load transactions data from JSON file
+     * Load transactions data from the data source
      * Simulates async API call with loading state
      * @returns {Promise<Array>} Array of transaction objects
      * @throws {Error} When data loading fails
@@ -101,32 +241,108 @@ export class DataService {
             // Check for simulated errors
             this.checkForSimulatedError();
 
-            const response = await fetch(CONSTANTS.DATA_PATHS.TRANSACTIONS);
-            
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-
-            const data = await response.json();
+            const data = await this.dataSource.load('transactions');
             
             if (!Array.isArray(data)) {
                 throw new Error('Invalid transactions data format');
             }
 
-            this.transactions = this.validateTransactionsData(data);
+            this.transactions = await this.convertToBaseCurrency(this.validateTransactionsData([...data, ...this.importedRecords.transactions]));
             this.cache.set(cacheKey, this.transactions);
+            this.loadedAt[cacheKey] = new Date();
             
             logger.info(`Successfully loaded ${this.transactions.length} transactions`);
             return this.transactions;
 
         } catch (error) {
             logger.error('Failed to load transactions:', error);
-            throw new Error(`Failed to load transactions data: ${error.message}`);
+            throw new Error(`Failed to load transactions data: ${error.message}`, { cause: error });
         } finally {
             this.isLoading = false;
         }
     }
 
+    /**
+     * Load redemptions data from the data source
+     * Simulates async API call with loading state
+     * An empty redemptions file is valid (no customer has redeemed yet)
+     * @returns {Promise<Array>} Array of redemption objects
+     * @throws {Error} When data loading fails
+     */
+    async loadRedemptions() {
+        const cacheKey = 'redemptions';
+        if (this.cache.has(cacheKey)) {
+            logger.info('Redemptions already loaded from cache');
+            this.redemptions = this.cache.get(cacheKey);
+            return this.redemptions;
+        }
+
+        this.isLoading = true;
+        logger.info('Loading redemptions data...');
+
+        try {
+            // Simulate API delay
+            await this.simulateDelay();
+            
+            // Check for simulated errors
+            this.checkForSimulatedError();
+
+            const data = await this.dataSource.load('redemptions');
+            
+            if (!Array.isArray(data)) {
+                throw new Error('Invalid redemptions data format');
+            }
+
+            this.redemptions = this.validateRedemptionsData(data);
+            this.cache.set(cacheKey, this.redemptions);
+            this.loadedAt[cacheKey] = new Date();
+            
+            logger.info(`Successfully loaded ${this.redemptions.length} redemptions`);
+            return this.redemptions;
+
+        } catch (error) {
+            logger.error('Failed to load redemptions:', error);
+            throw new Error(`Failed to load redemptions data: ${error.message}`, { cause: error });
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    /**
+     * Load the exchange-rate table from the data source
+     * Only needed when transactions are in a currency other than the base currency
+     * @returns {Promise<Array>} Exchange-rate entries ({ date, rates }) sorted by date
+     * @throws {Error} When data loading fails
+     */
+    async loadExchangeRates() {
+        const cacheKey = 'exchangeRates';
+        if (this.cache.has(cacheKey)) {
+            logger.info('Exchange rates already loaded from cache');
+            this.exchangeRates = this.cache.get(cacheKey);
+            return this.exchangeRates;
+        }
+
+        logger.info('Loading exchange rates...');
+
+        try {
+            const data = await this.dataSource.load('exchangeRates');
+            
+            if (!Array.isArray(data)) {
+                throw new Error('Invalid exchange rates data format');
+            }
+
+            this.exchangeRates = this.validateExchangeRatesData(data);
+            this.cache.set(cacheKey, this.exchangeRates);
+            
+            logger.info(`Successfully loaded ${this.exchangeRates.length} exchange rate entries`);
+            return this.exchangeRates;
+
+        } catch (error) {
+            logger.error('Failed to load exchange rates:', error);
+            throw new Error(`Failed to load exchange rates: ${error.message}`, { cause: error });
+        }
+    }
+
     /**
      * Get all customers
      * @returns {Array} Array of customer objects
@@ -149,6 +365,19 @@ export class DataService {
         return this.customers.find(customer => customer.customerId === customerId) || null;
     }
 
+    /**
+     * Get customers referred by a customer
+     * @param {string} customerId - Referring customer ID
+     * @returns {Array} Referred customer objects
+     */
+    getReferralsForCustomer(customerId) {
+        if (!customerId) {
+            return [];
+        }
+
+        return this.customers.filter(customer => customer.referredBy === customerId);
+    }
+
     /**
      * Get transactions for a specific customer
      * @param {string} customerId - Customer ID
@@ -176,12 +405,50 @@ export class DataService {
         }
 
         // Sort by date descending (newest first)
-        customerTransactions.sort((a, b) => new Date(b.date) - new Date(a.date));
+        customerTransactions.sort((a, b) => DateUtils.compare(b.date, a.date));
         
         logger.info(`Found ${customerTransactions.length} transactions for customer ${customerId}`);
         return customerTransactions;
     }
 
+    /**
+     * Get redemptions for a specific customer
+     * @param {string} customerId - Customer ID
+     * @param {Object} filters - Optional filters (month, year)
+     * @returns {Array} Array of filtered redemption objects, newest first
+     */
+    getRedemptionsForCustomer(customerId, filters = {}) {
+        if (!customerId) {
+            logger.warn('getRedemptionsForCustomer called with empty customerId');
+            return [];
+        }
+
+        let customerRedemptions = this.redemptions.filter(
+            redemption => redemption.customerId === customerId
+        );
+
+        if (filters && (filters.month || filters.year)) {
+            customerRedemptions = this.applyDateFilters(customerRedemptions, filters);
+        }
+
+        customerRedemptions.sort((a, b) => DateUtils.compare(b.date, a.date));
+        return customerRedemptions;
+    }
+
+    /**
+     * Filter dated records (e.g. generated bonus entries) to the same period as the transaction filters
+     * @param {Array} records - Records with a date
+     * @param {Object} filters - Optional filters (month, year)
+     * @returns {Array} Records in the filtered period
+     */
+    filterByPeriod(records, filters = {}) {
+        if (!filters || !(filters.month || filters.year)) {
+            return [...records];
+        }
+
+        return this.applyDateFilters(records, filters);
+    }
+
     /**
      * Apply date filters to transactions
      * @param {Array} transactions - Array of transactions
@@ -200,10 +467,12 @@ export class DataService {
         }
 
         return transactions.filter(transaction => {
-            const transactionDate = new Date(transaction.date);
-            const transactionMonth = String(transactionDate.getMonth() + 1).padStart(2, '0');
-            const transactionYear = String(transactionDate.getFullYear());
+            const monthKey = DateUtils.toMonthKey(transaction.date);
+            if (!monthKey) {
+                return false;
+            }
 
+            const [transactionYear, transactionMonth] = monthKey.split('-');
             const monthMatches = !month || transactionMonth === month;
             const yearMatches = !year || transactionYear === year;
 
@@ -218,83 +487,306 @@ export class DataService {
      * @private
      */
     getLastThreeMonthsTransactions(transactions) {
-        const now = new Date();
-        const threeMonthsAgo = new Date(now.getFullYear(), now.getMonth() - 3, now.getDate());
+        const today = DateUtils.today();
+        const threeMonthsAgo = DateUtils.addMonths(today, -3);
         
         return transactions.filter(transaction => {
-            const transactionDate = new Date(transaction.date);
-            return transactionDate >= threeMonthsAgo && transactionDate <= now;
+            const dateKey = DateUtils.toDateKey(transaction.date);
+            return dateKey !== null && dateKey >= threeMonthsAgo && dateKey <= today;
         });
     }
 
     /**
      * Validate customers data structure
+     * Rejected records are listed in the validation report.
+     * An optional referredBy link is kept when it points at another known customer
      * @param {Array} data - Raw customers data
      * @returns {Array} Validated customers data
      * @throws {Error} If data validation fails
      * @private
      */
     validateCustomersData(data) {
-        const validatedData = [];
-        
-        for (const customer of data) {
-            if (!customer.customerId || !customer.name) {
-                logger.warn('Invalid customer data found, skipping:', customer);
-                continue;
-            }
-            
-            validatedData.push({
+        const validatedData = DataValidator.validateRecords(data, 'customers', this.validationReport)
+            .map(customer => ({
                 customerId: String(customer.customerId),
                 name: String(customer.name),
                 email: customer.email ? String(customer.email) : '',
-                joinDate: customer.joinDate ? String(customer.joinDate) : ''
-            });
-        }
+                joinDate: customer.joinDate ? String(customer.joinDate) : '',
+                ...(customer.referredBy ? { referredBy: String(customer.referredBy) } : {})
+            }));
         
         if (validatedData.length === 0) {
             throw new Error('No valid customer data found');
         }
         
-        return validatedData;
+        return this.validateReferralLinks(validatedData);
+    }
+
+    /**
+     * Remove referral links to unknown customers or to the customer themselves
+     * The customer is kept, only the link is dropped (reported as a warning)
+     * @param {Array} customers - Validated customers
+     * @returns {Array} Customers with only resolvable referral links
+     * @private
+     */
+    validateReferralLinks(customers) {
+        const customerIds = new Set(customers.map(customer => customer.customerId));
+
+        return customers.map(customer => {
+            if (!customer.referredBy) {
+                return customer;
+            }
+
+            if (customer.referredBy === customer.customerId || !customerIds.has(customer.referredBy)) {
+                this.validationReport.warn('customers', customer, {
+                    code: 'UNKNOWN_REFERENCE',
+                    field: 'referredBy',
+                    message: `Referred by unknown customer ${customer.referredBy}, referral ignored`
+                });
+                const { referredBy, ...unlinkedCustomer } = customer;
+                return unlinkedCustomer;
+            }
+
+            return customer;
+        });
     }
 
     /**
      * Validate transactions data structure
+     * Purchases need a non-negative amount; refunds (type "refund") need a negative amount
+     * and an originalTransactionId pointing at a purchase of the same customer.
+     * Optional category (normalized to lower case), merchant and currency (ISO 4217 code) are kept when present.
+     * Cross-dataset checks run later, in checkIntegrity; rejected records are listed in the validation report
      * @param {Array} data - Raw transactions data
      * @returns {Array} Validated transactions data
      * @throws {Error} If data validation fails
      * @private
      */
     validateTransactionsData(data) {
-        const validatedData = [];
+        const validatedData = DataValidator.validateRecords(data, 'transactions', this.validationReport)
+            .map(transaction => {
+                if (Money.hasSubCentPrecision(transaction.amount)) {
+                    this.validationReport.warn('transactions', transaction, {
+                        code: 'ROUNDED_AMOUNT',
+                        field: 'amount',
+                        message: `Amount ${transaction.amount} has sub-cent precision, rounded to cents`
+                    });
+                }
+
+                return {
+                    transactionId: String(transaction.transactionId),
+                    customerId: String(transaction.customerId),
+                    amount: Money.fromCents(Money.toCents(transaction.amount)),
+                    date: String(transaction.date),
+                    ...(transaction.category ? { category: transaction.category.trim().toLowerCase() } : {}),
+                    ...(transaction.merchant ? { merchant: transaction.merchant.trim() } : {}),
+                    ...(transaction.currency ? { currency: transaction.currency.toUpperCase() } : {}),
+                    ...(transaction.type === 'refund' ? {
+                        type: 'refund',
+                        originalTransactionId: String(transaction.originalTransactionId)
+                    } : {})
+                };
+            });
+
+        const referencedData = this.validateRefundReferences(validatedData);
         
-        for (const transaction of data) {
-            if (!transaction.transactionId || !transaction.customerId || 
-                typeof transaction.amount !== 'number' || !transaction.date) {
-                logger.warn('Invalid transaction data found, skipping:', transaction);
-                continue;
+        if (referencedData.length === 0) {
+            throw new Error('No valid transaction data found');
+        }
+        
+        return referencedData;
+    }
+
+    /**
+     * Check loaded transactions against each other and the loaded customers
+     * Orphan transactions, duplicate IDs and near-duplicates are handled by IntegrityChecker under the
+     * configured policies; refunds whose purchase was rejected by a check are rejected with it
+     * @throws {Error} If a configured policy is invalid or no valid transactions are left
+     * @private
+     */
+    checkIntegrity() {
+        const checkedData = this.validateRefundReferences(
+            IntegrityChecker.check(this.transactions, this.customers, this.validationReport)
+        );
+
+        if (checkedData.length === 0) {
+            throw new Error('No valid transaction data found');
+        }
+
+        this.transactions = checkedData;
+        this.cache.set('transactions', this.transactions);
+    }
+
+    /**
+     * Get the IDs records may reference
+     * @returns {Object} Set of customer IDs once customers are loaded, otherwise no references are checked
+     * @private
+     */
+    getKnownIds() {
+        return this.customers.length > 0
+            ? { customers: new Set(this.customers.map(customer => customer.customerId)) }
+            : {};
+    }
+
+    /**
+     * Drop refunds whose original purchase is missing or belongs to another customer
+     * @param {Array} transactions - Validated transactions
+     * @returns {Array} Transactions with only resolvable refunds, which inherit the purchase's category
+     * @private
+     */
+    validateRefundReferences(transactions) {
+        const purchases = new Map(
+            transactions
+                .filter(transaction => transaction.type !== 'refund')
+                .map(transaction => [transaction.transactionId, transaction])
+        );
+
+        return transactions.filter(transaction => {
+            if (transaction.type !== 'refund') {
+                return true;
             }
-            
-            // Validate date format
-            const transactionDate = new Date(transaction.date);
-            if (isNaN(transactionDate.getTime())) {
-                logger.warn('Invalid date format in transaction, skipping:', transaction);
+
+            const original = purchases.get(transaction.originalTransactionId);
+            if (!original || original.customerId !== transaction.customerId) {
+                this.validationReport.reject('transactions', transaction, [{
+                    code: 'UNKNOWN_REFERENCE',
+                    field: 'originalTransactionId',
+                    message: `Refund references unknown purchase ${transaction.originalTransactionId}`
+                }]);
+                return false;
+            }
+
+            if (transaction.currency && transaction.currency !== (original.currency || CurrencyConverter.getBaseCurrency())) {
+                this.validationReport.reject('transactions', transaction, [{
+                    code: 'CURRENCY_MISMATCH',
+                    field: 'currency',
+                    message: `Refund currency ${transaction.currency} differs from the purchase currency`
+                }]);
+                return false;
+            }
+
+            return true;
+        }).map(transaction => this.inheritPurchaseDetails(transaction, purchases));
+    }
+
+    /**
+     * Give a refund without its own category, merchant or currency those of the purchase it refunds
+     * @param {Object} transaction - Validated transaction
+     * @param {Map} purchases - Purchases by transaction ID
+     * @returns {Object} Transaction with inherited category, merchant and currency
+     * @private
+     */
+    inheritPurchaseDetails(transaction, purchases) {
+        if (transaction.type !== 'refund') {
+            return transaction;
+        }
+
+        const original = purchases.get(transaction.originalTransactionId);
+        return {
+            ...transaction,
+            ...(!transaction.category && original.category ? { category: original.category } : {}),
+            ...(!transaction.merchant && original.merchant ? { merchant: original.merchant } : {}),
+            ...(!transaction.currency && original.currency ? { currency: original.currency } : {})
+        };
+    }
+
+    /**
+     * Convert amounts in other currencies to the base currency
+     * The original amount is kept as originalAmount; refunds are converted at the rate of the purchase
+     * they refund, so they reverse the same share of its points. Transactions without a rate are rejected
+     * @param {Array} transactions - Validated transactions
+     * @returns {Promise<Array>} Transactions with amounts in the base currency
+     * @private
+     */
+    async convertToBaseCurrency(transactions) {
+        if (transactions.every(transaction => CurrencyConverter.isBaseCurrency(transaction.currency))) {
+            return transactions;
+        }
+
+        const exchangeRates = await this.loadExchangeRates();
+        const purchaseDates = new Map(transactions.map(transaction => [transaction.transactionId, transaction.date]));
+
+        return transactions.flatMap(transaction => {
+            if (CurrencyConverter.isBaseCurrency(transaction.currency)) {
+                return [transaction];
+            }
+
+            const rateDate = transaction.type === 'refund' ? purchaseDates.get(transaction.originalTransactionId) : transaction.date;
+
+            try {
+                return [{
+                    ...transaction,
+                    amount: CurrencyConverter.convert(transaction.amount, transaction.currency, rateDate, exchangeRates),
+                    originalAmount: transaction.amount
+                }];
+            } catch (error) {
+                this.validationReport.reject('transactions', transaction, [{ code: 'NO_EXCHANGE_RATE', field: 'currency', message: error.message }]);
+                return [];
+            }
+        });
+    }
+
+    /**
+     * Validate exchange-rate table structure
+     * @param {Array} data - Raw exchange-rate entries
+     * @returns {Array} Validated entries sorted by date, with currency codes in upper case
+     * @private
+     */
+    validateExchangeRatesData(data) {
+        const validatedData = [];
+
+        for (const entry of data) {
+            if (!entry || !RewardRules.toDateKey(entry.date) || !entry.rates || typeof entry.rates !== 'object') {
+                logger.warn('Invalid exchange rate entry found, skipping:', entry);
                 continue;
             }
-            
-            validatedData.push({
-                transactionId: String(transaction.transactionId),
-                customerId: String(transaction.customerId),
-                amount: Number(transaction.amount),
-                date: String(transaction.date)
+
+            const rates = {};
+            Object.entries(entry.rates).forEach(([currency, rate]) => {
+                if (typeof rate === 'number' && isFinite(rate) && rate > 0) {
+                    rates[currency.toUpperCase()] = rate;
+                } else {
+                    logger.warn(`Invalid exchange rate for ${currency} on ${entry.date}, skipping rate`);
+                }
             });
+
+            validatedData.push({ date: RewardRules.toDateKey(entry.date), rates });
         }
-        
-        if (validatedData.length === 0) {
-            throw new Error('No valid transaction data found');
-        }
-        
-        return validatedData;
+
+        return validatedData.sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    /**
+     * Validate redemptions data structure
+     * Rejected records are listed in the validation report
+     * @param {Array} data - Raw redemptions data
+     * @returns {Array} Validated redemptions data
+     * @private
+     */
+    validateRedemptionsData(data) {
+        return DataValidator.validateRecords(data, 'redemptions', this.validationReport, this.getKnownIds())
+            .map(redemption => ({
+                redemptionId: String(redemption.redemptionId),
+                customerId: String(redemption.customerId),
+                points: redemption.points,
+                date: String(redemption.date),
+                description: redemption.description ? String(redemption.description) : ''
+            }));
+    }
+
+    /**
+     * Keep loaded customers, transactions and redemptions in the persistent cache with their load times,
+     * and the validation report of the load with them
+     * @returns {Promise<void>}
+     * @private
+     */
+    async persistLoadedData() {
+        await Promise.all([
+            ...PERSISTED_RESOURCES.map(resource =>
+                this.persistentCache.set(resource, this[resource], this.loadedAt[resource])
+            ),
+            this.persistentCache.set('validationReport', this.validationReport.toData(), this.getDataAsOf())
+        ]);
     }
 
     /**
@@ -319,13 +811,26 @@ export class DataService {
         }
     }
 
+    /**
+     * Get the report of records rejected or corrected while validating loaded data
+     * @returns {ValidationReport} Validation report
+     */
+    getValidationReport() {
+        return this.validationReport;
+    }
+
     /**
      * Clear cache (useful for testing or data refresh)
+     * Only the in-memory cache is cleared; the persistent cache is replaced by the next load
      */
     clearCache() {
         this.cache.clear();
+        this.loadedAt = {};
+        this.validationReport = new ValidationReport();
         this.customers = [];
         this.transactions = [];
+        this.redemptions = [];
+        this.exchangeRates = [];
         logger.info('Data cache cleared');
     }
 
@@ -0,0 +1,182 @@
+/**
+ * Data Sources
+ * Adapters that DataService loads raw customer, transaction, redemption and exchange-rate data through
+ * @module DataSources
+ */
+
+import logger from './logger.js';
+import { CONSTANTS } from './constants.js';
+import { RequestClient } from './requestClient.js';
+
+/**
+ * Resources every data source can load, mapped to their CONSTANTS.DATA_PATHS key
+ */
+const RESOURCE_PATH_KEYS = {
+    customers: 'CUSTOMERS',
+    transactions: 'TRANSACTIONS',
+    redemptions: 'REDEMPTIONS',
+    exchangeRates: 'EXCHANGE_RATES'
+};
+
+/**
+ * Base class for data source adapters
+ * An adapter returns the raw, unvalidated data of a resource; DataService validates it
+ */
+export class DataSource {
+    /**
+     * Create the data source selected by configuration
+     * @param {Object} config - Data source configuration, defaults to CONSTANTS.DATA_SOURCE
+     * @param {string} config.TYPE - 'static', 'rest' or 'memory'
+     * @param {Object} config.REST - REST settings ({ BASE_URL, ENDPOINTS, HEADERS }) for type 'rest'
+     * @param {Object} config.DATA - Data per resource for type 'memory'
+     * @returns {DataSource} Data source instance
+     * @throws {Error} If the type is unknown
+     */
+    static create(config = CONSTANTS.DATA_SOURCE) {
+        const type = (config && config.TYPE) || 'static';
+
+        switch (type) {
+            case 'static':
+                return new StaticJsonDataSource(CONSTANTS.DATA_PATHS);
+            case 'rest':
+                return new RestApiDataSource(config.REST);
+            case 'memory':
+                return new InMemoryDataSource(config.DATA);
+            default:
+                throw new Error(`Unknown data source type: ${type}`);
+        }
+    }
+
+    /**
+     * Load the raw data of a resource
+     * @param {string} resource - 'customers', 'transactions', 'redemptions' or 'exchangeRates'
+     * @returns {Promise<*>} Raw data
+     * @throws {Error} Always; subclasses must implement this method
+     */
+    async load(resource) {
+        throw new Error(`load() is not implemented for ${resource}`);
+    }
+
+    /**
+     * Check a resource name is one every data source supports
+     * @param {string} resource - Resource name
+     * @throws {Error} If the resource is unknown
+     * @protected
+     */
+    assertResource(resource) {
+        if (!RESOURCE_PATH_KEYS[resource]) {
+            throw new Error(`Unknown data resource: ${resource}`);
+        }
+    }
+
+    /**
+     * Fetch a URL and parse its JSON body through the request client, which retries temporary failures
+     * @param {string} url - URL to fetch
+     * @param {Object} options - Optional fetch options
+     * @returns {Promise<*>} Parsed response body
+     * @throws {RequestError} If the request fails
+     * @protected
+     */
+    async fetchJson(url, options) {
+        return this.requestClient.fetchJson(url, options);
+    }
+}
+
+/**
+ * Data source reading the static JSON files under public/data
+ */
+export class StaticJsonDataSource extends DataSource {
+    /**
+     * Constructor
+     * @param {Object} paths - File path per DATA_PATHS key
+     * @param {RequestClient} requestClient - Client used to fetch the files
+     */
+    constructor(paths = CONSTANTS.DATA_PATHS, requestClient = new RequestClient()) {
+        super();
+        this.paths = paths;
+        this.requestClient = requestClient;
+    }
+
+    /**
+     * Load a resource from its static JSON file
+     * @param {string} resource - Resource name
+     * @returns {Promise<*>} Parsed file contents
+     */
+    async load(resource) {
+        this.assertResource(resource);
+        logger.debug(`Loading ${resource} from static file`);
+
+        return this.fetchJson(this.paths[RESOURCE_PATH_KEYS[resource]]);
+    }
+}
+
+/**
+ * Data source reading from a REST API
+ * Each resource is a GET endpoint relative to the base URL returning a JSON array
+ */
+export class RestApiDataSource extends DataSource {
+    /**
+     * Constructor
+     * @param {Object} settings - REST settings
+     * @param {string} settings.BASE_URL - Base URL of the API
+     * @param {Object} settings.ENDPOINTS - Endpoint path per resource
+     * @param {Object} settings.HEADERS - Extra request headers (e.g. authorization)
+     * @param {RequestClient} requestClient - Client used to call the API
+     * @throws {Error} If no base URL is configured
+     */
+    constructor(settings = {}, requestClient = new RequestClient()) {
+        super();
+
+        if (!settings.BASE_URL) {
+            throw new Error('REST data source requires a BASE_URL');
+        }
+
+        this.baseUrl = settings.BASE_URL.replace(/\/+$/, '');
+        this.endpoints = settings.ENDPOINTS || {};
+        this.headers = settings.HEADERS || {};
+        this.requestClient = requestClient;
+    }
+
+    /**
+     * Load a resource from its API endpoint
+     * @param {string} resource - Resource name
+     * @returns {Promise<*>} Parsed response body
+     */
+    async load(resource) {
+        this.assertResource(resource);
+
+        const endpoint = this.endpoints[resource] || `/${resource}`;
+        const url = `${this.baseUrl}${endpoint.startsWith('/') ? '' : '/'}${endpoint}`;
+        logger.debug(`Loading ${resource} from ${url}`);
+
+        return this.fetchJson(url, {
+            method: 'GET',
+            headers: { Accept: 'application/json', ...this.headers }
+        });
+    }
+}
+
+/**
+ * Data source serving data held in memory, e.g. for tests
+ * Resources that were not provided load as empty arrays
+ */
+export class InMemoryDataSource extends DataSource {
+    /**
+     * Constructor
+     * @param {Object} data - Data per resource (e.g. { customers: [...], transactions: [...] })
+     */
+    constructor(data = {}) {
+        super();
+        this.data = data;
+    }
+
+    /**
+     * Load a copy of a resource, so validation never changes the source data
+     * @param {string} resource - Resource name
+     * @returns {Promise<*>} Copy of the resource data
+     */
+    async load(resource) {
+        this.assertResource(resource);
+        return JSON.parse(JSON.stringify(this.data[resource] || []));
+    }
+}
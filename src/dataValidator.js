@@ -0,0 +1,377 @@
+/**
+ * Data Validator
+ * Validates raw records against declarative schemas and collects rejected records in a validation report
+ * @module DataValidator
+ */
+
+import logger from './logger.js';
+import { CONSTANTS } from './constants.js';
+import { Money } from './money.js';
+import { DateUtils } from './dateUtils.js';
+
+/**
+ * Schema per resource
+ * Field definitions: type ('id', 'string', 'text', 'number', 'integer' or 'date'), required, oneOf, pattern,
+ * min and references (a resource whose IDs the value must be one of, with the code to report otherwise).
+ * Rules check combinations of fields and only run once every field is valid.
+ * Later records repeating an ID are rejected unless uniqueIds is false; transactions leave unknown customers
+ * and duplicates to IntegrityChecker, which applies the configured integrity policies
+ */
+const SCHEMAS = {
+    customers: {
+        idField: 'customerId',
+        fields: {
+            customerId: { type: 'id', required: true },
+            name: { type: 'string', required: true },
+            email: { type: 'string' },
+            joinDate: { type: 'string' },
+            referredBy: { type: 'id' }
+        },
+        rules: []
+    },
+    transactions: {
+        idField: 'transactionId',
+        uniqueIds: false,
+        fields: {
+            transactionId: { type: 'id', required: true },
+            customerId: { type: 'id', required: true },
+            amount: { type: 'number', required: true },
+            date: { type: 'date', required: true },
+            type: { type: 'string', oneOf: ['purchase', 'refund'] },
+            originalTransactionId: { type: 'id' },
+            category: { type: 'text' },
+            merchant: { type: 'text' },
+            currency: { type: 'string', pattern: /^[A-Za-z]{3}$/ }
+        },
+        rules: [
+            {
+                code: 'INVALID_VALUE',
+                field: 'amount',
+                message: 'Refund must have a negative amount and an originalTransactionId',
+                test: transaction => transaction.type !== 'refund' ||
+                    (Money.toCents(transaction.amount) < 0 && Boolean(transaction.originalTransactionId))
+            },
+            {
+                code: 'NEGATIVE_AMOUNT',
+                field: 'amount',
+                message: 'Purchase amount is negative',
+                test: transaction => transaction.type === 'refund' || Money.toCents(transaction.amount) >= 0
+            }
+        ]
+    },
+    redemptions: {
+        idField: 'redemptionId',
+        fields: {
+            redemptionId: { type: 'id', required: true },
+            customerId: { type: 'id', required: true, references: { resource: 'customers', code: 'UNKNOWN_CUSTOMER' } },
+            points: { type: 'integer', required: true, min: 1 },
+            date: { type: 'date', required: true },
+            description: { type: 'string' }
+        },
+        rules: []
+    }
+};
+
+/**
+ * Report of the records rejected (severity 'error') or corrected (severity 'warning') while validating
+ * Each issue is { resource, recordId, row, severity, reasons: [{ code, field, message }], record }
+ */
+export class ValidationReport {
+    /**
+     * Constructor
+     */
+    constructor() {
+        this.issues = [];
+        this.received = {};
+    }
+
+    /**
+     * Recreate a report from the issues and counts of a saved report, e.g. from the persistent cache
+     * @param {Object} data - Saved report as { issues, received } (see toData)
+     * @returns {ValidationReport} Report with the saved issues and counts
+     */
+    static fromData(data) {
+        const report = new ValidationReport();
+        report.issues = Array.isArray(data.issues) ? [...data.issues] : [];
+        report.received = { ...data.received };
+        return report;
+    }
+
+    /**
+     * Get the issues and counts as plain data that can be saved
+     * @returns {Object} { issues, received }
+     */
+    toData() {
+        return { issues: this.issues, received: this.received };
+    }
+
+    /**
+     * Start validating a resource, replacing its previous issues
+     * @param {string} resource - Resource name
+     * @param {number} received - Number of records received
+     */
+    startResource(resource, received) {
+        this.issues = this.issues.filter(issue => issue.resource !== resource);
+        this.received[resource] = received;
+    }
+
+    /**
+     * Record a rejected record
+     * @param {string} resource - Resource name
+     * @param {Object} record - Raw record
+     * @param {Array} reasons - Reasons ({ code, field, message }) the record was rejected
+     * @param {number|null} row - 1-based position of the record in the raw data, if known
+     */
+    reject(resource, record, reasons, row = null) {
+        this.addIssue(resource, record, reasons, row, 'error');
+    }
+
+    /**
+     * Record a record that was kept after correcting it
+     * @param {string} resource - Resource name
+     * @param {Object} record - Raw record
+     * @param {Object} reason - Correction made ({ code, field, message })
+     * @param {number|null} row - 1-based position of the record in the raw data, if known
+     */
+    warn(resource, record, reason, row = null) {
+        this.addIssue(resource, record, [reason], row, 'warning');
+    }
+
+    /**
+     * Get issues, optionally for one resource
+     * @param {string} resource - Resource name, or null for all
+     * @returns {Array} Issues in the order they were found
+     */
+    getIssues(resource = null) {
+        return this.issues.filter(issue => !resource || issue.resource === resource);
+    }
+
+    /**
+     * Count issue reasons by code
+     * @returns {Object} Number of reasons per code
+     */
+    getCountsByCode() {
+        return this.issues
+            .flatMap(issue => issue.reasons)
+            .reduce((counts, reason) => {
+                counts[reason.code] = (counts[reason.code] || 0) + 1;
+                return counts;
+            }, {});
+    }
+
+    /**
+     * Summarize every validated resource
+     * @returns {Array} { resource, received, accepted, rejected, warnings } per resource
+     */
+    getSummary() {
+        return Object.entries(this.received).map(([resource, received]) => {
+            const issues = this.getIssues(resource);
+            const rejected = issues.filter(issue => issue.severity === 'error').length;
+
+            return {
+                resource,
+                received,
+                accepted: received - rejected,
+                rejected,
+                warnings: issues.length - rejected
+            };
+        });
+    }
+
+    /**
+     * Remove all issues and counts
+     */
+    clear() {
+        this.issues = [];
+        this.received = {};
+    }
+
+    /**
+     * Add an issue and log it
+     * @param {string} resource - Resource name
+     * @param {Object} record - Raw record
+     * @param {Array} reasons - Reasons
+     * @param {number|null} row - Position in the raw data
+     * @param {string} severity - 'error' or 'warning'
+     * @private
+     */
+    addIssue(resource, record, reasons, row, severity) {
+        const schema = SCHEMAS[resource];
+        const id = record && schema ? record[schema.idField] : undefined;
+        const recordId = id !== undefined && id !== null && id !== '' ? String(id) : null;
+
+        this.issues.push({ resource, recordId, row, severity, reasons, record });
+        logger.warn(`${severity === 'error' ? 'Rejected' : 'Corrected'} ${resource} record ${recordId || `at row ${row}`}: ${reasons.map(reason => reason.message).join('; ')}`);
+    }
+}
+
+/**
+ * Validator class for raw records
+ */
+export class DataValidator {
+    /**
+     * Get the label of an issue code
+     * @param {string} code - Issue code
+     * @returns {string} Label from CONSTANTS.VALIDATION.CODES, or the code itself
+     */
+    static getCodeLabel(code) {
+        return CONSTANTS.VALIDATION.CODES[code] || code;
+    }
+
+    /**
+     * Get the fields a resource requires
+     * @param {string} resource - Resource name
+     * @returns {Array} Required field names
+     */
+    static getRequiredFields(resource) {
+        return Object.entries(this.getSchema(resource).fields)
+            .filter(([, definition]) => definition.required)
+            .map(([field]) => field);
+    }
+
+    /**
+     * Validate records of a resource, rejecting invalid records and later duplicates of an ID (for schemas with unique IDs)
+     * @param {Array} records - Raw records
+     * @param {string} resource - Resource name ('customers', 'transactions' or 'redemptions')
+     * @param {ValidationReport} report - Report to record rejected records in
+     * @param {Object} knownIds - Set of valid IDs per referenced resource; references are not checked
+     *   against resources that are not given
+     * @returns {Array} Raw records that passed validation
+     */
+    static validateRecords(records, resource, report, knownIds = {}) {
+        const schema = this.getSchema(resource);
+        const seenIds = new Set();
+
+        report.startResource(resource, records.length);
+
+        return records.filter((record, index) => {
+            const reasons = this.validateRecord(record, resource, knownIds);
+            const id = reasons.length === 0 ? String(record[schema.idField]) : null;
+
+            if (id !== null && schema.uniqueIds !== false && seenIds.has(id)) {
+                reasons.push(this.createReason('DUPLICATE_ID', schema.idField, `Duplicate ${schema.idField} ${id}`));
+            }
+
+            if (reasons.length > 0) {
+                report.reject(resource, record, reasons, index + 1);
+                return false;
+            }
+
+            seenIds.add(id);
+            return true;
+        });
+    }
+
+    /**
+     * Validate a single record against its resource schema
+     * @param {Object} record - Raw record
+     * @param {string} resource - Resource name
+     * @param {Object} knownIds - Set of valid IDs per referenced resource
+     * @returns {Array} Reasons ({ code, field, message }) the record is invalid, empty if valid
+     */
+    static validateRecord(record, resource, knownIds = {}) {
+        const schema = this.getSchema(resource);
+
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            return [this.createReason('INVALID_TYPE', null, 'Record is not an object')];
+        }
+
+        const reasons = Object.entries(schema.fields)
+            .map(([field, definition]) => this.validateField(record[field], field, definition, knownIds))
+            .filter(Boolean);
+
+        if (reasons.length > 0) {
+            return reasons;
+        }
+
+        return schema.rules
+            .filter(rule => !rule.test(record))
+            .map(rule => this.createReason(rule.code, rule.field, rule.message));
+    }
+
+    /**
+     * Get the schema of a resource
+     * @param {string} resource - Resource name
+     * @returns {Object} Schema
+     * @throws {Error} If the resource has no schema
+     * @private
+     */
+    static getSchema(resource) {
+        if (!SCHEMAS[resource]) {
+            throw new Error(`No validation schema for ${resource}`);
+        }
+        return SCHEMAS[resource];
+    }
+
+    /**
+     * Validate a field value against its definition
+     * @param {*} value - Field value
+     * @param {string} field - Field name
+     * @param {Object} definition - Field definition
+     * @param {Object} knownIds - Set of valid IDs per referenced resource
+     * @returns {Object|null} Reason the value is invalid, or null if valid
+     * @private
+     */
+    static validateField(value, field, definition, knownIds) {
+        // Empty text is only absent for fields other than text fields, which must be non-empty when present
+        if (value === undefined || value === null || (value === '' && definition.type !== 'text')) {
+            return definition.required ? this.createReason('MISSING_FIELD', field, `Missing ${field}`) : null;
+        }
+
+        switch (definition.type) {
+            case 'number':
+                if (typeof value !== 'number' || !isFinite(value)) {
+                    return this.createReason('INVALID_TYPE', field, `${field} must be a number`);
+                }
+                break;
+            case 'integer':
+                if (!Number.isInteger(value)) {
+                    return this.createReason('INVALID_TYPE', field, `${field} must be a whole number`);
+                }
+                break;
+            case 'date':
+                if (!DateUtils.isValid(value)) {
+                    return this.createReason('INVALID_DATE', field, `${field} is not a valid date: ${value}`);
+                }
+                break;
+            case 'text':
+                if (typeof value !== 'string' || value.trim() === '') {
+                    return this.createReason('INVALID_VALUE', field, `${field} must be non-empty text`);
+                }
+                break;
+            default:
+                break;
+        }
+
+        if (definition.oneOf && !definition.oneOf.includes(value)) {
+            return this.createReason('INVALID_VALUE', field, `${field} must be one of ${definition.oneOf.join(', ')}`);
+        }
+
+        if (definition.pattern && !definition.pattern.test(String(value))) {
+            return this.createReason('INVALID_VALUE', field, `${field} has an invalid format: ${value}`);
+        }
+
+        if (definition.min !== undefined && value < definition.min) {
+            return this.createReason('INVALID_VALUE', field, `${field} must be at least ${definition.min}`);
+        }
+
+        const references = definition.references;
+        if (references && knownIds[references.resource] && !knownIds[references.resource].has(String(value))) {
+            return this.createReason(references.code, field, `${field} ${value} does not match any ${references.resource} record`);
+        }
+
+        return null;
+    }
+
+    /**
+     * Create a reason
+     * @param {string} code - Issue code
+     * @param {string|null} field - Field the issue is about
+     * @param {string} message - Description
+     * @returns {Object} Reason
+     * @private
+     */
+    static createReason(code, field, message) {
+        return { code, field, message };
+    }
+}
@@ -0,0 +1,246 @@
+/**
+ * Date Utilities
+ * Timezone-safe calendar date handling for transaction, redemption and filter dates
+ * @module DateUtils
+ */
+
+import { CONSTANTS } from './constants.js';
+
+/**
+ * Date-only ISO strings (YYYY-MM-DD)
+ */
+const DATE_ONLY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * ISO timestamps, with an optional UTC offset (e.g. 2025-06-01T01:30:00-04:00)
+ */
+const TIMESTAMP_PATTERN = /^(\d{4})-(\d{2})-(\d{2})[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/i;
+
+/**
+ * Date formatters per time zone, created on first use
+ */
+const formatters = new Map();
+
+/**
+ * Date helper class
+ * Dates are handled as calendar date keys (YYYY-MM-DD) rather than Date objects: new Date('2025-06-01') is
+ * UTC midnight, which is still May 31 in US time zones. Date strings keep the calendar date they were written
+ * with; instants (Date objects, and timestamps with an offset when a program time zone is configured) are
+ * placed on the calendar of CONSTANTS.DATE_FORMATS.TIME_ZONE, or of the browser if none is configured
+ */
+export class DateUtils {
+    /**
+     * Convert a date to a calendar date key
+     * @param {string|Date|number} value - Date string, Date object or epoch milliseconds
+     * @param {string|null} timeZone - IANA time zone for instants, null for the browser's time zone
+     * @returns {string|null} Date key (YYYY-MM-DD) or null if the value is not a valid date
+     * @throws {Error} If the time zone is not a valid IANA time zone
+     */
+    static toDateKey(value, timeZone = CONSTANTS.DATE_FORMATS.TIME_ZONE) {
+        if (value === null || value === undefined || value === '') {
+            return null;
+        }
+
+        if (typeof value === 'string') {
+            const text = value.trim();
+            const dateOnly = text.match(DATE_ONLY_PATTERN);
+            const timestamp = dateOnly ? null : text.match(TIMESTAMP_PATTERN);
+
+            if (dateOnly || timestamp) {
+                const [, year, month, day] = dateOnly || timestamp;
+                if (!this.isCalendarDate(Number(year), Number(month), Number(day))) {
+                    return null;
+                }
+
+                // A timestamp with an offset is an instant; without a program time zone it stays on the date written
+                if (timestamp && timestamp[4] && timeZone) {
+                    return this.formatInstant(new Date(text), timeZone);
+                }
+
+                return `${year}-${month}-${day}`;
+            }
+
+            // Other formats (e.g. "July 15, 2025") are parsed as local dates and keep the date written
+            return this.formatInstant(new Date(text), null);
+        }
+
+        const date = value instanceof Date ? value : new Date(value);
+        return this.formatInstant(date, timeZone);
+    }
+
+    /**
+     * Convert a date to a month-year key
+     * @param {string|Date|number} value - Date string, Date object or epoch milliseconds
+     * @param {string|null} timeZone - IANA time zone for instants, null for the browser's time zone
+     * @returns {string|null} Month-year key (YYYY-MM) or null if the value is not a valid date
+     */
+    static toMonthKey(value, timeZone = CONSTANTS.DATE_FORMATS.TIME_ZONE) {
+        const dateKey = this.toDateKey(value, timeZone);
+        return dateKey ? dateKey.slice(0, 7) : null;
+    }
+
+    /**
+     * Get today's date key in the program time zone
+     * @param {Date} now - Current time
+     * @returns {string} Date key (YYYY-MM-DD)
+     */
+    static today(now = new Date()) {
+        return this.toDateKey(now);
+    }
+
+    /**
+     * Check whether a value is a valid date
+     * @param {*} value - Value to check
+     * @returns {boolean} True if the value can be placed on a calendar date
+     */
+    static isValid(value) {
+        return this.toDateKey(value) !== null;
+    }
+
+    /**
+     * Get a local Date at midnight of a date's calendar day, for display with toLocaleDateString
+     * @param {string|Date|number} value - Date
+     * @returns {Date} Local midnight Date (an invalid Date if the value is not a valid date)
+     */
+    static toLocalDate(value) {
+        const dateKey = this.toDateKey(value);
+        if (!dateKey) {
+            return new Date(NaN);
+        }
+
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    /**
+     * Compare two dates by calendar date, for sorting
+     * @param {string|Date|number} a - First date
+     * @param {string|Date|number} b - Second date
+     * @returns {number} Negative if a is earlier, positive if later, 0 on the same day; invalid dates sort last
+     */
+    static compare(a, b) {
+        const keyA = this.toDateKey(a);
+        const keyB = this.toDateKey(b);
+
+        if (keyA && keyB) {
+            return keyA.localeCompare(keyB);
+        }
+
+        return Number(!keyA) - Number(!keyB);
+    }
+
+    /**
+     * Add days to a date key
+     * @param {string} dateKey - Date key (YYYY-MM-DD)
+     * @param {number} days - Days to add (negative to go back)
+     * @returns {string} Resulting date key
+     */
+    static addDays(dateKey, days) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return this.fromUtc(year, month - 1, day + days);
+    }
+
+    /**
+     * Add months to a date key; days past the end of the target month roll over (Jan 31 + 1 month = Mar 3)
+     * @param {string} dateKey - Date key (YYYY-MM-DD)
+     * @param {number} months - Months to add (negative to go back)
+     * @returns {string} Resulting date key
+     */
+    static addMonths(dateKey, months) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return this.fromUtc(year, month - 1 + months, day);
+    }
+
+    /**
+     * Add whole years to a date key; Feb 29 rolls over to Mar 1 in other years
+     * @param {string} dateKey - Date key (YYYY-MM-DD)
+     * @param {number} years - Years to add
+     * @returns {string} Resulting date key
+     */
+    static addYears(dateKey, years) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return this.fromUtc(year + years, month - 1, day);
+    }
+
+    /**
+     * Move a month-year key by a number of months
+     * @param {string} monthKey - Month-year key (YYYY-MM)
+     * @param {number} months - Months to add (negative to go back)
+     * @returns {string} Shifted month-year key
+     */
+    static shiftMonth(monthKey, months) {
+        const [year, month] = monthKey.split('-').map(Number);
+        return this.fromUtc(year, month - 1 + months, 1).slice(0, 7);
+    }
+
+    /**
+     * Get the last day of a month
+     * @param {string} monthKey - Month-year key (YYYY-MM)
+     * @returns {string} Date key of the last day of the month
+     */
+    static getMonthEnd(monthKey) {
+        const [year, month] = monthKey.split('-').map(Number);
+        return this.fromUtc(year, month, 0);
+    }
+
+    /**
+     * Check that year, month and day form a real calendar date (rejects e.g. 2025-02-30)
+     * @param {number} year - Year
+     * @param {number} month - Month (1-12)
+     * @param {number} day - Day of month
+     * @returns {boolean} True if the date exists
+     * @private
+     */
+    static isCalendarDate(year, month, day) {
+        const date = new Date(Date.UTC(year, month - 1, day));
+        return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+    }
+
+    /**
+     * Build a date key from UTC date parts, normalizing overflowing months and days
+     * @param {number} year - Year
+     * @param {number} monthIndex - Month index (0-11, may overflow)
+     * @param {number} day - Day of month (may overflow)
+     * @returns {string} Date key (YYYY-MM-DD)
+     * @private
+     */
+    static fromUtc(year, monthIndex, day) {
+        return new Date(Date.UTC(year, monthIndex, day)).toISOString().slice(0, 10);
+    }
+
+    /**
+     * Get the calendar date of an instant in a time zone
+     * @param {Date} date - Instant
+     * @param {string|null} timeZone - IANA time zone, null for the browser's time zone
+     * @returns {string|null} Date key (YYYY-MM-DD) or null if the Date is invalid
+     * @throws {Error} If the time zone is not a valid IANA time zone
+     * @private
+     */
+    static formatInstant(date, timeZone) {
+        if (isNaN(date.getTime())) {
+            return null;
+        }
+
+        if (!timeZone) {
+            const month = String(date.getMonth() + 1).padStart(2, '0');
+            const day = String(date.getDate()).padStart(2, '0');
+            return `${date.getFullYear()}-${month}-${day}`;
+        }
+
+        if (!formatters.has(timeZone)) {
+            try {
+                formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+                    timeZone,
+                    year: 'numeric',
+                    month: '2-digit',
+                    day: '2-digit'
+                }));
+            } catch (error) {
+                throw new Error(`Invalid time zone: ${timeZone}`, { cause: error });
+            }
+        }
+
+        const parts = Object.fromEntries(formatters.get(timeZone).formatToParts(date).map(part => [part.type, part.value]));
+        return `${parts.year}-${parts.month}-${parts.day}`;
+    }
+}
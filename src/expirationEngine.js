@@ -0,0 +1,168 @@
+/**
+ * Expiration Engine
+ * Applies the points expiration policy to a customer's earning history
+ * @module ExpirationEngine
+ */
+
+import logger from './logger.js';
+import { CONSTANTS } from './constants.js';
+import { RewardRules } from './rewardRules.js';
+import { DateUtils } from './dateUtils.js';
+
+/**
+ * Engine class for point expiration
+ * Points expire a fixed number of months after the date they were earned
+ */
+export class ExpirationEngine {
+    /**
+     * Build point lots from transactions with calculated points
+     * Each earning transaction becomes a lot with its own expiry date; refunds reduce the lot of the
+     * purchase they reverse, then the lots of multiplier bonuses earned on that purchase (see allocateRefunds)
+     * @param {Array} transactionsWithPoints - Transactions with points (see RewardCalculator.calculatePointsWithDetails)
+     * @returns {Array} Lots sorted oldest first with transactionId, earnedDate, expiryDate, grossPoints,
+     *   refunds and net points
+     */
+    static getPointLots(transactionsWithPoints) {
+        if (!Array.isArray(transactionsWithPoints)) {
+            logger.error('Invalid transactions array provided for point lots');
+            throw new Error('Transactions must be an array');
+        }
+
+        const earnings = transactionsWithPoints
+            .filter(transaction => transaction && transaction.points > 0 && RewardRules.toDateKey(transaction.date));
+        const refundsByLot = this.allocateRefunds(transactionsWithPoints, earnings);
+
+        return earnings
+            .map(transaction => {
+                const earnedDate = RewardRules.toDateKey(transaction.date);
+                const refunds = refundsByLot.get(transaction.transactionId) || [];
+                const reversedPoints = refunds.reduce((sum, refund) => sum + refund.points, 0);
+
+                return {
+                    transactionId: transaction.transactionId,
+                    earnedDate,
+                    expiryDate: this.getExpiryDate(earnedDate),
+                    grossPoints: transaction.points,
+                    refunds,
+                    points: Math.max(0, transaction.points - reversedPoints)
+                };
+            })
+            .sort((a, b) => a.earnedDate.localeCompare(b.earnedDate));
+    }
+
+    /**
+     * Split the points of every refund across the lots it reverses
+     * A refund also reverses the multiplier bonuses earned on its purchase (e.g. the tenure bonus), so its
+     * points are taken from the purchase lot first and then from those bonus lots, oldest refund first;
+     * points beyond all of them stay on the purchase lot
+     * @param {Array} transactionsWithPoints - Transactions with points
+     * @param {Array} earnings - Transactions that earned points
+     * @returns {Map} Refunds ({ transactionId, date, points }) per lot transaction id
+     * @private
+     */
+    static allocateRefunds(transactionsWithPoints, earnings) {
+        const unrefunded = new Map(earnings.map(transaction => [transaction.transactionId, transaction.points]));
+        const bonusesByPurchase = new Map();
+        earnings
+            .filter(transaction => transaction.relatedTransactionId && typeof transaction.bonusMultiplier === 'number')
+            .forEach(bonus => {
+                const bonuses = bonusesByPurchase.get(bonus.relatedTransactionId) || [];
+                bonuses.push(bonus.transactionId);
+                bonusesByPurchase.set(bonus.relatedTransactionId, bonuses);
+            });
+
+        const refundsByLot = new Map();
+        const addRefund = (lotId, refund, points) => {
+            const refunds = refundsByLot.get(lotId) || [];
+            refunds.push({ transactionId: refund.transactionId, date: RewardRules.toDateKey(refund.date), points });
+            refundsByLot.set(lotId, refunds);
+        };
+
+        transactionsWithPoints
+            .filter(transaction => transaction && transaction.points < 0 && transaction.originalTransactionId)
+            .sort((a, b) => DateUtils.compare(a.date, b.date))
+            .forEach(refund => {
+                const purchaseId = refund.originalTransactionId;
+                let remaining = -refund.points;
+
+                [purchaseId, ...(bonusesByPurchase.get(purchaseId) || [])].forEach(lotId => {
+                    const points = Math.min(remaining, unrefunded.get(lotId) || 0);
+                    if (points > 0) {
+                        addRefund(lotId, refund, points);
+                        unrefunded.set(lotId, unrefunded.get(lotId) - points);
+                        remaining -= points;
+                    }
+                });
+
+                if (remaining > 0) {
+                    addRefund(purchaseId, refund, remaining);
+                }
+            });
+
+        return refundsByLot;
+    }
+
+    /**
+     * Calculate available, expired and expiring-soon balances
+     * @param {Array} transactionsWithPoints - Customer's full history with calculated points
+     * @param {string|Date} asOf - Date to evaluate balances on, defaults to today
+     * @returns {Object} Balances with totalPoints, availablePoints, expiredPoints and expiringSoonPoints
+     */
+    static calculateBalances(transactionsWithPoints, asOf = new Date()) {
+        const asOfKey = RewardRules.toDateKey(asOf);
+        const warningKey = this.getWarningDate(asOfKey);
+        const balances = {
+            totalPoints: 0,
+            availablePoints: 0,
+            expiredPoints: 0,
+            expiringSoonPoints: 0
+        };
+
+        for (const lot of this.getPointLots(transactionsWithPoints)) {
+            balances.totalPoints += lot.points;
+
+            if (lot.expiryDate <= asOfKey) {
+                balances.expiredPoints += lot.points;
+                continue;
+            }
+
+            balances.availablePoints += lot.points;
+
+            if (lot.expiryDate <= warningKey) {
+                balances.expiringSoonPoints += lot.points;
+            }
+        }
+
+        logger.info(`Calculated point balances as of ${asOfKey}:`, balances);
+        return balances;
+    }
+
+    /**
+     * Get the date points earned on a date expire
+     * @param {string} earnedDate - Date key (YYYY-MM-DD) the points were earned
+     * @returns {string} Expiry date key (YYYY-MM-DD)
+     */
+    static getExpiryDate(earnedDate) {
+        return DateUtils.addMonths(earnedDate, CONSTANTS.REWARDS.EXPIRATION.MONTHS);
+    }
+
+    /**
+     * Get the last expiry date that counts as "expiring soon"
+     * @param {string} asOfKey - Date key (YYYY-MM-DD) balances are evaluated on
+     * @returns {string} Date key at the end of the warning window
+     */
+    static getWarningDate(asOfKey) {
+        return this.addDays(asOfKey, CONSTANTS.REWARDS.EXPIRATION.WARNING_DAYS);
+    }
+
+    /**
+     * Add days to a date key
+     * @param {string} dateKey - Date key (YYYY-MM-DD)
+     * @param {number} days - Number of days to add
+     * @returns {string} Resulting date key
+     * @private
+     */
+    static addDays(dateKey, days) {
+        return DateUtils.addDays(dateKey, days);
+    }
+}
@@ -6,6 +6,7 @@
 
 import logger from './logger.js';
 import { CONSTANTS } from './constants.js';
+import { DateUtils } from './dateUtils.js';
 
 /**
  * Manager class for filter operations
@@ -216,7 +217,7 @@ export class FilterManager {
     /**
      * Get date range for current filters
      * @param {Object} filters - Optional specific filters to use
-     * @returns {Object} Date range with start and end dates
+     * @returns {Object} Date range with start and end date keys (YYYY-MM-DD, inclusive)
      */
     getDateRange(filters = null) {
         const activeFilters = filters || this.getSelectedFilters();
@@ -249,12 +250,12 @@ export class FilterManager {
      * @private
      */
     getLastThreeMonthsRange() {
-        const now = new Date();
-        const threeMonthsAgo = new Date(now.getFullYear(), now.getMonth() - 3, 1);
+        const today = DateUtils.today();
+        const threeMonthsAgo = `${DateUtils.shiftMonth(today.slice(0, 7), -3)}-01`;
         
         return {
             start: threeMonthsAgo,
-            end: now,
+            end: today,
             description: 'Last 3 Months'
         };
     }
@@ -267,13 +268,15 @@ export class FilterManager {
      * @private
      */
     getMonthRange(month, year) {
-        const monthNum = parseInt(month, 10) - 1; // JavaScript months are 0-based
-        const yearNum = parseInt(year, 10);
-        
-        const start = new Date(yearNum, monthNum, 1);
-        const end = new Date(yearNum, monthNum + 1, 0); // Last day of month
+        const monthKey = `${String(year).padStart(4, '0')}-${String(month).padStart(2, '0')}`;
+        if (!DateUtils.isValid(`${monthKey}-01`)) {
+            throw new Error(`Invalid month filter: ${month}/${year}`);
+        }
+
+        const start = `${monthKey}-01`;
+        const end = DateUtils.getMonthEnd(monthKey);
         
-        const monthName = start.toLocaleDateString('en-US', { month: 'long' });
+        const monthName = DateUtils.toLocalDate(start).toLocaleDateString('en-US', { month: 'long' });
         
         return {
             start,
@@ -289,10 +292,10 @@ export class FilterManager {
      * @private
      */
     getYearRange(year) {
-        const yearNum = parseInt(year, 10);
+        const yearKey = String(year).padStart(4, '0');
         
-        const start = new Date(yearNum, 0, 1); // January 1st
-        const end = new Date(yearNum, 11, 31); // December 31st
+        const start = `${yearKey}-01-01`; // January 1st
+        const end = `${yearKey}-12-31`; // December 31st
         
         return {
             start,
@@ -313,14 +316,14 @@ export class FilterManager {
         }
 
         try {
-            const transactionDate = new Date(transaction.date);
+            const dateKey = DateUtils.toDateKey(transaction.date);
             
-            if (isNaN(transactionDate.getTime())) {
+            if (!dateKey) {
                 logger.warn('Invalid transaction date:', transaction.date);
                 return false;
             }
 
-            return transactionDate >= dateRange.start && transactionDate <= dateRange.end;
+            return dateKey >= dateRange.start && dateKey <= dateRange.end;
 
         } catch (error) {
             logger.error('Error checking transaction date range:', error);
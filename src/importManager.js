@@ -0,0 +1,330 @@
+/**
+ * Import Manager
+ * Handles importing customers and transactions from CSV files, and transactions from OFX/QIF bank
+ * statements, by drag-and-drop or file picker
+ * @module ImportManager
+ */
+
+import logger from './logger.js';
+import { CsvParser } from './csvParser.js';
+import { StatementParser } from './statementParser.js';
+import { DataValidator } from './dataValidator.js';
+import { escapeHtml } from './constants.js';
+
+/**
+ * Manager class for CSV and statement imports
+ * Parses a CSV file with the delimiter and decimal separator chosen in the panel and passes the records
+ * to DataService, which validates them with the rest of the data. Statements name an account rather than
+ * a customer, so they wait in a mapping step until each one is assigned to a customer
+ */
+export class ImportManager {
+    /**
+     * Constructor
+     * @param {DataService} dataService - Data service instance
+     * @param {UIManager} uiManager - UI manager instance
+     * @param {Function} onImport - Called after the data was reloaded with the imported records
+     */
+    constructor(dataService, uiManager, onImport = () => {}) {
+        this.dataService = dataService;
+        this.uiManager = uiManager;
+        this.onImport = onImport;
+        this.isImporting = false;
+        this.pendingStatements = [];
+    }
+
+    /**
+     * Show or hide the import panel
+     */
+    toggleImport() {
+        this.uiManager.toggleElement('csvImport');
+    }
+
+    /**
+     * Set up the drop zone and file picker
+     */
+    setupDropZone() {
+        const dropZone = document.getElementById('importDropZone');
+        const fileInput = document.getElementById('importFile');
+
+        if (!dropZone || !fileInput) {
+            logger.error('Import drop zone elements not found');
+            return;
+        }
+
+        dropZone.addEventListener('click', () => fileInput.click());
+        dropZone.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter' || event.key === ' ') {
+                event.preventDefault();
+                fileInput.click();
+            }
+        });
+        dropZone.addEventListener('dragover', (event) => {
+            event.preventDefault();
+            dropZone.classList.add('drag-over');
+        });
+        dropZone.addEventListener('dragleave', () => dropZone.classList.remove('drag-over'));
+        dropZone.addEventListener('drop', (event) => {
+            event.preventDefault();
+            dropZone.classList.remove('drag-over');
+
+            if (event.dataTransfer) {
+                this.importFiles(event.dataTransfer.files);
+            }
+        });
+
+        fileInput.addEventListener('change', async () => {
+            const files = [...fileInput.files];
+            fileInput.value = '';
+            await this.importFiles(files);
+        });
+    }
+
+    /**
+     * Import files one after another
+     * @param {FileList|Array} files - CSV or statement files
+     * @returns {Promise<void>}
+     */
+    async importFiles(files) {
+        for (const file of files) {
+            await this.importFile(file);
+        }
+    }
+
+    /**
+     * Import a CSV file into the resource selected in the panel, or add a statement file to the mapping step
+     * @param {File} file - CSV, OFX or QIF file
+     * @returns {Promise<void>}
+     */
+    async importFile(file) {
+        if (this.isImporting) {
+            return;
+        }
+
+        const { resource, delimiter, decimalSeparator } = this.getImportOptions();
+        this.isImporting = true;
+        this.showResult(`Importing ${file.name}...`, 'info');
+
+        try {
+            const text = await file.text();
+
+            if (StatementParser.detectFormat(text)) {
+                this.addStatement(file.name, StatementParser.parse(text));
+                return;
+            }
+
+            const { records, columns, unmappedHeaders } = CsvParser.parse(text, { delimiter, decimalSeparator });
+            const mappedFields = Object.values(columns);
+            const missingFields = DataValidator.getRequiredFields(resource).filter(field => !mappedFields.includes(field));
+
+            if (missingFields.length > 0) {
+                throw new Error(`No column found for ${missingFields.join(', ')}`);
+            }
+
+            await this.dataService.importRecords(resource, records);
+            await this.onImport();
+
+            const rejected = this.dataService.getValidationReport().getSummary()
+                .filter(summary => summary.resource === resource)
+                .reduce((sum, summary) => sum + summary.rejected, 0);
+
+            this.showResult(this.formatResult(file.name, records.length, resource, columns, unmappedHeaders, rejected), 'success');
+            logger.info(`Imported ${records.length} ${resource} records from ${file.name}`);
+
+        } catch (error) {
+            logger.error(`Failed to import ${file.name}:`, error);
+            this.showResult(`Could not import ${file.name}: ${error.message}`, 'error');
+        } finally {
+            this.isImporting = false;
+        }
+    }
+
+    /**
+     * Import the purchases of every pending statement for the customer assigned to it
+     * @returns {Promise<void>}
+     */
+    async importStatements() {
+        if (this.isImporting || this.pendingStatements.length === 0) {
+            return;
+        }
+
+        const assignments = this.pendingStatements.map((pending, index) => {
+            const select = document.querySelector(`select[data-statement-index="${index}"]`);
+            return { ...pending, customerId: select ? select.value : '' };
+        });
+
+        if (assignments.some(assignment => !assignment.customerId)) {
+            this.showResult('Choose a customer for each statement before importing.', 'error');
+            return;
+        }
+
+        const mapped = assignments.map(({ statement, customerId }) => StatementParser.toTransactions(statement, customerId));
+        const transactions = mapped.flatMap(result => result.transactions);
+        const skipped = mapped.reduce((sum, result) => sum + result.skipped, 0);
+
+        if (transactions.length === 0) {
+            this.showResult('The statements contain no purchases to import.', 'error');
+            return;
+        }
+
+        this.isImporting = true;
+        this.showResult(`Importing ${transactions.length} purchases...`, 'info');
+
+        try {
+            await this.dataService.importRecords('transactions', transactions);
+            await this.onImport();
+
+            const rejected = this.dataService.getValidationReport().getSummary()
+                .filter(summary => summary.resource === 'transactions')
+                .reduce((sum, summary) => sum + summary.rejected, 0);
+
+            const count = (n, noun) => `${n} ${noun}${n === 1 ? '' : 's'}`;
+            this.showResult([
+                `Imported ${count(transactions.length, 'purchase')} from ${count(assignments.length, 'statement')}.`,
+                skipped > 0 ? `Skipped ${skipped} ${skipped === 1 ? 'entry' : 'entries'} (credits, fees and payments).` : '',
+                rejected > 0 ? `${count(rejected, 'record')} in transactions rejected; see Data Quality for the reasons.` : ''
+            ].filter(Boolean).join(' '), 'success');
+            logger.info(`Imported ${transactions.length} transactions from ${assignments.length} statements`);
+
+            this.discardStatements();
+
+        } catch (error) {
+            logger.error('Failed to import statements:', error);
+            this.showResult(`Could not import statements: ${error.message}`, 'error');
+        } finally {
+            this.isImporting = false;
+        }
+    }
+
+    /**
+     * Remove every pending statement from the mapping step
+     */
+    discardStatements() {
+        this.pendingStatements = [];
+        this.renderStatements();
+    }
+
+    /**
+     * Add a parsed statement to the mapping step
+     * @param {string} fileName - File name
+     * @param {Object} statement - Statement from StatementParser.parse
+     * @private
+     */
+    addStatement(fileName, statement) {
+        this.pendingStatements.push({ fileName, statement });
+        this.renderStatements();
+        this.showResult(`Read ${statement.entries.length} entries from ${fileName}. Choose the customer it belongs to, then import.`, 'info');
+    }
+
+    /**
+     * Render the pending statements with a customer select for each
+     * @private
+     */
+    renderStatements() {
+        if (this.pendingStatements.length === 0) {
+            this.uiManager.setHTML('statementList', '');
+            this.uiManager.hideElement('statementMapping');
+            return;
+        }
+
+        const customers = this.dataService.getCustomers();
+        const rows = this.pendingStatements.map(({ fileName, statement }, index) => {
+            const { transactions, skipped } = StatementParser.toTransactions(statement, 'preview');
+            const dates = statement.entries.map(entry => entry.date).sort();
+            const options = customers.map(customer => `
+                <option value="${escapeHtml(customer.customerId)}">${escapeHtml(customer.name)} (${escapeHtml(customer.customerId)})</option>
+            `).join('');
+
+            return `
+                <tr>
+                    <td>${escapeHtml(fileName)}</td>
+                    <td>${statement.format.toUpperCase()}${statement.account ? ` ${escapeHtml(statement.account)}` : ''}</td>
+                    <td>${escapeHtml(dates[0])} – ${escapeHtml(dates[dates.length - 1])}</td>
+                    <td class="points-cell">${transactions.length}</td>
+                    <td class="points-cell">${skipped}</td>
+                    <td>
+                        <select class="form-control" data-statement-index="${index}" aria-label="Customer for ${escapeHtml(fileName)}">
+                            <option value="">Choose customer</option>
+                            ${options}
+                        </select>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+
+        this.uiManager.setHTML('statementList', `
+            <table class="transactions-table statement-table">
+                <thead>
+                    <tr>
+                        <th>File</th>
+                        <th>Account</th>
+                        <th>Period</th>
+                        <th>Purchases</th>
+                        <th>Skipped</th>
+                        <th>Customer</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `);
+        this.uiManager.showElement('statementMapping');
+    }
+
+    /**
+     * Read the import options selected in the panel
+     * @returns {Object} { resource, delimiter, decimalSeparator }
+     * @private
+     */
+    getImportOptions() {
+        const getValue = (id, fallback) => {
+            const element = document.getElementById(id);
+            return element && element.value ? element.value : fallback;
+        };
+
+        const delimiter = getValue('importDelimiter', 'auto');
+        return {
+            resource: getValue('importResource', 'transactions'),
+            delimiter: delimiter === 'tab' ? '\t' : delimiter,
+            decimalSeparator: getValue('importDecimal', '.')
+        };
+    }
+
+    /**
+     * Describe a completed import
+     * @param {string} fileName - File name
+     * @param {number} count - Records read from the file
+     * @param {string} resource - Resource imported into
+     * @param {Object} columns - Field per mapped header
+     * @param {Array} unmappedHeaders - Headers that were ignored
+     * @param {number} rejected - Records of the resource rejected by validation after the import
+     * @returns {string} Result message
+     * @private
+     */
+    formatResult(fileName, count, resource, columns, unmappedHeaders, rejected) {
+        const mapping = Object.entries(columns)
+            .map(([header, field]) => header === field ? field : `${header} → ${field}`)
+            .join(', ');
+
+        const records = (n) => `${n} ${n === 1 ? 'record' : 'records'}`;
+
+        return [
+            `Imported ${records(count)} from ${fileName} into ${resource}.`,
+            `Columns: ${mapping}.`,
+            unmappedHeaders.length > 0 ? `Ignored columns: ${unmappedHeaders.join(', ')}.` : '',
+            rejected > 0 ? `${records(rejected)} in ${resource} rejected; see Data Quality for the reasons.` : ''
+        ].filter(Boolean).join(' ');
+    }
+
+    /**
+     * Show the import result in the panel
+     * @param {string} message - Message
+     * @param {string} type - 'info', 'success' or 'error'
+     * @private
+     */
+    showResult(message, type) {
+        const resultElement = document.getElementById('importResult');
+        if (resultElement) {
+            resultElement.textContent = message;
+            resultElement.className = `import-result import-${type}`;
+        }
+    }
+}
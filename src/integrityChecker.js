@@ -0,0 +1,211 @@
+/**
+ * Integrity Checker
+ * Cross-dataset checks on validated transactions: orphan transactions, duplicate IDs and near-duplicates
+ * @module IntegrityChecker
+ */
+
+import logger from './logger.js';
+import { CONSTANTS } from './constants.js';
+
+/**
+ * Policies each check accepts
+ */
+const ALLOWED_POLICIES = {
+    ORPHAN_TRANSACTIONS: ['reject', 'keep'],
+    DUPLICATE_IDS: ['reject', 'keep', 'merge'],
+    NEAR_DUPLICATES: ['reject', 'keep', 'merge']
+};
+
+/**
+ * Checker class for referential integrity and duplicates
+ * Rejected transactions are reported as errors; kept and merged ones as warnings, so they still appear
+ * in the data quality panel
+ */
+export class IntegrityChecker {
+    /**
+     * Run every integrity check on validated transactions
+     * @param {Array} transactions - Validated transactions
+     * @param {Array} customers - Validated customers; orphans are only checked once customers are loaded
+     * @param {ValidationReport} report - Report to record issues in
+     * @param {Object} policies - Policy per check, defaults to CONSTANTS.INTEGRITY
+     * @returns {Array} Transactions after applying the policies
+     * @throws {Error} If a policy is not allowed for its check
+     */
+    static check(transactions, customers, report, policies = CONSTANTS.INTEGRITY) {
+        Object.entries(ALLOWED_POLICIES).forEach(([check, allowed]) => {
+            if (!allowed.includes(policies[check])) {
+                throw new Error(`Invalid ${check} policy: ${policies[check]} (expected ${allowed.join(', ')})`);
+            }
+        });
+
+        let checked = this.applyDuplicateIdPolicy(transactions, policies.DUPLICATE_IDS, report);
+        checked = this.applyNearDuplicatePolicy(checked, policies.NEAR_DUPLICATES, report);
+
+        if (customers.length > 0) {
+            checked = this.applyOrphanPolicy(checked, customers, policies.ORPHAN_TRANSACTIONS, report);
+        } else {
+            logger.debug('Customers not loaded, skipping orphan transaction check');
+        }
+
+        logger.info(`Integrity checks kept ${checked.length} of ${transactions.length} transactions`);
+        return checked;
+    }
+
+    /**
+     * Get the key that near-duplicate transactions share: same customer, amount, currency, date and type
+     * @param {Object} transaction - Validated transaction
+     * @returns {string} Near-duplicate key
+     */
+    static getNearDuplicateKey(transaction) {
+        return [
+            transaction.customerId,
+            transaction.amount,
+            transaction.currency || '',
+            transaction.date,
+            transaction.type || 'purchase',
+            transaction.originalTransactionId || ''
+        ].join('|');
+    }
+
+    /**
+     * Handle transactions whose customer does not exist
+     * @param {Array} transactions - Transactions
+     * @param {Array} customers - Customers
+     * @param {string} policy - 'reject' or 'keep'
+     * @param {ValidationReport} report - Validation report
+     * @returns {Array} Transactions after applying the policy
+     * @private
+     */
+    static applyOrphanPolicy(transactions, customers, policy, report) {
+        const customerIds = new Set(customers.map(customer => customer.customerId));
+
+        return transactions.filter(transaction => {
+            if (customerIds.has(transaction.customerId)) {
+                return true;
+            }
+
+            const reason = {
+                code: 'UNKNOWN_CUSTOMER',
+                field: 'customerId',
+                message: `customerId ${transaction.customerId} does not match any customers record` +
+                    (policy === 'keep' ? ', kept' : '')
+            };
+
+            return this.applyPolicy(policy, transaction, reason, report);
+        });
+    }
+
+    /**
+     * Handle transactions repeating the ID of an earlier transaction
+     * Merging keeps the first transaction when the repeat is identical; a conflicting repeat cannot be
+     * merged and is rejected
+     * @param {Array} transactions - Transactions
+     * @param {string} policy - 'reject', 'keep' or 'merge'
+     * @param {ValidationReport} report - Validation report
+     * @returns {Array} Transactions after applying the policy
+     * @private
+     */
+    static applyDuplicateIdPolicy(transactions, policy, report) {
+        const firstById = new Map();
+
+        return transactions.filter(transaction => {
+            const first = firstById.get(transaction.transactionId);
+            if (!first) {
+                firstById.set(transaction.transactionId, transaction);
+                return true;
+            }
+
+            const identical = JSON.stringify(first) === JSON.stringify(transaction);
+            const effectivePolicy = policy === 'merge' && !identical ? 'reject' : policy;
+            const outcome = {
+                reject: identical ? '' : ' with different details',
+                keep: ', kept',
+                merge: ', merged into the first transaction'
+            }[effectivePolicy];
+
+            const reason = {
+                code: 'DUPLICATE_ID',
+                field: 'transactionId',
+                message: `Duplicate transactionId ${transaction.transactionId}${outcome}`
+            };
+
+            return this.applyPolicy(effectivePolicy, transaction, reason, report);
+        });
+    }
+
+    /**
+     * Handle transactions with the same customer, amount and date as an earlier one under another ID
+     * Merging keeps the first transaction, records the merged IDs on it and points refunds of a merged
+     * transaction at the one kept
+     * @param {Array} transactions - Transactions
+     * @param {string} policy - 'reject', 'keep' or 'merge'
+     * @param {ValidationReport} report - Validation report
+     * @returns {Array} Transactions after applying the policy
+     * @private
+     */
+    static applyNearDuplicatePolicy(transactions, policy, report) {
+        const firstByKey = new Map();
+        const mergedInto = new Map();
+
+        const checked = transactions.filter(transaction => {
+            const key = this.getNearDuplicateKey(transaction);
+            const first = firstByKey.get(key);
+            if (!first || first.transactionId === transaction.transactionId) {
+                firstByKey.set(key, first || transaction);
+                return true;
+            }
+
+            const outcome = { reject: '', keep: ', kept', merge: ', merged' }[policy];
+            const reason = {
+                code: 'NEAR_DUPLICATE',
+                field: 'transactionId',
+                message: `Same customer, amount and date as ${first.transactionId}${outcome}`
+            };
+
+            if (policy === 'merge') {
+                mergedInto.set(transaction.transactionId, first.transactionId);
+            }
+
+            return this.applyPolicy(policy, transaction, reason, report);
+        });
+
+        if (mergedInto.size === 0) {
+            return checked;
+        }
+
+        return checked.map(transaction => {
+            const mergedTransactionIds = [...mergedInto.entries()]
+                .filter(([, keptId]) => keptId === transaction.transactionId)
+                .map(([mergedId]) => mergedId);
+
+            if (mergedTransactionIds.length > 0) {
+                return { ...transaction, mergedTransactionIds };
+            }
+
+            if (transaction.type === 'refund' && mergedInto.has(transaction.originalTransactionId)) {
+                return { ...transaction, originalTransactionId: mergedInto.get(transaction.originalTransactionId) };
+            }
+
+            return transaction;
+        });
+    }
+
+    /**
+     * Report a transaction under a policy
+     * @param {string} policy - 'reject', 'keep' or 'merge'
+     * @param {Object} transaction - Transaction
+     * @param {Object} reason - Reason ({ code, field, message })
+     * @param {ValidationReport} report - Validation report
+     * @returns {boolean} True if the transaction stays in the data set
+     * @private
+     */
+    static applyPolicy(policy, transaction, reason, report) {
+        if (policy === 'reject') {
+            report.reject('transactions', transaction, [reason]);
+            return false;
+        }
+
+        report.warn('transactions', transaction, reason);
+        return policy === 'keep';
+    }
+}
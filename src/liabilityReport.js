@@ -0,0 +1,138 @@
+/**
+ * Liability Report
+ * Aggregates points issued, redeemed and expired across all customers and values the outstanding balance
+ * @module LiabilityReport
+ */
+
+import logger from './logger.js';
+import { CONSTANTS } from './constants.js';
+import { Money } from './money.js';
+import { RewardCalculator } from './rewardCalculator.js';
+import { PointsLedger } from './pointsLedger.js';
+import { StatusEngine } from './statusEngine.js';
+import { DateUtils } from './dateUtils.js';
+
+/**
+ * Report class for finance
+ * Each customer's history is scored once; points issued are summed by month from the scored history
+ * (net of refunds, including bonuses) and redemptions and expirations come from the points ledger built
+ * on it, both cut off at the same report date
+ */
+export class LiabilityReport {
+    /**
+     * Build the monthly points liability report
+     * @param {Array} customerHistories - Customers as { customer, transactions, redemptions }, where
+     *   transactions is the full history including bonus entries
+     * @param {string|Date} asOf - Date to report up to, defaults to today
+     * @param {number} centsPerPoint - Valuation of one point in cents, defaults to the configured valuation
+     * @returns {Object} Monthly rows (oldest first) with points and values for issued, redeemed, expired
+     *   and outstanding points and the points redemptions took beyond the balance (unfunded), the totals, the valuation used and the last month reported
+     * @throws {Error} If customer histories is not an array
+     */
+    static buildReport(customerHistories, asOf = new Date(), centsPerPoint = CONSTANTS.REWARDS.VALUATION.CENTS_PER_POINT) {
+        if (!Array.isArray(customerHistories)) {
+            logger.error('Invalid customer histories provided for liability report');
+            throw new Error('Customer histories must be an array');
+        }
+
+        const asOfKey = DateUtils.toDateKey(asOf);
+        const asOfMonth = RewardCalculator.getMonthYearKey(asOf);
+        const months = {};
+        const getMonth = (monthYear) => {
+            if (!months[monthYear]) {
+                months[monthYear] = { issuedPoints: 0, redeemedPoints: 0, unfundedPoints: 0, expiredPoints: 0 };
+            }
+            return months[monthYear];
+        };
+
+        customerHistories.forEach(({ transactions, redemptions = [] }) => {
+            const transactionsWithPoints = StatusEngine.scoreWithStatus(transactions);
+            const issuedTransactions = transactionsWithPoints.filter(transaction => DateUtils.toDateKey(transaction.date) <= asOfKey);
+
+            Object.entries(RewardCalculator.summarizeByMonth(issuedTransactions)).forEach(([monthYear, data]) => {
+                getMonth(monthYear).issuedPoints += data.points;
+            });
+
+            const { entries } = PointsLedger.buildLedger(transactionsWithPoints, redemptions, asOf);
+            entries
+                .filter(entry => entry.entryType === 'redeem' || entry.entryType === 'expire')
+                .forEach(entry => {
+                    const month = getMonth(entry.date.slice(0, 7));
+                    if (entry.entryType === 'redeem') {
+                        // Points a redemption took beyond the balance were never issued, so they do not reduce the liability
+                        month.redeemedPoints -= entry.points + entry.unfundedPoints;
+                        month.unfundedPoints += entry.unfundedPoints;
+                    } else {
+                        month.expiredPoints -= entry.points;
+                    }
+                });
+        });
+
+        let outstandingPoints = 0;
+        const rows = Object.keys(months).sort().map(monthYear => {
+            const month = months[monthYear];
+            outstandingPoints += month.issuedPoints - month.redeemedPoints - month.expiredPoints;
+
+            return this.createRow(monthYear, { ...month, outstandingPoints }, centsPerPoint);
+        });
+
+        const totals = this.createRow(null, {
+            issuedPoints: rows.reduce((sum, row) => sum + row.issuedPoints, 0),
+            redeemedPoints: rows.reduce((sum, row) => sum + row.redeemedPoints, 0),
+            unfundedPoints: rows.reduce((sum, row) => sum + row.unfundedPoints, 0),
+            expiredPoints: rows.reduce((sum, row) => sum + row.expiredPoints, 0),
+            outstandingPoints
+        }, centsPerPoint);
+
+        if (totals.unfundedPoints > 0) {
+            logger.warn(`Redemptions exceeded available points by ${totals.unfundedPoints} points`);
+        }
+
+        logger.info(`Built liability report for ${rows.length} months: ${outstandingPoints} points outstanding`);
+        return { rows, totals, centsPerPoint, asOfMonth };
+    }
+
+    /**
+     * Convert a liability report to CSV
+     * @param {Object} report - Report from buildReport
+     * @returns {string} CSV text with one row per month and a totals row
+     */
+    static toCSV(report) {
+        const header = [
+            'Month', 'Issued Points', 'Issued Cost', 'Redeemed Points', 'Redeemed Value', 'Unfunded Points',
+            'Expired Points', 'Expired Value', 'Outstanding Points', 'Outstanding Liability'
+        ];
+        const toLine = (label, row) => [
+            label,
+            row.issuedPoints, row.issuedValue.toFixed(2),
+            row.redeemedPoints, row.redeemedValue.toFixed(2), row.unfundedPoints,
+            row.expiredPoints, row.expiredValue.toFixed(2),
+            row.outstandingPoints, row.outstandingValue.toFixed(2)
+        ].join(',');
+
+        return [
+            header.join(','),
+            ...report.rows.map(row => toLine(row.monthYear, row)),
+            toLine('Total', report.totals)
+        ].join('\n');
+    }
+
+    /**
+     * Create a report row with the dollar value of every points figure
+     * @param {string|null} monthYear - Month-year key, null for the totals row
+     * @param {Object} points - Issued, redeemed, unfunded, expired and outstanding points
+     * @param {number} centsPerPoint - Valuation of one point in cents
+     * @returns {Object} Report row
+     * @private
+     */
+    static createRow(monthYear, points, centsPerPoint) {
+        return {
+            ...(monthYear && { monthYear }),
+            ...points,
+            issuedValue: Money.valuePoints(points.issuedPoints, centsPerPoint),
+            redeemedValue: Money.valuePoints(points.redeemedPoints, centsPerPoint),
+            expiredValue: Money.valuePoints(points.expiredPoints, centsPerPoint),
+            outstandingValue: Money.valuePoints(points.outstandingPoints, centsPerPoint)
+        };
+    }
+}
@@ -0,0 +1,148 @@
+/**
+ * Money
+ * Exact money and points arithmetic using integer cents
+ * @module Money
+ */
+
+import { CONSTANTS } from './constants.js';
+
+/**
+ * Multipliers are applied as integers scaled by this factor (4 decimal places)
+ * @private
+ */
+const MULTIPLIER_SCALE = 10000;
+
+/**
+ * Money helper class
+ * Amounts are converted to integer cents before any arithmetic so binary floating
+ * point error never changes the points a transaction earns
+ */
+export class Money {
+    /**
+     * Convert a decimal amount to integer cents
+     * Sub-cent fractions are rounded half away from zero
+     * @param {number} amount - Amount in currency units (e.g., 75.50)
+     * @returns {number} Amount in cents (e.g., 7550)
+     * @throws {Error} If amount is not a finite number
+     */
+    static toCents(amount) {
+        if (typeof amount !== 'number' || !isFinite(amount)) {
+            throw new Error(`Invalid money amount: ${amount}`);
+        }
+
+        return Math.sign(amount) * Math.round(Math.abs(amount) * 100);
+    }
+
+    /**
+     * Convert integer cents back to a decimal amount
+     * @param {number} cents - Amount in cents
+     * @returns {number} Amount in currency units
+     */
+    static fromCents(cents) {
+        return cents / 100;
+    }
+
+    /**
+     * Add decimal amounts without accumulating floating point drift
+     * @param {...number} amounts - Amounts in currency units
+     * @returns {number} Sum in currency units
+     */
+    static add(...amounts) {
+        return this.fromCents(amounts.reduce((sum, amount) => sum + this.toCents(amount), 0));
+    }
+
+    /**
+     * Check if an amount has more precision than whole cents
+     * @param {number} amount - Amount in currency units
+     * @returns {boolean} True if the amount has sub-cent digits
+     */
+    static hasSubCentPrecision(amount) {
+        return Math.abs(amount * 100 - Math.round(amount * 100)) > 1e-6;
+    }
+
+    /**
+     * Calculate points for an amount in cents at a rate of points per currency unit
+     * @param {number} cents - Amount in cents
+     * @param {number} multiplier - Points per currency unit
+     * @param {string} policy - Rounding policy, defaults to the configured policy
+     * @returns {number} Whole points
+     */
+    static pointsFromCents(cents, multiplier, policy = this.getRoundingPolicy()) {
+        return this.roundQuotient(cents * this.scaleMultiplier(multiplier), 100 * MULTIPLIER_SCALE, policy);
+    }
+
+    /**
+     * Multiply a number of points, e.g. for a bonus of (multiplier - 1) times base points
+     * @param {number} points - Whole points
+     * @param {number} multiplier - Factor to apply
+     * @param {string} policy - Rounding policy, defaults to the configured policy
+     * @returns {number} Whole points
+     */
+    static multiplyPoints(points, multiplier, policy = this.getRoundingPolicy()) {
+        return this.roundQuotient(points * this.scaleMultiplier(multiplier), MULTIPLIER_SCALE, policy);
+    }
+
+    /**
+     * Value a number of points in currency units
+     * @param {number} points - Whole points (may be negative)
+     * @param {number} centsPerPoint - Valuation in cents per point
+     * @returns {number} Value in currency units, rounded half-up to whole cents
+     */
+    static valuePoints(points, centsPerPoint) {
+        const cents = this.roundQuotient(Math.abs(points) * this.scaleMultiplier(centsPerPoint), MULTIPLIER_SCALE, 'half-up');
+        return this.fromCents(points < 0 ? -cents : cents);
+    }
+
+    /**
+     * Get the configured rounding policy for fractional points
+     * @returns {string} 'floor', 'half-up' or 'half-even'
+     * @throws {Error} If the configured policy is unknown
+     */
+    static getRoundingPolicy() {
+        const policy = CONSTANTS.REWARDS.ROUNDING_POLICY;
+        if (!['floor', 'half-up', 'half-even'].includes(policy)) {
+            throw new Error(`Unknown rounding policy: ${policy}`);
+        }
+
+        return policy;
+    }
+
+    /**
+     * Divide two integers and round the quotient with a rounding policy
+     * Works on the integer remainder so ties are detected exactly
+     * @param {number} numerator - Non-negative integer numerator
+     * @param {number} denominator - Positive integer denominator
+     * @param {string} policy - 'floor', 'half-up' or 'half-even' (banker's rounding)
+     * @returns {number} Rounded quotient
+     * @throws {Error} If the policy is unknown
+     * @private
+     */
+    static roundQuotient(numerator, denominator, policy) {
+        const quotient = Math.floor(numerator / denominator);
+        const twiceRemainder = 2 * (numerator - quotient * denominator);
+
+        switch (policy) {
+            case 'floor':
+                return quotient;
+            case 'half-up':
+                return twiceRemainder >= denominator ? quotient + 1 : quotient;
+            case 'half-even':
+                if (twiceRemainder === denominator) {
+                    return quotient % 2 === 0 ? quotient : quotient + 1;
+                }
+                return twiceRemainder > denominator ? quotient + 1 : quotient;
+            default:
+                throw new Error(`Unknown rounding policy: ${policy}`);
+        }
+    }
+
+    /**
+     * Scale a decimal multiplier to an integer
+     * @param {number} multiplier - Multiplier (e.g., 1.15)
+     * @returns {number} Scaled integer multiplier (e.g., 11500)
+     * @private
+     */
+    static scaleMultiplier(multiplier) {
+        return Math.round(multiplier * MULTIPLIER_SCALE);
+    }
+}
@@ -0,0 +1,159 @@
+/**
+ * Persistent Cache
+ * Keeps loaded data in IndexedDB so it survives page reloads, with a time-to-live and a data version
+ * @module PersistentCache
+ */
+
+import logger from './logger.js';
+import { CONSTANTS } from './constants.js';
+
+/**
+ * Cache class backed by an IndexedDB object store
+ * Every entry is stored as { key, version, savedAt, data }; entries saved under another version or older
+ * than the time-to-live are not served. The cache is best-effort: when IndexedDB is unavailable or fails,
+ * reads return null and writes are skipped, so callers fall back to loading from the data source
+ */
+export class PersistentCache {
+    /**
+     * Constructor
+     * @param {Object} options - Cache options, defaulting to CONSTANTS.CACHE
+     * @param {string} options.dbName - IndexedDB database name
+     * @param {string} options.storeName - Object store name
+     * @param {number} options.version - Data version; bump it when the shape of cached data changes
+     * @param {number} options.ttl - Time-to-live of an entry in milliseconds
+     * @param {IDBFactory} idbFactory - IndexedDB implementation, defaults to the browser's
+     */
+    constructor(options = {}, idbFactory = globalThis.indexedDB) {
+        this.dbName = options.dbName ?? CONSTANTS.CACHE.DB_NAME;
+        this.storeName = options.storeName ?? CONSTANTS.CACHE.STORE_NAME;
+        this.version = options.version ?? CONSTANTS.CACHE.VERSION;
+        this.ttl = options.ttl ?? CONSTANTS.CACHE.TTL;
+        this.idbFactory = idbFactory;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Check if IndexedDB is available
+     * @returns {boolean} True if entries can be persisted
+     */
+    isSupported() {
+        return Boolean(this.idbFactory);
+    }
+
+    /**
+     * Read a fresh entry
+     * @param {string} key - Entry key (e.g. 'customers')
+     * @param {Date} now - Current time
+     * @returns {Promise<Object|null>} { data, savedAt } or null if the entry is missing, stale or from another version
+     */
+    async get(key, now = new Date()) {
+        try {
+            const record = await this.request('readonly', store => store.get(key));
+
+            if (!this.isFresh(record, now)) {
+                return null;
+            }
+
+            return { data: record.data, savedAt: new Date(record.savedAt) };
+
+        } catch (error) {
+            logger.warn(`Failed to read ${key} from persistent cache:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Write an entry
+     * @param {string} key - Entry key
+     * @param {*} data - Data to store (must be structured-cloneable)
+     * @param {Date} savedAt - Time the data was loaded
+     * @returns {Promise<boolean>} True if the entry was stored
+     */
+    async set(key, data, savedAt = new Date()) {
+        try {
+            await this.request('readwrite', store => store.put({ key, version: this.version, savedAt: savedAt.toISOString(), data }));
+            return this.isSupported();
+
+        } catch (error) {
+            logger.warn(`Failed to write ${key} to persistent cache:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Remove every entry
+     * @returns {Promise<boolean>} True if the cache was cleared
+     */
+    async clear() {
+        try {
+            await this.request('readwrite', store => store.clear());
+            return this.isSupported();
+
+        } catch (error) {
+            logger.warn('Failed to clear persistent cache:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Check if a stored record may be served
+     * @param {Object} record - Stored record
+     * @param {Date} now - Current time
+     * @returns {boolean} True if the record is from the current version and within the time-to-live
+     */
+    isFresh(record, now = new Date()) {
+        if (!record || record.version !== this.version) {
+            return false;
+        }
+
+        const age = now.getTime() - new Date(record.savedAt).getTime();
+        return age >= 0 && age <= this.ttl;
+    }
+
+    /**
+     * Run a request against the object store
+     * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+     * @param {Function} createRequest - Creates the IDBRequest from the object store
+     * @returns {Promise<*>} Request result, or undefined when IndexedDB is unavailable
+     * @private
+     */
+    async request(mode, createRequest) {
+        if (!this.isSupported()) {
+            return undefined;
+        }
+
+        const db = await this.openDatabase();
+
+        return new Promise((resolve, reject) => {
+            const request = createRequest(db.transaction(this.storeName, mode).objectStore(this.storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Open the database once, creating the object store on first use
+     * @returns {Promise<IDBDatabase>} Open database
+     * @private
+     */
+    openDatabase() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = this.idbFactory.open(this.dbName, 1);
+
+                request.onupgradeneeded = () => {
+                    if (!request.result.objectStoreNames.contains(this.storeName)) {
+                        request.result.createObjectStore(this.storeName, { keyPath: 'key' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).catch(error => {
+                this.dbPromise = null;
+                throw error;
+            });
+        }
+
+        return this.dbPromise;
+    }
+}
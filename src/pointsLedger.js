@@ -0,0 +1,183 @@
+/**
+ * Points Ledger
+ * Builds a chronological points ledger from earnings, refunds, redemptions and expirations
+ * @module PointsLedger
+ */
+
+import logger from './logger.js';
+import { RewardRules } from './rewardRules.js';
+import { ExpirationEngine } from './expirationEngine.js';
+
+/**
+ * Ledger class for customer point balances
+ * Redemptions consume the oldest unexpired points first (FIFO), refunds reverse
+ * points of the purchase they refer to; whatever is left of a lot on its expiry date expires
+ */
+export class PointsLedger {
+    /**
+     * Build the ledger for a customer
+     * @param {Array} transactionsWithPoints - Customer's full history with calculated points
+     * @param {Array} redemptions - Customer's redemptions
+     * @param {string|Date} asOf - Date to evaluate the ledger on, defaults to today; later activity is ignored
+     * @returns {Object} Ledger with chronological entries (running balance) and balances; redeemedPoints counts
+     *   only the points redemptions drew from earned points, the excess is counted in unfundedPoints
+     * @throws {Error} If transactions or redemptions are not arrays
+     */
+    static buildLedger(transactionsWithPoints, redemptions = [], asOf = new Date()) {
+        if (!Array.isArray(redemptions)) {
+            logger.error('Invalid redemptions array provided for ledger');
+            throw new Error('Redemptions must be an array');
+        }
+
+        const asOfKey = RewardRules.toDateKey(asOf);
+        const lots = ExpirationEngine.getPointLots(transactionsWithPoints)
+            .map(lot => ({ ...lot, remaining: lot.grossPoints }));
+        const entries = [];
+        const balances = {
+            earnedPoints: 0,
+            reversedPoints: 0,
+            redeemedPoints: 0,
+            unfundedPoints: 0,
+            expiredPoints: 0,
+            availablePoints: 0,
+            expiringSoonPoints: 0
+        };
+
+        const addEntry = (entry) => {
+            balances.availablePoints += entry.points;
+            entries.push({ ...entry, balance: balances.availablePoints });
+        };
+
+        const expireThrough = (dateKey) => {
+            for (const lot of lots) {
+                if (lot.remaining > 0 && lot.expiryDate <= dateKey) {
+                    balances.expiredPoints += lot.remaining;
+                    addEntry({
+                        entryType: 'expire',
+                        date: lot.expiryDate,
+                        referenceId: lot.transactionId,
+                        description: `Points earned ${lot.earnedDate} expired`,
+                        points: -lot.remaining
+                    });
+                    lot.remaining = 0;
+                }
+            }
+        };
+
+        for (const event of this.getEvents(lots, redemptions)) {
+            if (event.date > asOfKey) {
+                break;
+            }
+
+            expireThrough(event.date);
+
+            if (event.entryType === 'earn') {
+                balances.earnedPoints += event.lot.grossPoints;
+                addEntry({
+                    entryType: 'earn',
+                    date: event.date,
+                    referenceId: event.lot.transactionId,
+                    description: 'Points earned',
+                    points: event.lot.grossPoints
+                });
+                continue;
+            }
+
+            if (event.entryType === 'refund') {
+                // Reverse from the refunded purchase first, then claw back from the oldest points
+                const fromOriginal = Math.min(event.lot.remaining, event.refund.points);
+                event.lot.remaining -= fromOriginal;
+                const unfundedPoints = this.consumeLots(lots, event.refund.points - fromOriginal, event.date);
+
+                balances.reversedPoints += event.refund.points;
+                addEntry({
+                    entryType: 'refund',
+                    date: event.date,
+                    referenceId: event.refund.transactionId,
+                    description: `Points reversed for refund of ${event.lot.transactionId}`,
+                    points: -event.refund.points,
+                    unfundedPoints
+                });
+                continue;
+            }
+
+            const unfundedPoints = this.consumeLots(lots, event.redemption.points, event.date);
+            if (unfundedPoints > 0) {
+                logger.warn(`Redemption ${event.redemption.redemptionId} exceeds available points by ${unfundedPoints}`);
+            }
+
+            balances.redeemedPoints += event.redemption.points - unfundedPoints;
+            balances.unfundedPoints += unfundedPoints;
+            addEntry({
+                entryType: 'redeem',
+                date: event.date,
+                referenceId: event.redemption.redemptionId,
+                description: event.redemption.description || 'Points redeemed',
+                points: -event.redemption.points,
+                unfundedPoints
+            });
+        }
+
+        expireThrough(asOfKey);
+
+        const warningKey = ExpirationEngine.getWarningDate(asOfKey);
+        balances.expiringSoonPoints = lots
+            .filter(lot => lot.earnedDate <= asOfKey && lot.remaining > 0 && lot.expiryDate <= warningKey)
+            .reduce((sum, lot) => sum + lot.remaining, 0);
+
+        logger.info(`Built points ledger with ${entries.length} entries as of ${asOfKey}:`, balances);
+        return { entries, balances };
+    }
+
+    /**
+     * Merge earnings, refunds and redemptions into one chronological event list
+     * On the same date earnings are processed first, then refunds, then redemptions
+     * @param {Array} lots - Point lots (oldest first)
+     * @param {Array} redemptions - Redemptions
+     * @returns {Array} Sorted events
+     * @private
+     */
+    static getEvents(lots, redemptions) {
+        const order = { earn: 0, refund: 1, redeem: 2 };
+        const earnEvents = lots.map(lot => ({ entryType: 'earn', date: lot.earnedDate, lot }));
+        const refundEvents = lots.flatMap(lot =>
+            lot.refunds
+                .filter(refund => refund.date)
+                .map(refund => ({ entryType: 'refund', date: refund.date, lot, refund }))
+        );
+        const redeemEvents = redemptions
+            .filter(redemption => RewardRules.toDateKey(redemption.date))
+            .map(redemption => ({ entryType: 'redeem', date: RewardRules.toDateKey(redemption.date), redemption }));
+
+        return [...earnEvents, ...refundEvents, ...redeemEvents].sort((a, b) => {
+            if (a.date !== b.date) {
+                return a.date.localeCompare(b.date);
+            }
+            return order[a.entryType] - order[b.entryType];
+        });
+    }
+
+    /**
+     * Consume points from the oldest lots first
+     * @param {Array} lots - Point lots with remaining points (oldest first)
+     * @param {number} points - Points to consume
+     * @param {string} dateKey - Redemption date; lots earned later cannot be used
+     * @returns {number} Points that could not be covered by any lot
+     * @private
+     */
+    static consumeLots(lots, points, dateKey) {
+        let outstanding = points;
+
+        for (const lot of lots) {
+            if (outstanding === 0 || lot.earnedDate > dateKey) {
+                break;
+            }
+
+            const consumed = Math.min(lot.remaining, outstanding);
+            lot.remaining -= consumed;
+            outstanding -= consumed;
+        }
+
+        return outstanding;
+    }
+}
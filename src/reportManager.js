@@ -0,0 +1,154 @@
+/**
+ * Report Manager
+ * Handles the points liability report view and its export
+ * @module ReportManager
+ */
+
+import logger from './logger.js';
+import { LiabilityReport } from './liabilityReport.js';
+import { RewardCalculator } from './rewardCalculator.js';
+import { formatCurrency } from './constants.js';
+
+/**
+ * Manager class for finance reporting
+ * Builds the liability report across every customer from DataService and renders or exports it
+ */
+export class ReportManager {
+    /**
+     * Constructor
+     * @param {DataService} dataService - Data service instance
+     * @param {UIManager} uiManager - UI manager instance
+     * @param {CustomerManager} customerManager - Customer manager, used to build each customer's reward history
+     */
+    constructor(dataService, uiManager, customerManager) {
+        this.dataService = dataService;
+        this.uiManager = uiManager;
+        this.customerManager = customerManager;
+        this.currentReport = null;
+    }
+
+    /**
+     * Show or hide the liability report, rebuilding it every time it is shown
+     */
+    toggleReport() {
+        const reportElement = this.uiManager.getElement('liabilityReport');
+        if (reportElement && reportElement.classList.contains('hidden')) {
+            this.displayReport();
+        }
+
+        this.uiManager.toggleElement('liabilityReport');
+    }
+
+    /**
+     * Build the report across all customers and display it
+     */
+    displayReport() {
+        try {
+            this.currentReport = this.buildReport();
+            this.renderReport(this.currentReport);
+
+        } catch (error) {
+            logger.error('Failed to build liability report:', error);
+            this.uiManager.setHTML('liabilityReportData', '<p class="no-data">Unable to build the liability report.</p>');
+        }
+    }
+
+    /**
+     * Download the current report as a CSV file
+     */
+    exportReport() {
+        try {
+            const report = this.currentReport || this.buildReport();
+            const blob = new Blob([LiabilityReport.toCSV(report)], { type: 'text/csv' });
+            const link = document.createElement('a');
+
+            link.href = URL.createObjectURL(blob);
+            link.download = `points-liability-${report.asOfMonth}.csv`;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(link.href);
+
+            logger.info(`Exported liability report for ${report.rows.length} months`);
+
+        } catch (error) {
+            logger.error('Failed to export liability report:', error);
+            this.uiManager.showMessage('Failed to export the liability report', 'error');
+        }
+    }
+
+    /**
+     * Build the liability report from every customer's reward history and redemptions
+     * @returns {Object} Report (see LiabilityReport.buildReport)
+     * @private
+     */
+    buildReport() {
+        const customerHistories = this.dataService.getCustomers().map(customer => {
+            const { transactions, bonuses } = this.customerManager.getRewardHistory(customer);
+
+            return {
+                customer,
+                transactions: [...transactions, ...bonuses],
+                redemptions: this.dataService.getRedemptionsForCustomer(customer.customerId)
+            };
+        });
+
+        return LiabilityReport.buildReport(customerHistories);
+    }
+
+    /**
+     * Render the report table
+     * @param {Object} report - Report from LiabilityReport.buildReport
+     * @private
+     */
+    renderReport(report) {
+        const reportElement = document.getElementById('liabilityReportData');
+        if (!reportElement) {
+            logger.error('Liability report element not found');
+            return;
+        }
+
+        this.uiManager.setText('liabilityValuation', `Points valued at ${report.centsPerPoint} cent(s) per point`);
+
+        if (report.rows.length === 0) {
+            reportElement.innerHTML = '<p class="no-data">No points have been issued yet</p>';
+            return;
+        }
+
+        const formatRow = (label, row) => `
+            <td>${label}</td>
+            <td class="points-cell">${row.issuedPoints.toLocaleString()}</td>
+            <td class="amount-cell">${formatCurrency(row.issuedValue)}</td>
+            <td class="points-cell">${row.redeemedPoints.toLocaleString()}</td>
+            <td class="points-cell">${row.unfundedPoints.toLocaleString()}</td>
+            <td class="points-cell">${row.expiredPoints.toLocaleString()}</td>
+            <td class="points-cell">${row.outstandingPoints.toLocaleString()}</td>
+            <td class="amount-cell">${formatCurrency(row.outstandingValue)}</td>
+        `;
+
+        const rows = report.rows
+            .map(row => `<tr>${formatRow(RewardCalculator.getMonthYearDisplay(row.monthYear), row)}</tr>`)
+            .join('');
+
+        reportElement.innerHTML = `
+            <table class="transactions-table liability-table">
+                <thead>
+                    <tr>
+                        <th>Month</th>
+                        <th>Issued</th>
+                        <th>Issued Cost</th>
+                        <th>Redeemed</th>
+                        <th>Unfunded</th>
+                        <th>Expired</th>
+                        <th>Outstanding</th>
+                        <th>Liability</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+                <tfoot>
+                    <tr>${formatRow('Total', report.totals)}</tr>
+                </tfoot>
+            </table>
+        `;
+    }
+}
@@ -0,0 +1,158 @@
+/**
+ * Request Client
+ * Fetches JSON with retries, exponential backoff with jitter and per-request timeouts
+ * @module RequestClient
+ */
+
+import logger from './logger.js';
+import { CONSTANTS } from './constants.js';
+
+/**
+ * Error raised by the request layer
+ * Retryable errors are temporary (network failures, timeouts, 5xx, 408 and 429 responses);
+ * anything else (other 4xx responses, invalid JSON) fails the same way on every attempt
+ */
+export class RequestError extends Error {
+    /**
+     * Constructor
+     * @param {string} message - Error message
+     * @param {Object} details - Error details
+     * @param {boolean} details.retryable - True if retrying may succeed
+     * @param {number} details.status - HTTP status, if a response was received
+     * @param {number} details.attempts - Attempts made before giving up
+     * @param {Error} details.cause - Underlying error
+     */
+    constructor(message, { retryable = false, status = null, attempts = 1, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = 'RequestError';
+        this.retryable = retryable;
+        this.status = status;
+        this.attempts = attempts;
+    }
+}
+
+/**
+ * Client class for JSON requests
+ */
+export class RequestClient {
+    /**
+     * Constructor
+     * @param {Object} options - Request options, defaulting to CONSTANTS.API
+     * @param {number} options.retryAttempts - Retries after the first attempt for retryable errors
+     * @param {number} options.retryBaseDelay - Delay before the first retry in milliseconds, doubled on every retry
+     * @param {number} options.retryMaxDelay - Upper bound for a retry delay in milliseconds
+     * @param {number} options.timeout - Time limit per attempt in milliseconds (0 = no limit)
+     */
+    constructor(options = {}) {
+        this.retryAttempts = options.retryAttempts ?? CONSTANTS.API.RETRY_ATTEMPTS;
+        this.retryBaseDelay = options.retryBaseDelay ?? CONSTANTS.API.RETRY_BASE_DELAY;
+        this.retryMaxDelay = options.retryMaxDelay ?? CONSTANTS.API.RETRY_MAX_DELAY;
+        this.timeout = options.timeout ?? CONSTANTS.API.TIMEOUT;
+    }
+
+    /**
+     * Check if an error, or any error it was caused by, is retryable
+     * @param {Error} error - Error to check
+     * @returns {boolean} True if retrying may succeed
+     */
+    static isRetryable(error) {
+        for (let current = error; current; current = current.cause) {
+            if (typeof current.retryable === 'boolean') {
+                return current.retryable;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Fetch a URL and parse its JSON body, retrying retryable failures
+     * @param {string} url - URL to fetch
+     * @param {Object} options - Optional fetch options
+     * @returns {Promise<*>} Parsed response body
+     * @throws {RequestError} When the request fails with a non-retryable error or all attempts fail
+     */
+    async fetchJson(url, options = {}) {
+        const maxAttempts = this.retryAttempts + 1;
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await this.attemptFetch(url, options);
+            } catch (error) {
+                if (!error.retryable || attempt >= maxAttempts) {
+                    error.attempts = attempt;
+                    throw error;
+                }
+
+                const delay = this.getRetryDelay(attempt);
+                logger.warn(`Request to ${url} failed (${error.message}), retry ${attempt} of ${this.retryAttempts} in ${delay}ms`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    /**
+     * Get the delay before a retry: exponential backoff with jitter
+     * The delay is a random value between half and all of the doubled base delay, so clients
+     * that failed together do not retry together
+     * @param {number} attempt - Number of the attempt that failed (1 for the first)
+     * @returns {number} Delay in milliseconds
+     */
+    getRetryDelay(attempt) {
+        const exponentialDelay = Math.min(this.retryMaxDelay, this.retryBaseDelay * 2 ** (attempt - 1));
+        return Math.round(exponentialDelay / 2 + Math.random() * (exponentialDelay / 2));
+    }
+
+    /**
+     * Make a single request, aborting it when the timeout passes before the body is read
+     * @param {string} url - URL to fetch
+     * @param {Object} options - Fetch options
+     * @returns {Promise<*>} Parsed response body
+     * @throws {RequestError} Classified as retryable or not
+     * @private
+     */
+    async attemptFetch(url, options) {
+        const controller = this.timeout > 0 ? new AbortController() : null;
+        const timer = controller ? setTimeout(() => controller.abort(), this.timeout) : null;
+
+        try {
+            let response;
+            try {
+                response = await fetch(url, controller ? { ...options, signal: controller.signal } : options);
+            } catch (error) {
+                throw this.classifyFetchError(error);
+            }
+
+            if (!response.ok) {
+                const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+                throw new RequestError(`HTTP error! status: ${response.status}`, { retryable, status: response.status });
+            }
+
+            try {
+                return await response.json();
+            } catch (error) {
+                if (error && error.name === 'AbortError') {
+                    throw this.classifyFetchError(error);
+                }
+                throw new RequestError(error.message, { retryable: false, status: response.status, cause: error });
+            }
+        } finally {
+            if (timer) {
+                clearTimeout(timer);
+            }
+        }
+    }
+
+    /**
+     * Classify an error thrown while fetching
+     * @param {Error} error - Error from fetch
+     * @returns {RequestError} Timeouts and network failures (fetch rejects with a TypeError) are retryable
+     * @private
+     */
+    classifyFetchError(error) {
+        if (error && error.name === 'AbortError') {
+            return new RequestError(`Request timed out after ${this.timeout}ms`, { retryable: true, cause: error });
+        }
+
+        return new RequestError(error.message, { retryable: error instanceof TypeError, cause: error });
+    }
+}
@@ -5,7 +5,11 @@
  */
 
 import logger from './logger.js';
-import { CONSTANTS } from './constants.js';
+import { RewardRules } from './rewardRules.js';
+import { CampaignEngine } from './campaignEngine.js';
+import { Money } from './money.js';
+import { DateUtils } from './dateUtils.js';
+import { CONSTANTS, formatCurrency } from './constants.js';
 
 /**
  * Calculator class for computing reward points
@@ -14,45 +18,287 @@ import { CONSTANTS } from './constants.js';
 export class RewardCalculator {
     /**
      * Calculate reward points for a single transaction
-     * Business rule: 2 points per dollar over $100, 1 point per dollar between $50-$100
+     * Points are the sum of every tier in the rule set (default: 2 points per dollar over $100,
+     * 1 point per dollar between $50-$100)
      * @param {number} amount - Transaction amount
+     * @param {Object} ruleSet - Optional rule set, defaults to the configured program rules
      * @returns {number} Calculated reward points
      * @throws {Error} If amount is invalid
      */
-    static calculatePointsForTransaction(amount) {
+    static calculatePointsForTransaction(amount, ruleSet = RewardRules.getDefaultRuleSet()) {
         if (typeof amount !== 'number' || isNaN(amount) || amount < 0) {
             logger.error(`Invalid transaction amount: ${amount}`);
             throw new Error(`Invalid transaction amount: ${amount}`);
         }
 
-        let points = 0;
-        const { HIGH_THRESHOLD, LOW_THRESHOLD, HIGH_MULTIPLIER, LOW_MULTIPLIER } = CONSTANTS.REWARDS;
+        const tierPoints = RewardRules.calculateTierPoints(amount, ruleSet);
+        const points = tierPoints.reduce((sum, tier) => sum + tier.points, 0);
 
-        // Calculate points for amount over $100 (2 points per dollar)
-        if (amount > HIGH_THRESHOLD) {
-            const amountOverHundred = amount - HIGH_THRESHOLD;
-            points += Math.floor(amountOverHundred * HIGH_MULTIPLIER);
-            logger.debug(`Points from amount over $${HIGH_THRESHOLD}: ${Math.floor(amountOverHundred * HIGH_MULTIPLIER)}`);
+        logger.debug(`Transaction amount: $${amount.toFixed(2)}, Total points: ${points}`);
+        return points;
+    }
+
+    /**
+     * Calculate reward points for a transaction including promotional campaigns
+     * Refunds reverse the points of the purchase they reference (see calculateRefundPoints);
+     * lifecycle bonus entries are scored by calculateBonusPoints
+     * @param {Object} transaction - Transaction object with amount and date
+     * @param {Object} ruleSet - Optional explicit rule set, defaults to the version in force on the transaction date
+     * @param {Object} context - Calculation context shared across a customer's history (see createCalculationContext)
+     * @returns {Object} Total points and breakdown (rule version, tier points, category multiplier,
+     *   campaign contributions, status boost, cap, refund)
+     * @throws {Error} If amount is invalid or no rule version covers the transaction date
+     */
+    static calculateTransactionPoints(transaction, ruleSet = null, context = this.createCalculationContext()) {
+        if (this.isRefund(transaction)) {
+            return this.calculateRefundPoints(transaction, context);
         }
 
-        // Calculate points for amount between $50 and $100 (1 point per dollar)
-        const amountForLowTier = Math.min(amount, HIGH_THRESHOLD) - LOW_THRESHOLD;
-        if (amountForLowTier > 0) {
-            points += Math.floor(amountForLowTier * LOW_MULTIPLIER);
-            logger.debug(`Points from amount between $${LOW_THRESHOLD}-$${HIGH_THRESHOLD}: ${Math.floor(amountForLowTier * LOW_MULTIPLIER)}`);
+        if (this.isBonus(transaction)) {
+            return this.calculateBonusPoints(transaction, context);
         }
 
-        logger.debug(`Transaction amount: $${amount.toFixed(2)}, Total points: ${points}`);
-        return points;
+        const appliedRuleSet = this.resolveRuleSet(transaction, ruleSet);
+        const basePoints = this.calculatePointsForTransaction(transaction.amount, appliedRuleSet);
+        const category = this.calculateCategoryPoints(transaction, basePoints, context);
+        const campaigns = CampaignEngine.applyCampaigns(transaction, basePoints);
+        const campaignPoints = campaigns.reduce((sum, campaign) => sum + campaign.points, 0);
+        const status = this.calculateStatusBoost(transaction, basePoints, context);
+        const earnedPoints = basePoints + (category ? category.points : 0) + campaignPoints + (status ? status.points : 0);
+        const { points, cap } = this.applyCaps(transaction, earnedPoints, context);
+
+        if (transaction.transactionId) {
+            context.purchases.set(transaction.transactionId, { amountCents: Money.toCents(transaction.amount), points, date: transaction.date });
+        }
+
+        return {
+            points,
+            pointsBreakdown: {
+                ...this.getPointsBreakdown(transaction.amount, appliedRuleSet),
+                ...(category && { category }),
+                campaigns,
+                ...(status && { status }),
+                ...(cap && { cap })
+            }
+        };
+    }
+
+    /**
+     * Limit points to what is left of the monthly and annual caps
+     * Caps are consumed in the order transactions are scored, so later transactions in a capped
+     * period are awarded less than they would have earned; refunds give their reversed points back
+     * (see releaseCapRoom), so the caps hold net of refunds
+     * @param {Object} transaction - Transaction object
+     * @param {number} points - Points the transaction would have earned
+     * @param {Object} context - Calculation context with caps and points awarded per period
+     * @returns {Object} Awarded points and cap details (null if no cap was hit)
+     * @private
+     */
+    static applyCaps(transaction, points, context) {
+        const monthKey = DateUtils.toMonthKey(transaction.date);
+        if (!monthKey) {
+            return { points, cap: null };
+        }
+
+        const yearKey = monthKey.slice(0, 4);
+        const periods = [
+            { period: 'monthly', limit: context.caps.MONTHLY, awarded: context.awardedByMonth.get(monthKey) || 0 },
+            { period: 'annual', limit: context.caps.ANNUAL, awarded: context.awardedByYear.get(yearKey) || 0 }
+        ].filter(period => typeof period.limit === 'number');
+
+        const limitsHit = periods.filter(period => period.awarded + points > period.limit);
+        const awardedPoints = limitsHit.reduce(
+            (allowed, period) => Math.min(allowed, Math.max(0, period.limit - period.awarded)),
+            points
+        );
+
+        context.awardedByMonth.set(monthKey, (context.awardedByMonth.get(monthKey) || 0) + awardedPoints);
+        context.awardedByYear.set(yearKey, (context.awardedByYear.get(yearKey) || 0) + awardedPoints);
+
+        if (awardedPoints === points) {
+            return { points, cap: null };
+        }
+
+        logger.info(`Transaction ${transaction.transactionId} capped from ${points} to ${awardedPoints} points`);
+        return {
+            points: awardedPoints,
+            cap: {
+                uncappedPoints: points,
+                cappedPoints: points - awardedPoints,
+                limits: limitsHit.map(period => ({ period: period.period, limit: period.limit }))
+            }
+        };
+    }
+
+    /**
+     * Give reversed points back to the monthly and annual caps of the purchase they were awarded for,
+     * so points clawed back by a refund can be earned again by later transactions in that period
+     * @param {string} date - Date of the refunded purchase
+     * @param {number} points - Points reversed by the refund
+     * @param {Object} context - Calculation context with points awarded per period
+     * @private
+     */
+    static releaseCapRoom(date, points, context) {
+        const monthKey = DateUtils.toMonthKey(date);
+        if (!monthKey || points <= 0) {
+            return;
+        }
+
+        const yearKey = monthKey.slice(0, 4);
+        context.awardedByMonth.set(monthKey, (context.awardedByMonth.get(monthKey) || 0) - points);
+        context.awardedByYear.set(yearKey, (context.awardedByYear.get(yearKey) || 0) - points);
+    }
+
+    /**
+     * Calculate the extra points from a merchant category multiplier
+     * The multiplier applies to base points, so a 3x category adds twice the base points;
+     * multipliers below 1 reduce the points earned
+     * @param {Object} transaction - Transaction object with optional category
+     * @param {number} basePoints - Points earned from the reward tiers
+     * @param {Object} context - Calculation context with categoryMultipliers
+     * @returns {Object|null} Category id, multiplier and extra points, or null if the category earns 1x
+     * @private
+     */
+    static calculateCategoryPoints(transaction, basePoints, context) {
+        if (!transaction.category) {
+            return null;
+        }
+
+        const multiplier = context.categoryMultipliers[transaction.category];
+        if (typeof multiplier !== 'number' || multiplier === 1) {
+            return null;
+        }
+
+        const points = Money.multiplyPoints(basePoints, multiplier) - basePoints;
+        if (points === 0) {
+            return null;
+        }
+
+        logger.debug(`Category ${transaction.category} (${multiplier}x) adds ${points} points to transaction ${transaction.transactionId}`);
+        return {
+            id: transaction.category,
+            multiplier,
+            points
+        };
+    }
+
+    /**
+     * Calculate the loyalty status boost for a purchase
+     * The boost applies to base points only, using the status level in force in the transaction's month
+     * @param {Object} transaction - Transaction object
+     * @param {number} basePoints - Points earned from the reward tiers
+     * @param {Object} context - Calculation context with statusByMonth
+     * @returns {Object|null} Status level id, name, multiplier and boost points, or null if no boost applies
+     * @private
+     */
+    static calculateStatusBoost(transaction, basePoints, context) {
+        const monthKey = DateUtils.toMonthKey(transaction.date);
+        if (!monthKey) {
+            return null;
+        }
+
+        const level = context.statusByMonth[monthKey];
+        if (!level || !(level.multiplier > 1)) {
+            return null;
+        }
+
+        const points = Money.multiplyPoints(basePoints, level.multiplier - 1);
+        if (points <= 0) {
+            return null;
+        }
+
+        logger.debug(`${level.name} status adds ${points} points to transaction ${transaction.transactionId}`);
+        return {
+            id: level.id,
+            name: level.name,
+            multiplier: level.multiplier,
+            points
+        };
+    }
+
+    /**
+     * Calculate the points of a lifecycle bonus entry (see BonusEngine)
+     * Fixed bonuses award bonusPoints; multiplier bonuses award (bonusMultiplier - 1) times the points
+     * of the related purchase and are added to that purchase, so a refund reverses them too
+     * @param {Object} bonus - Bonus entry
+     * @param {Object} context - Calculation context holding the customer's earlier purchases
+     * @returns {Object} Bonus points and breakdown with bonus details
+     */
+    static calculateBonusPoints(bonus, context) {
+        const related = bonus.relatedTransactionId ? context.purchases.get(bonus.relatedTransactionId) : null;
+        const earnedPoints = typeof bonus.bonusMultiplier === 'number'
+            ? Money.multiplyPoints(related ? related.points : 0, bonus.bonusMultiplier - 1)
+            : bonus.bonusPoints || 0;
+        const { points, cap } = this.applyCaps(bonus, earnedPoints, context);
+
+        if (related && typeof bonus.bonusMultiplier === 'number') {
+            related.points += points;
+        }
+
+        logger.debug(`Bonus ${bonus.transactionId} awards ${points} points`);
+        return {
+            points,
+            pointsBreakdown: {
+                ruleVersion: null,
+                tiers: [],
+                campaigns: [],
+                bonus: {
+                    type: bonus.bonusType,
+                    description: bonus.description
+                },
+                ...(cap && { cap })
+            }
+        };
+    }
+
+    /**
+     * Calculate the points reversed by a refund
+     * Full refunds reverse all points of the original purchase; partial refunds reverse
+     * them pro-rata (rounded), never reversing more than the purchase earned in total
+     * @param {Object} refund - Refund transaction (negative amount, originalTransactionId)
+     * @param {Object} context - Calculation context holding the customer's earlier purchases
+     * @returns {Object} Negative points and breakdown with refund details
+     * @throws {Error} If the original purchase has not been scored
+     */
+    static calculateRefundPoints(refund, context) {
+        const original = context.purchases.get(refund.originalTransactionId);
+        if (!original) {
+            throw new Error(`Original transaction ${refund.originalTransactionId} not found for refund ${refund.transactionId}`);
+        }
+
+        const refundCents = Math.abs(Money.toCents(refund.amount));
+        const refundRatio = original.amountCents > 0 ? Math.min(1, refundCents / original.amountCents) : 1;
+        const alreadyReversed = context.reversedPoints.get(refund.originalTransactionId) || 0;
+        const reversedPoints = Math.min(Math.round(original.points * refundRatio), original.points - alreadyReversed);
+
+        context.reversedPoints.set(refund.originalTransactionId, alreadyReversed + reversedPoints);
+        this.releaseCapRoom(original.date, reversedPoints, context);
+        logger.debug(`Refund ${refund.transactionId} reverses ${reversedPoints} points of ${refund.originalTransactionId}`);
+
+        return {
+            points: -reversedPoints,
+            pointsBreakdown: {
+                ruleVersion: null,
+                tiers: [],
+                campaigns: [],
+                refund: {
+                    originalTransactionId: refund.originalTransactionId,
+                    originalPoints: original.points,
+                    refundRatio,
+                    reversedPoints
+                }
+            }
+        };
     }
 
     /**
      * Calculate total reward points for multiple transactions
      * @param {Array} transactions - Array of transaction objects
-     * @returns {number} Total reward points
+     * @param {Object} ruleSet - Optional rule set for every transaction, defaults to the version in force on each transaction date
+     * @returns {number} Total reward points (net of refunds)
      * @throws {Error} If transactions array is invalid
      */
-    static calculateTotalPoints(transactions) {
+    static calculateTotalPoints(transactions, ruleSet = null) {
         if (!Array.isArray(transactions)) {
             logger.error('Invalid transactions array provided');
             throw new Error('Transactions must be an array');
@@ -63,76 +309,112 @@ export class RewardCalculator {
             return 0;
         }
 
-        let totalPoints = 0;
-        let validTransactions = 0;
-
-        for (const transaction of transactions) {
-            try {
-                if (!transaction || typeof transaction.amount !== 'number') {
-                    logger.warn('Skipping invalid transaction:', transaction);
-                    continue;
-                }
-
-                const points = this.calculatePointsForTransaction(transaction.amount);
-                totalPoints += points;
-                validTransactions++;
+        const scored = this.scoreTransactions(transactions, ruleSet).filter(entry => !entry.error);
+        const totalPoints = scored.reduce((sum, entry) => sum + entry.result.points, 0);
 
-            } catch (error) {
-                logger.warn(`Skipping transaction due to error: ${error.message}`, transaction);
-                continue;
-            }
-        }
-
-        logger.info(`Calculated total points: ${totalPoints} from ${validTransactions} valid transactions`);
+        logger.info(`Calculated total points: ${totalPoints} from ${scored.length} valid transactions`);
         return totalPoints;
     }
 
     /**
      * Calculate monthly reward points breakdown
      * @param {Array} transactions - Array of transaction objects
-     * @returns {Object} Monthly breakdown with month-year as keys and points as values
+     * @param {Object} ruleSet - Optional rule set for every transaction, defaults to the version in force on each transaction date
+     * @param {Object} options - Optional scoring options (see createCalculationContext)
+     * @returns {Object} Monthly breakdown with month-year as keys and points, totals, campaign contributions,
+     *   status boosts, points lost to caps, refunds, lifecycle bonuses and per-category totals as values
      * @throws {Error} If transactions array is invalid
      */
-    static calculateMonthlyBreakdown(transactions) {
+    static calculateMonthlyBreakdown(transactions, ruleSet = null, options = {}) {
         if (!Array.isArray(transactions)) {
             logger.error('Invalid transactions array provided for monthly breakdown');
             throw new Error('Transactions must be an array');
         }
 
+        const scoredTransactions = this.scoreTransactions(transactions, ruleSet, options)
+            .filter(entry => !entry.error)
+            .map(entry => ({ ...entry.transaction, ...entry.result }));
+
+        return this.summarizeByMonth(scoredTransactions);
+    }
+
+    /**
+     * Group already-scored transactions by month
+     * Useful for showing a filtered period of a history that was scored as a whole
+     * @param {Array} transactionsWithPoints - Transactions with points and pointsBreakdown
+     * @returns {Object} Monthly breakdown (see calculateMonthlyBreakdown)
+     */
+    static summarizeByMonth(transactionsWithPoints) {
         const monthlyBreakdown = {};
 
-        for (const transaction of transactions) {
-            try {
-                if (!transaction || typeof transaction.amount !== 'number' || !transaction.date) {
-                    logger.warn('Skipping invalid transaction in monthly breakdown:', transaction);
-                    continue;
-                }
+        for (const transaction of transactionsWithPoints) {
+            if (!transaction || typeof transaction.amount !== 'number' || !transaction.date) {
+                logger.warn('Skipping invalid transaction in monthly breakdown:', transaction);
+                continue;
+            }
 
-                const transactionDate = new Date(transaction.date);
-                if (isNaN(transactionDate.getTime())) {
-                    logger.warn('Skipping transaction with invalid date:', transaction);
-                    continue;
-                }
+            const monthYear = DateUtils.toMonthKey(transaction.date);
+            if (!monthYear) {
+                logger.warn('Skipping transaction with invalid date:', transaction);
+                continue;
+            }
 
-                const monthYear = this.getMonthYearKey(transactionDate);
-                const points = this.calculatePointsForTransaction(transaction.amount);
+            const pointsBreakdown = transaction.pointsBreakdown || {};
 
-                if (!monthlyBreakdown[monthYear]) {
-                    monthlyBreakdown[monthYear] = {
-                        points: 0,
-                        transactionCount: 0,
-                        totalAmount: 0
-                    };
-                }
+            if (!monthlyBreakdown[monthYear]) {
+                monthlyBreakdown[monthYear] = {
+                    points: 0,
+                    transactionCount: 0,
+                    totalAmount: 0,
+                    campaignPoints: 0,
+                    campaigns: {},
+                    statusPoints: 0,
+                    cappedPoints: 0,
+                    refundedPoints: 0,
+                    bonusPoints: 0,
+                    categories: {}
+                };
+            }
 
-                monthlyBreakdown[monthYear].points += points;
-                monthlyBreakdown[monthYear].transactionCount++;
-                monthlyBreakdown[monthYear].totalAmount += transaction.amount;
+            const monthData = monthlyBreakdown[monthYear];
+            monthData.points += transaction.points;
 
-            } catch (error) {
-                logger.warn(`Error processing transaction for monthly breakdown: ${error.message}`, transaction);
+            if (pointsBreakdown.cap) {
+                monthData.cappedPoints += pointsBreakdown.cap.cappedPoints;
+            }
+
+            // Lifecycle bonuses add points but are not purchases
+            if (this.isBonus(transaction)) {
+                monthData.bonusPoints += transaction.points;
                 continue;
             }
+
+            monthData.transactionCount++;
+            monthData.totalAmount = Money.add(monthData.totalAmount, transaction.amount);
+
+            const categoryId = transaction.category || 'uncategorized';
+            if (!monthData.categories[categoryId]) {
+                monthData.categories[categoryId] = { points: 0, transactionCount: 0, totalAmount: 0 };
+            }
+            monthData.categories[categoryId].points += transaction.points;
+            monthData.categories[categoryId].transactionCount++;
+            monthData.categories[categoryId].totalAmount = Money.add(monthData.categories[categoryId].totalAmount, transaction.amount);
+
+            (pointsBreakdown.campaigns || []).forEach(campaign => {
+                if (!monthData.campaigns[campaign.id]) {
+                    monthData.campaigns[campaign.id] = { name: campaign.name, points: 0 };
+                }
+                monthData.campaigns[campaign.id].points += campaign.points;
+                monthData.campaignPoints += campaign.points;
+            });
+
+            if (pointsBreakdown.status) {
+                monthData.statusPoints += pointsBreakdown.status.points;
+            }
+
+            if (pointsBreakdown.refund) {
+                monthData.refundedPoints += pointsBreakdown.refund.reversedPoints;
+            }
         }
 
         logger.info(`Generated monthly breakdown for ${Object.keys(monthlyBreakdown).length} months`);
@@ -142,93 +424,306 @@ export class RewardCalculator {
     /**
      * Calculate reward points with transaction details
      * @param {Array} transactions - Array of transaction objects
+     * @param {Object} ruleSet - Optional rule set for every transaction, defaults to the version in force on each transaction date
+     * @param {Object} options - Optional scoring options (see createCalculationContext)
      * @returns {Array} Transactions with calculated points added
      */
-    static calculatePointsWithDetails(transactions) {
+    static calculatePointsWithDetails(transactions, ruleSet = null, options = {}) {
         if (!Array.isArray(transactions)) {
             logger.error('Invalid transactions array provided for points details');
             throw new Error('Transactions must be an array');
         }
 
-        const transactionsWithPoints = [];
+        const transactionsWithPoints = this.scoreTransactions(transactions, ruleSet, options).map(entry => {
+            if (entry.error) {
+                // Still add the transaction but with 0 points
+                return {
+                    ...entry.transaction,
+                    points: 0,
+                    pointsBreakdown: { ruleVersion: null, tiers: [], campaigns: [] }
+                };
+            }
 
-        for (const transaction of transactions) {
-            try {
-                if (!transaction || typeof transaction.amount !== 'number') {
-                    logger.warn('Skipping invalid transaction in points details:', transaction);
-                    continue;
-                }
+            return {
+                ...entry.transaction,
+                points: entry.result.points,
+                pointsBreakdown: entry.result.pointsBreakdown
+            };
+        });
 
-                const points = this.calculatePointsForTransaction(transaction.amount);
-                
-                transactionsWithPoints.push({
-                    ...transaction,
-                    points: points,
-                    pointsBreakdown: this.getPointsBreakdown(transaction.amount)
+        logger.info(`Calculated points details for ${transactionsWithPoints.length} transactions`);
+        return transactionsWithPoints;
+    }
+
+    /**
+     * Build a human-readable explanation of how a transaction's points were calculated
+     * Covers currency conversion, the rule version, every tier with the rounding applied, category multiplier,
+     * campaigns, status boosts, caps, refunds and lifecycle bonuses
+     * @param {Object} transaction - Transaction with points and pointsBreakdown (see calculatePointsWithDetails)
+     * @returns {Array} Explanation steps with step type, description and points (null for informational steps)
+     */
+    static explainPoints(transaction) {
+        const breakdown = (transaction && transaction.pointsBreakdown) || { ruleVersion: null, tiers: [], campaigns: [] };
+        const steps = [];
+
+        if (breakdown.bonus) {
+            steps.push({
+                step: 'bonus',
+                description: breakdown.bonus.description || `${breakdown.bonus.type} bonus`,
+                points: breakdown.cap ? breakdown.cap.uncappedPoints : transaction.points
+            });
+        } else if (breakdown.refund) {
+            const { originalTransactionId, originalPoints, refundRatio, reversedPoints } = breakdown.refund;
+            steps.push({
+                step: 'refund',
+                description: `Refund of ${formatCurrency(Math.abs(transaction.amount))} against ${originalTransactionId}: ` +
+                    `${Math.round(refundRatio * 100)}% of its ${originalPoints} points reversed`,
+                points: -reversedPoints
+            });
+        } else if (!breakdown.ruleVersion) {
+            steps.push({
+                step: 'rule',
+                description: 'No reward rules applied: the transaction could not be scored',
+                points: null
+            });
+        } else {
+            const version = RewardRules.getRuleVersions().find(candidate => candidate.id === breakdown.ruleVersion);
+            steps.push({
+                step: 'rule',
+                description: `Rule version ${breakdown.ruleVersion}${version && version.name ? ` (${version.name})` : ''} ` +
+                    `in force on ${RewardRules.toDateKey(transaction.date) || 'the transaction date'}`,
+                points: null
+            });
+
+            if (transaction.currency && transaction.originalAmount !== undefined) {
+                steps.push({
+                    step: 'currency',
+                    description: `${formatCurrency(transaction.originalAmount, transaction.currency)} converted to ` +
+                        `${formatCurrency(transaction.amount)} before tier evaluation`,
+                    points: null
                 });
+            }
 
-            } catch (error) {
-                logger.warn(`Error calculating points for transaction: ${error.message}`, transaction);
-                // Still add the transaction but with 0 points
-                transactionsWithPoints.push({
-                    ...transaction,
-                    points: 0,
-                    pointsBreakdown: { highTier: 0, lowTier: 0 }
+            (breakdown.tiers || []).forEach(tier => steps.push(this.explainTier(tier)));
+
+            if (breakdown.category) {
+                steps.push({
+                    step: 'category',
+                    description: `${breakdown.category.id} category earns ${breakdown.category.multiplier}x base points, ` +
+                        `rounded (${Money.getRoundingPolicy()})`,
+                    points: breakdown.category.points
+                });
+            }
+
+            (breakdown.campaigns || []).forEach(campaign => steps.push({
+                step: 'campaign',
+                description: `${campaign.name} (${campaign.type === 'multiplier' ? 'points multiplier' : 'flat bonus'} campaign)`,
+                points: campaign.points
+            }));
+
+            if (breakdown.status) {
+                steps.push({
+                    step: 'status',
+                    description: `${breakdown.status.name} status earns ${breakdown.status.multiplier}x base points, ` +
+                        `rounded (${Money.getRoundingPolicy()})`,
+                    points: breakdown.status.points
                 });
             }
         }
 
-        logger.info(`Calculated points details for ${transactionsWithPoints.length} transactions`);
-        return transactionsWithPoints;
+        if (breakdown.cap) {
+            const limits = breakdown.cap.limits
+                .map(limit => `${limit.period} cap of ${limit.limit.toLocaleString()} points`)
+                .join(' and ');
+            steps.push({
+                step: 'cap',
+                description: `Reached the ${limits}: would have earned ${breakdown.cap.uncappedPoints}, ` +
+                    `awarded ${breakdown.cap.uncappedPoints - breakdown.cap.cappedPoints}`,
+                points: -breakdown.cap.cappedPoints
+            });
+        }
+
+        steps.push({
+            step: 'total',
+            description: 'Total points',
+            points: transaction ? transaction.points : 0
+        });
+
+        return steps;
+    }
+
+    /**
+     * Score transactions in chronological order so refunds can see their original purchase
+     * Results are returned in the original input order; invalid entries are skipped
+     * @param {Array} transactions - Array of transaction objects
+     * @param {Object} ruleSet - Optional explicit rule set
+     * @param {Object} options - Optional scoring options (see createCalculationContext)
+     * @returns {Array} Entries with transaction and either result or error
+     * @private
+     */
+    static scoreTransactions(transactions, ruleSet = null, options = {}) {
+        const context = this.createCalculationContext(options);
+        const entries = [];
+
+        transactions.forEach((transaction, index) => {
+            if (!transaction || typeof transaction.amount !== 'number') {
+                logger.warn('Skipping invalid transaction:', transaction);
+                return;
+            }
+            entries.push({ transaction, index });
+        });
+
+        const chronological = [...entries].sort((a, b) => this.compareByDate(a.transaction, b.transaction) || a.index - b.index);
+
+        for (const entry of chronological) {
+            try {
+                entry.result = this.calculateTransactionPoints(entry.transaction, ruleSet, context);
+            } catch (error) {
+                logger.warn(`Error calculating points for transaction: ${error.message}`, entry.transaction);
+                entry.error = error;
+            }
+        }
+
+        return entries;
+    }
+
+    /**
+     * Create a calculation context for scoring a customer's history
+     * @param {Object} options - Scoring options
+     * @param {Object} options.statusByMonth - Status level in force per month-year key (see StatusEngine.getStatusByMonth)
+     * @param {Object} options.caps - Points caps ({ MONTHLY, ANNUAL }), defaults to the configured caps
+     * @param {Object} options.categoryMultipliers - Multiplier per category, defaults to the configured multipliers
+     * @returns {Object} Context tracking scored purchases, points already reversed by refunds, status levels,
+     *   category multipliers and points awarded per month and year
+     * @private
+     */
+    static createCalculationContext(options = {}) {
+        return {
+            purchases: new Map(),
+            reversedPoints: new Map(),
+            statusByMonth: options.statusByMonth || {},
+            caps: options.caps || CONSTANTS.REWARDS.CAPS,
+            categoryMultipliers: options.categoryMultipliers || CONSTANTS.REWARDS.CATEGORY_MULTIPLIERS,
+            awardedByMonth: new Map(),
+            awardedByYear: new Map()
+        };
+    }
+
+    /**
+     * Check if a transaction is a refund
+     * @param {Object} transaction - Transaction object
+     * @returns {boolean} True if refund
+     */
+    static isRefund(transaction) {
+        return Boolean(transaction) && transaction.type === 'refund';
+    }
+
+    /**
+     * Check if an entry is a lifecycle bonus
+     * @param {Object} transaction - Transaction or bonus entry
+     * @returns {boolean} True if bonus
+     */
+    static isBonus(transaction) {
+        return Boolean(transaction) && transaction.type === 'bonus';
+    }
+
+    /**
+     * Compare two transactions by date, undated or invalid dates last
+     * On the same date refunds come after purchases, so a refund listed before its purchase still finds it
+     * @param {Object} a - First transaction
+     * @param {Object} b - Second transaction
+     * @returns {number} Sort order
+     * @private
+     */
+    static compareByDate(a, b) {
+        return DateUtils.compare(a.date, b.date) || Number(this.isRefund(a)) - Number(this.isRefund(b));
+    }
+
+    /**
+     * Explain the points earned in a single tier
+     * @param {Object} tier - Tier result (see RewardRules.calculateTierPoints)
+     * @returns {Object} Explanation step
+     * @private
+     */
+    static explainTier(tier) {
+        if (!(tier.amount > 0)) {
+            return {
+                step: 'tier',
+                description: `${tier.label}: amount does not reach this tier`,
+                points: 0
+            };
+        }
+
+        const exactPoints = Number((Money.toCents(tier.amount) * tier.multiplier / 100).toFixed(4));
+        const rounding = exactPoints === tier.points ? '' : `, rounded (${Money.getRoundingPolicy()}) to ${tier.points}`;
+
+        return {
+            step: 'tier',
+            description: `${tier.label}: ${formatCurrency(tier.amount)} x ${tier.multiplier} point(s) per dollar ` +
+                `= ${exactPoints}${rounding}`,
+            points: tier.points
+        };
     }
 
     /**
      * Get detailed breakdown of how points were calculated
      * @param {number} amount - Transaction amount
-     * @returns {Object} Breakdown of points calculation
+     * @param {Object} ruleSet - Optional rule set, defaults to the configured program rules
+     * @returns {Object} Breakdown of points calculation with applied rule version and points per tier
      * @private
      */
-    static getPointsBreakdown(amount) {
+    static getPointsBreakdown(amount, ruleSet = RewardRules.getDefaultRuleSet()) {
         if (typeof amount !== 'number' || isNaN(amount) || amount < 0) {
-            return { highTier: 0, lowTier: 0 };
+            return { ruleVersion: null, tiers: [] };
         }
 
-        const { HIGH_THRESHOLD, LOW_THRESHOLD, HIGH_MULTIPLIER, LOW_MULTIPLIER } = CONSTANTS.REWARDS;
-        let highTierPoints = 0;
-        let lowTierPoints = 0;
+        return {
+            ruleVersion: ruleSet ? ruleSet.id || null : null,
+            tiers: RewardRules.calculateTierPoints(amount, ruleSet)
+        };
+    }
+
+    /**
+     * Resolve the rule set to score a transaction with
+     * An explicit rule set wins; otherwise the version in force on the transaction date is used
+     * @param {Object} transaction - Transaction object
+     * @param {Object} ruleSet - Optional explicit rule set
+     * @returns {Object} Rule set to apply
+     * @throws {Error} If no rule version covers the transaction date
+     * @private
+     */
+    static resolveRuleSet(transaction, ruleSet = null) {
+        if (ruleSet) {
+            return ruleSet;
+        }
 
-        // Calculate high tier points (over $100)
-        if (amount > HIGH_THRESHOLD) {
-            const amountOverHundred = amount - HIGH_THRESHOLD;
-            highTierPoints = Math.floor(amountOverHundred * HIGH_MULTIPLIER);
+        if (!transaction || !transaction.date) {
+            return RewardRules.getDefaultRuleSet();
         }
 
-        // Calculate low tier points ($50-$100)
-        const amountForLowTier = Math.min(amount, HIGH_THRESHOLD) - LOW_THRESHOLD;
-        if (amountForLowTier > 0) {
-            lowTierPoints = Math.floor(amountForLowTier * LOW_MULTIPLIER);
+        const datedRuleSet = RewardRules.getRuleSetForDate(transaction.date);
+        if (!datedRuleSet) {
+            throw new Error(`No reward rules in force on ${transaction.date}`);
         }
 
-        return {
-            highTier: highTierPoints,
-            lowTier: lowTierPoints
-        };
+        return datedRuleSet;
     }
 
     /**
      * Generate month-year key for grouping
-     * @param {Date} date - Date object
+     * Date strings are grouped by the calendar month written, not the month of their UTC midnight
+     * @param {string|Date} date - Date string or Date object
      * @returns {string} Month-year key (e.g., "2025-01")
+     * @throws {Error} If the date is not valid
      * @private
      */
     static getMonthYearKey(date) {
-        if (!(date instanceof Date) || isNaN(date.getTime())) {
+        const monthKey = DateUtils.toMonthKey(date);
+        if (!monthKey) {
             throw new Error('Invalid date provided');
         }
 
-        const year = date.getFullYear();
-        const month = String(date.getMonth() + 1).padStart(2, '0');
-        return `${year}-${month}`;
+        return monthKey;
     }
 
     /**
@@ -0,0 +1,245 @@
+/**
+ * Reward Rules
+ * Evaluates configurable, data-driven reward tier rule sets and their effective-dated versions
+ * @module RewardRules
+ */
+
+import logger from './logger.js';
+import { CONSTANTS } from './constants.js';
+import { Money } from './money.js';
+import { DateUtils } from './dateUtils.js';
+
+/**
+ * Configured rule version lists that passed validation, so each configuration is checked once
+ */
+const validatedVersions = new WeakSet();
+
+/**
+ * Rule engine class for tiered reward rule sets
+ * A rule set is a list of non-overlapping amount tiers, each with its own multiplier
+ */
+export class RewardRules {
+    /**
+     * Get all configured, effective-dated rule versions
+     * The configuration is validated the first time it is read
+     * @returns {Array} Rule versions
+     * @throws {Error} If the configured rule versions are invalid
+     */
+    static getRuleVersions() {
+        const versions = CONSTANTS.REWARDS.RULE_VERSIONS;
+        if (Array.isArray(versions) && validatedVersions.has(versions)) {
+            return versions;
+        }
+
+        try {
+            this.validateRuleVersions(versions);
+        } catch (error) {
+            logger.error('Invalid reward rule configuration:', error);
+            throw new Error(`Invalid reward rule configuration: ${error.message}`, { cause: error });
+        }
+
+        validatedVersions.add(versions);
+        return versions;
+    }
+
+    /**
+     * Get the rule set currently in force
+     * Falls back to the most recent version if none covers today
+     * @returns {Object} Default rule set
+     */
+    static getDefaultRuleSet() {
+        const versions = this.getRuleVersions();
+        return this.getRuleSetForDate(new Date(), versions) || this.getSortedVersions(versions).pop();
+    }
+
+    /**
+     * Find the rule version in force on a given date
+     * @param {string|Date} date - Transaction date
+     * @param {Array} ruleVersions - Rule versions to search, defaults to the configured versions
+     * @returns {Object|null} Matching rule set or null if no version covers the date
+     */
+    static getRuleSetForDate(date, ruleVersions = this.getRuleVersions()) {
+        const dateKey = this.toDateKey(date);
+        if (!dateKey || !Array.isArray(ruleVersions)) {
+            return null;
+        }
+
+        return ruleVersions.find(version => this.isVersionInForce(version, dateKey)) || null;
+    }
+
+    /**
+     * Check if a rule version is in force on a date
+     * @param {Object} version - Rule version with effectiveFrom/effectiveTo
+     * @param {string} dateKey - Date key (YYYY-MM-DD)
+     * @returns {boolean} True if the version applies
+     */
+    static isVersionInForce(version, dateKey) {
+        if (!version || !version.effectiveFrom) {
+            return false;
+        }
+
+        const startsBefore = version.effectiveFrom <= dateKey;
+        const endsAfter = !version.effectiveTo || dateKey <= version.effectiveTo;
+        return startsBefore && endsAfter;
+    }
+
+    /**
+     * Validate a list of effective-dated rule versions
+     * Each version must be a valid rule set and date ranges must not overlap
+     * @param {Array} ruleVersions - Rule versions to validate
+     * @returns {boolean} True if valid
+     * @throws {Error} If any version is invalid
+     */
+    static validateRuleVersions(ruleVersions) {
+        if (!Array.isArray(ruleVersions) || ruleVersions.length === 0) {
+            throw new Error('At least one rule version must be defined');
+        }
+
+        const versions = this.getSortedVersions(ruleVersions);
+
+        versions.forEach((version, index) => {
+            this.validateRuleSet(version);
+
+            if (!this.toDateKey(version.effectiveFrom)) {
+                throw new Error(`Invalid effectiveFrom for rule version ${version.id}: ${version.effectiveFrom}`);
+            }
+
+            if (version.effectiveTo && (!this.toDateKey(version.effectiveTo) || version.effectiveTo < version.effectiveFrom)) {
+                throw new Error(`Invalid effectiveTo for rule version ${version.id}: ${version.effectiveTo}`);
+            }
+
+            const previous = versions[index - 1];
+            if (previous && (!previous.effectiveTo || previous.effectiveTo >= version.effectiveFrom)) {
+                throw new Error(`Rule version ${version.id} overlaps rule version ${previous.id}`);
+            }
+        });
+
+        return true;
+    }
+
+    /**
+     * Validate a rule set definition
+     * Tiers must have a numeric lower bound, an optional upper bound above it,
+     * a non-negative multiplier, and must not overlap each other
+     * @param {Object} ruleSet - Rule set to validate
+     * @returns {boolean} True if valid
+     * @throws {Error} If the rule set is invalid
+     */
+    static validateRuleSet(ruleSet) {
+        if (!ruleSet || !Array.isArray(ruleSet.tiers) || ruleSet.tiers.length === 0) {
+            throw new Error('Rule set must define at least one tier');
+        }
+
+        const tiers = this.getSortedTiers(ruleSet);
+
+        tiers.forEach((tier, index) => {
+            if (!tier.id) {
+                throw new Error('Every tier must have an id');
+            }
+
+            if (typeof tier.min !== 'number' || isNaN(tier.min) || tier.min < 0) {
+                throw new Error(`Invalid lower bound for tier ${tier.id}: ${tier.min}`);
+            }
+
+            if (tier.max !== null && tier.max !== undefined &&
+                (typeof tier.max !== 'number' || isNaN(tier.max) || tier.max <= tier.min)) {
+                throw new Error(`Invalid upper bound for tier ${tier.id}: ${tier.max}`);
+            }
+
+            if (typeof tier.multiplier !== 'number' || isNaN(tier.multiplier) || tier.multiplier < 0) {
+                throw new Error(`Invalid multiplier for tier ${tier.id}: ${tier.multiplier}`);
+            }
+
+            const previous = tiers[index - 1];
+            if (previous && (previous.max === null || previous.max === undefined || previous.max > tier.min)) {
+                throw new Error(`Tier ${tier.id} overlaps tier ${previous.id}`);
+            }
+        });
+
+        return true;
+    }
+
+    /**
+     * Calculate points earned in each tier of a rule set
+     * Only the part of the amount above a tier's lower bound (and up to its upper bound) counts for that tier;
+     * the calculation runs in integer cents and fractional points follow the configured rounding policy
+     * @param {number} amount - Transaction amount
+     * @param {Object} ruleSet - Rule set to apply
+     * @returns {Array} Tier results with id, label, multiplier, amount counted in the tier and points
+     */
+    static calculateTierPoints(amount, ruleSet = this.getDefaultRuleSet()) {
+        const amountCents = Money.toCents(amount);
+
+        return this.getSortedTiers(ruleSet).map(tier => {
+            const upperBound = tier.max === null || tier.max === undefined
+                ? amountCents
+                : Math.min(amountCents, Money.toCents(tier.max));
+            const centsInTier = Math.max(0, upperBound - Money.toCents(tier.min));
+            const points = centsInTier > 0 ? Money.pointsFromCents(centsInTier, tier.multiplier) : 0;
+
+            if (points > 0) {
+                logger.debug(`Points from tier ${tier.id} (${this.getTierLabel(tier)}): ${points}`);
+            }
+
+            return {
+                id: tier.id,
+                label: this.getTierLabel(tier),
+                multiplier: tier.multiplier,
+                amount: Money.fromCents(centsInTier),
+                points
+            };
+        });
+    }
+
+    /**
+     * Get display label for a tier
+     * Falls back to a label derived from the tier bounds
+     * @param {Object} tier - Tier definition
+     * @returns {string} Tier label (e.g., "$50-$100" or ">$100")
+     */
+    static getTierLabel(tier) {
+        if (tier.label) {
+            return tier.label;
+        }
+
+        if (tier.max === null || tier.max === undefined) {
+            return `>$${tier.min}`;
+        }
+
+        return `$${tier.min}-$${tier.max}`;
+    }
+
+    /**
+     * Convert a date to a calendar date key for range comparisons
+     * Date strings keep their calendar date as written to avoid timezone shifts (see DateUtils.toDateKey)
+     * @param {string|Date} date - Date string or Date object
+     * @returns {string|null} Date key (YYYY-MM-DD) or null if invalid
+     */
+    static toDateKey(date) {
+        return DateUtils.toDateKey(date);
+    }
+
+    /**
+     * Get tiers ordered by lower bound
+     * @param {Object} ruleSet - Rule set
+     * @returns {Array} Sorted copy of the tiers
+     * @private
+     */
+    static getSortedTiers(ruleSet) {
+        if (!ruleSet || !Array.isArray(ruleSet.tiers)) {
+            return [];
+        }
+
+        return [...ruleSet.tiers].sort((a, b) => a.min - b.min);
+    }
+
+    /**
+     * Get rule versions ordered by effective date
+     * @param {Array} ruleVersions - Rule versions
+     * @returns {Array} Sorted copy of the versions
+     * @private
+     */
+    static getSortedVersions(ruleVersions) {
+        return [...ruleVersions].sort((a, b) => String(a.effectiveFrom).localeCompare(String(b.effectiveFrom)));
+    }
+}
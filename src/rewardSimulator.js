@@ -0,0 +1,87 @@
+/**
+ * Reward Simulator
+ * Compares the points customers earn under the configured rules with a proposed rule set
+ * @module RewardSimulator
+ */
+
+import logger from './logger.js';
+import { CONSTANTS } from './constants.js';
+import { Money } from './money.js';
+import { RewardRules } from './rewardRules.js';
+import { StatusEngine } from './statusEngine.js';
+
+/**
+ * Simulator class for what-if rule changes
+ * The proposed rule set is injected into RewardCalculator for every transaction instead of the
+ * effective-dated versions in CONSTANTS.REWARDS; categories, campaigns, status and caps apply to both sides,
+ * and status on the proposed side is qualified under the proposed rules
+ */
+export class RewardSimulator {
+    /**
+     * Simulate a proposed rule set against customer histories
+     * @param {Array} customerHistories - Customers as { customer, transactions }, where transactions is the
+     *   full history including bonus entries
+     * @param {Object} proposedRuleSet - Rule set to score every transaction with
+     * @param {number} centsPerPoint - Valuation of one point in cents, defaults to the configured valuation
+     * @returns {Object} Per-customer current and proposed points and values with the deltas, and the totals
+     * @throws {Error} If the input or the proposed rule set is invalid
+     */
+    static simulate(customerHistories, proposedRuleSet, centsPerPoint = CONSTANTS.REWARDS.VALUATION.CENTS_PER_POINT) {
+        if (!Array.isArray(customerHistories)) {
+            logger.error('Invalid customer histories provided for simulation');
+            throw new Error('Customer histories must be an array');
+        }
+
+        RewardRules.validateRuleSet(proposedRuleSet);
+
+        const customers = customerHistories.map(({ customer, transactions }) => ({
+            customerId: customer.customerId,
+            name: customer.name,
+            ...this.createComparison(
+                this.sumPoints(StatusEngine.scoreWithStatus(transactions)),
+                this.sumPoints(StatusEngine.scoreWithStatus(transactions, proposedRuleSet)),
+                centsPerPoint
+            )
+        }));
+
+        const totals = this.createComparison(
+            customers.reduce((sum, result) => sum + result.currentPoints, 0),
+            customers.reduce((sum, result) => sum + result.proposedPoints, 0),
+            centsPerPoint
+        );
+
+        logger.info(`Simulated ${customers.length} customers, liability change ${totals.delta} points (${totals.deltaValue})`);
+        return { customers, totals, centsPerPoint };
+    }
+
+    /**
+     * Build a current versus proposed comparison with point values
+     * @param {number} currentPoints - Points under the configured rules
+     * @param {number} proposedPoints - Points under the proposed rules
+     * @param {number} centsPerPoint - Valuation in cents per point
+     * @returns {Object} Points, values and deltas
+     * @private
+     */
+    static createComparison(currentPoints, proposedPoints, centsPerPoint) {
+        const delta = proposedPoints - currentPoints;
+
+        return {
+            currentPoints,
+            proposedPoints,
+            delta,
+            currentValue: Money.valuePoints(currentPoints, centsPerPoint),
+            proposedValue: Money.valuePoints(proposedPoints, centsPerPoint),
+            deltaValue: Money.valuePoints(delta, centsPerPoint)
+        };
+    }
+
+    /**
+     * Sum the points of scored transactions
+     * @param {Array} transactionsWithPoints - Scored transactions
+     * @returns {number} Total points
+     * @private
+     */
+    static sumPoints(transactionsWithPoints) {
+        return transactionsWithPoints.reduce((sum, transaction) => sum + transaction.points, 0);
+    }
+}
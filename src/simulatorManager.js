@@ -0,0 +1,241 @@
+/**
+ * Simulator Manager
+ * Handles the what-if reward simulator view
+ * @module SimulatorManager
+ */
+
+import logger from './logger.js';
+import { RewardRules } from './rewardRules.js';
+import { RewardSimulator } from './rewardSimulator.js';
+import { escapeHtml, formatCurrency } from './constants.js';
+
+/**
+ * Manager class for the what-if simulator
+ * Lets product managers edit tier thresholds and multipliers and compare every customer's
+ * current points with the points they would earn under the proposed tiers
+ */
+export class SimulatorManager {
+    /**
+     * Constructor
+     * @param {DataService} dataService - Data service instance
+     * @param {UIManager} uiManager - UI manager instance
+     * @param {CustomerManager} customerManager - Customer manager, used to build each customer's reward history
+     */
+    constructor(dataService, uiManager, customerManager) {
+        this.dataService = dataService;
+        this.uiManager = uiManager;
+        this.customerManager = customerManager;
+        this.isRendered = false;
+    }
+
+    /**
+     * Show or hide the simulator, filling the tier editor with the current rules the first time
+     */
+    toggleSimulator() {
+        if (!this.isRendered) {
+            this.resetRules();
+        }
+
+        this.uiManager.toggleElement('simulator');
+    }
+
+    /**
+     * Fill the tier editor with the rule set currently in force and clear previous results
+     */
+    resetRules() {
+        this.renderRuleEditor(RewardRules.getDefaultRuleSet());
+        this.uiManager.clearElement('simulatorResults');
+        this.uiManager.hideElement('simulatorError');
+        this.isRendered = true;
+    }
+
+    /**
+     * Add an empty tier row to the editor
+     */
+    addTier() {
+        const tierBody = document.getElementById('simulatorTiers');
+        if (tierBody) {
+            tierBody.appendChild(this.createTierRow({ min: '', max: null, multiplier: 1 }));
+        }
+    }
+
+    /**
+     * Score every customer with the proposed tiers and display the comparison
+     */
+    runSimulation() {
+        try {
+            this.uiManager.hideElement('simulatorError');
+
+            const proposedRuleSet = this.getProposedRuleSet();
+            const customerHistories = this.dataService.getCustomers().map(customer => {
+                const { transactions, bonuses } = this.customerManager.getRewardHistory(customer);
+                return { customer, transactions: [...transactions, ...bonuses] };
+            });
+
+            this.displayResults(RewardSimulator.simulate(customerHistories, proposedRuleSet));
+
+        } catch (error) {
+            logger.error('Failed to run reward simulation:', error);
+            this.uiManager.setText('simulatorError', error.message);
+            this.uiManager.showElement('simulatorError');
+            this.uiManager.clearElement('simulatorResults');
+        }
+    }
+
+    /**
+     * Render the editable tier table for a rule set
+     * @param {Object} ruleSet - Rule set to start from
+     * @private
+     */
+    renderRuleEditor(ruleSet) {
+        const rulesElement = document.getElementById('simulatorRules');
+        if (!rulesElement) {
+            logger.error('Simulator rules element not found');
+            return;
+        }
+
+        rulesElement.innerHTML = `
+            <table class="simulator-table">
+                <thead>
+                    <tr>
+                        <th>From ($)</th>
+                        <th>To ($, blank = no limit)</th>
+                        <th>Points per Dollar</th>
+                    </tr>
+                </thead>
+                <tbody id="simulatorTiers"></tbody>
+            </table>
+        `;
+
+        const tierBody = rulesElement.querySelector('#simulatorTiers');
+        ruleSet.tiers.forEach(tier => tierBody.appendChild(this.createTierRow(tier)));
+    }
+
+    /**
+     * Create an editable row for a tier
+     * @param {Object} tier - Tier definition
+     * @returns {HTMLElement} Table row element
+     * @private
+     */
+    createTierRow(tier) {
+        const row = document.createElement('tr');
+        row.className = 'simulator-tier';
+
+        row.innerHTML = `
+            <td><input type="number" class="form-control tier-min" min="0" step="0.01" value="${tier.min}"></td>
+            <td><input type="number" class="form-control tier-max" min="0" step="0.01" value="${tier.max ?? ''}"></td>
+            <td><input type="number" class="form-control tier-multiplier" min="0" step="0.1" value="${tier.multiplier}"></td>
+        `;
+
+        return row;
+    }
+
+    /**
+     * Build the proposed rule set from the tier editor
+     * Rows without a lower bound are ignored; tiers are identified by their bounds so validation errors read naturally
+     * @returns {Object} Proposed rule set
+     * @private
+     */
+    getProposedRuleSet() {
+        const rows = Array.from(document.querySelectorAll('#simulatorTiers .simulator-tier'));
+
+        const tiers = rows
+            .map(row => ({
+                min: row.querySelector('.tier-min').value,
+                max: row.querySelector('.tier-max').value,
+                multiplier: row.querySelector('.tier-multiplier').value
+            }))
+            .filter(tier => tier.min !== '')
+            .map(tier => ({
+                min: Number(tier.min),
+                max: tier.max === '' ? null : Number(tier.max),
+                multiplier: Number(tier.multiplier)
+            }))
+            .map(tier => ({ id: RewardRules.getTierLabel(tier), ...tier }));
+
+        return { id: 'proposed', name: 'Proposed Rules', tiers };
+    }
+
+    /**
+     * Display current versus proposed points per customer and the total liability change
+     * @param {Object} simulation - Result of RewardSimulator.simulate
+     * @private
+     */
+    displayResults(simulation) {
+        const resultsElement = document.getElementById('simulatorResults');
+        if (!resultsElement) {
+            logger.error('Simulator results element not found');
+            return;
+        }
+
+        const rows = simulation.customers.map(result => `
+            <tr>
+                <td>${escapeHtml(result.name)} (${escapeHtml(result.customerId)})</td>
+                <td class="points-cell">${result.currentPoints.toLocaleString()}</td>
+                <td class="points-cell">${result.proposedPoints.toLocaleString()}</td>
+                <td class="points-cell ${this.getDeltaClass(result.delta)}">${this.formatDelta(result.delta)}</td>
+                <td class="points-cell ${this.getDeltaClass(result.deltaValue)}">${this.formatValueDelta(result.deltaValue)}</td>
+            </tr>
+        `).join('');
+
+        const { totals } = simulation;
+        resultsElement.innerHTML = `
+            <table class="transactions-table simulator-results-table">
+                <thead>
+                    <tr>
+                        <th>Customer</th>
+                        <th>Current Points</th>
+                        <th>Proposed Points</th>
+                        <th>Delta</th>
+                        <th>Value Delta</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+                <tfoot>
+                    <tr>
+                        <td>Total liability change</td>
+                        <td class="points-cell">${totals.currentPoints.toLocaleString()}</td>
+                        <td class="points-cell">${totals.proposedPoints.toLocaleString()}</td>
+                        <td class="points-cell ${this.getDeltaClass(totals.delta)}">${this.formatDelta(totals.delta)}</td>
+                        <td class="points-cell ${this.getDeltaClass(totals.deltaValue)}">${this.formatValueDelta(totals.deltaValue)}</td>
+                    </tr>
+                </tfoot>
+            </table>
+        `;
+
+        logger.info(`Displayed simulation for ${simulation.customers.length} customers`);
+    }
+
+    /**
+     * Format a points delta with its sign
+     * @param {number} delta - Points delta
+     * @returns {string} Formatted delta (e.g., "+120" or "-45")
+     * @private
+     */
+    formatDelta(delta) {
+        return `${delta > 0 ? '+' : ''}${delta.toLocaleString()}`;
+    }
+
+    /**
+     * Format a liability value delta with its sign
+     * @param {number} deltaValue - Value delta in currency units
+     * @returns {string} Formatted delta (e.g., "+$1.20" or "-$0.45")
+     * @private
+     */
+    formatValueDelta(deltaValue) {
+        return `${deltaValue > 0 ? '+' : deltaValue < 0 ? '-' : ''}${formatCurrency(Math.abs(deltaValue))}`;
+    }
+
+    /**
+     * Get the CSS class for a points or value delta
+     * @param {number} delta - Points or value delta
+     * @returns {string} CSS class name
+     * @private
+     */
+    getDeltaClass(delta) {
+        if (delta > 0) {
+            return 'delta-increase';
+        }
+        return delta < 0 ? 'delta-decrease' : '';
+    }
+}
@@ -0,0 +1,242 @@
+/**
+ * Statement Parser
+ * Parses OFX and QIF bank statements and maps their entries to the transaction model
+ * @module StatementParser
+ */
+
+import logger from './logger.js';
+import { CONSTANTS } from './constants.js';
+
+/**
+ * Parser class for bank and card statements
+ * A statement is { format, account, currency, entries }, where each entry is
+ * { id, date (YYYY-MM-DD), amount, payee, memo, type } with the statement's sign: purchases are debits (negative)
+ */
+export class StatementParser {
+    /**
+     * Detect the format of a statement file
+     * @param {string} text - File contents
+     * @returns {string|null} 'ofx', 'qif' or null if the text is neither
+     */
+    static detectFormat(text) {
+        const content = String(text || '').trimStart();
+
+        if (/^OFXHEADER:|<OFX>/i.test(content) || /<\?OFX/i.test(content)) {
+            return 'ofx';
+        }
+
+        if (/^!Type:/i.test(content)) {
+            return 'qif';
+        }
+
+        return null;
+    }
+
+    /**
+     * Parse a statement
+     * @param {string} text - File contents
+     * @param {Object} options - Parse options
+     * @param {string} options.qifDateOrder - 'MDY' or 'DMY' order of QIF dates, defaults to the configured order
+     * @returns {Object} Statement
+     * @throws {Error} If the format is not recognized or the statement has no entries
+     */
+    static parse(text, options = {}) {
+        const format = this.detectFormat(text);
+
+        if (!format) {
+            throw new Error('Unrecognized statement format (expected OFX or QIF)');
+        }
+
+        const statement = format === 'ofx'
+            ? this.parseOfx(text)
+            : this.parseQif(text, options.qifDateOrder || CONSTANTS.IMPORT.STATEMENT.QIF_DATE_ORDER);
+
+        if (statement.entries.length === 0) {
+            throw new Error(`No transactions found in ${format.toUpperCase()} statement`);
+        }
+
+        logger.info(`Parsed ${format.toUpperCase()} statement with ${statement.entries.length} entries`);
+        return statement;
+    }
+
+    /**
+     * Map statement entries to transactions of a customer
+     * Debits become purchases; credits (payments, refunds) and excluded entry types (fees, interest, ...) are
+     * skipped, since a refund cannot be linked to the purchase it refunds. Transaction IDs combine the format,
+     * customer, account and entry ID, so importing the same statement twice is reported as duplicate IDs
+     * @param {Object} statement - Parsed statement
+     * @param {string} customerId - Customer the statement belongs to
+     * @returns {Object} { transactions, skipped } with raw transactions for DataService.importRecords
+     */
+    static toTransactions(statement, customerId) {
+        const excludedTypes = CONSTANTS.IMPORT.STATEMENT.EXCLUDED_TYPES;
+        const prefix = [statement.format.toUpperCase(), customerId, statement.account].filter(Boolean).join('-');
+        const transactions = [];
+        let skipped = 0;
+
+        statement.entries.forEach(entry => {
+            if (!(entry.amount < 0) || excludedTypes.includes(String(entry.type || '').toUpperCase())) {
+                skipped++;
+                return;
+            }
+
+            transactions.push({
+                transactionId: `${prefix}-${entry.id}`,
+                customerId,
+                amount: Math.abs(entry.amount),
+                date: entry.date,
+                ...(entry.payee ? { merchant: entry.payee } : {}),
+                ...(statement.currency ? { currency: statement.currency } : {})
+            });
+        });
+
+        return { transactions, skipped };
+    }
+
+    /**
+     * Parse an OFX statement (SGML OFX 1.x or XML OFX 2.x)
+     * @param {string} text - File contents
+     * @returns {Object} Statement
+     * @private
+     */
+    static parseOfx(text) {
+        const getValue = (block, tag) => {
+            const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+            return match ? this.decodeEntities(match[1].trim()) : '';
+        };
+
+        const entries = [...text.matchAll(/<STMTTRN>([\s\S]*?)(?:<\/STMTTRN>|(?=<STMTTRN>)|(?=<\/BANKTRANLIST>))/gi)]
+            .map(([, block], index) => ({
+                id: getValue(block, 'FITID') || String(index + 1),
+                date: this.parseOfxDate(getValue(block, 'DTPOSTED')),
+                amount: this.parseAmount(getValue(block, 'TRNAMT')),
+                payee: getValue(block, 'NAME') || getValue(block, 'PAYEE'),
+                memo: getValue(block, 'MEMO'),
+                type: getValue(block, 'TRNTYPE').toUpperCase()
+            }));
+
+        return {
+            format: 'ofx',
+            account: getValue(text, 'ACCTID'),
+            currency: getValue(text, 'CURDEF').toUpperCase(),
+            entries
+        };
+    }
+
+    /**
+     * Parse a QIF statement
+     * Entries end with a "^" line; D is the date, T or U the amount, P the payee, M the memo,
+     * N the reference number and L the category
+     * @param {string} text - File contents
+     * @param {string} dateOrder - 'MDY' or 'DMY'
+     * @returns {Object} Statement
+     * @private
+     */
+    static parseQif(text, dateOrder) {
+        const entries = [];
+        let fields = {};
+
+        String(text).split(/\r?\n/).forEach(rawLine => {
+            const line = rawLine.trim();
+            if (!line || line.startsWith('!')) {
+                return;
+            }
+
+            if (line === '^') {
+                if (Object.keys(fields).length > 0) {
+                    entries.push(fields);
+                }
+                fields = {};
+                return;
+            }
+
+            const code = line[0];
+            if (fields[code] === undefined) {
+                fields[code] = line.slice(1).trim();
+            }
+        });
+
+        if (Object.keys(fields).length > 0) {
+            entries.push(fields);
+        }
+
+        const dailyCounts = {};
+        return {
+            format: 'qif',
+            account: '',
+            currency: '',
+            entries: entries.map(fields => {
+                const date = this.parseQifDate(fields.D, dateOrder);
+                dailyCounts[date] = (dailyCounts[date] || 0) + 1;
+
+                return {
+                    id: fields.N || `${date}-${dailyCounts[date]}`,
+                    date,
+                    amount: this.parseAmount(fields.T !== undefined ? fields.T : fields.U),
+                    payee: fields.P || '',
+                    memo: fields.M || '',
+                    type: fields.L || ''
+                };
+            })
+        };
+    }
+
+    /**
+     * Convert an OFX date (YYYYMMDD[HHMMSS[.XXX]][[offset:TZ]]) to YYYY-MM-DD
+     * The posting date is kept as written; the time and time zone are ignored
+     * @param {string} value - OFX date
+     * @returns {string} Date key, or the original value if it is not an OFX date (so validation rejects it)
+     * @private
+     */
+    static parseOfxDate(value) {
+        const match = String(value || '').match(/^(\d{4})(\d{2})(\d{2})/);
+        return match ? `${match[1]}-${match[2]}-${match[3]}` : value;
+    }
+
+    /**
+     * Convert a QIF date (e.g. 07/15/2025, 7/15/25 or 7/15'25) to YYYY-MM-DD
+     * @param {string} value - QIF date
+     * @param {string} dateOrder - 'MDY' or 'DMY'
+     * @returns {string} Date key, or the original value if it is not a QIF date (so validation rejects it)
+     * @private
+     */
+    static parseQifDate(value, dateOrder) {
+        const match = String(value || '').replace(/\s/g, '').match(/^(\d{1,2})[/.-](\d{1,2})['/.-](\d{2}|\d{4})$/);
+        if (!match) {
+            return value || '';
+        }
+
+        const [first, second] = [Number(match[1]), Number(match[2])];
+        const [month, day] = dateOrder === 'DMY' ? [second, first] : [first, second];
+        const year = match[3].length === 2 ? 2000 + Number(match[3]) : Number(match[3]);
+        const pad = (number) => String(number).padStart(2, '0');
+
+        return `${year}-${pad(month)}-${pad(day)}`;
+    }
+
+    /**
+     * Convert a statement amount (e.g. "-1,234.56") to a number
+     * @param {string} value - Amount text
+     * @returns {number} Amount, NaN if it is not a number
+     * @private
+     */
+    static parseAmount(value) {
+        const normalized = String(value || '').replace(/[,\s]/g, '');
+        return /^[-+]?\d*\.?\d+$/.test(normalized) ? Number(normalized) : NaN;
+    }
+
+    /**
+     * Decode the XML entities OFX uses in text values
+     * @param {string} value - Encoded text
+     * @returns {string} Decoded text
+     * @private
+     */
+    static decodeEntities(value) {
+        return value
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'")
+            .replace(/&amp;/g, '&');
+    }
+}
@@ -0,0 +1,143 @@
+/**
+ * Status Engine
+ * Evaluates customer loyalty status levels (e.g. Silver/Gold/Platinum) and their earn-rate boosts
+ * @module StatusEngine
+ */
+
+import logger from './logger.js';
+import { CONSTANTS } from './constants.js';
+import { RewardCalculator } from './rewardCalculator.js';
+import { Money } from './money.js';
+import { DateUtils } from './dateUtils.js';
+
+/**
+ * Engine class for loyalty status
+ * A month's status is qualified by the rolling spend or points of the preceding months,
+ * so a promotion boosts only transactions made after it was earned
+ */
+export class StatusEngine {
+    /**
+     * Get configured status levels ordered by threshold
+     * @param {Array} levels - Levels to sort, defaults to the configured levels
+     * @returns {Array} Sorted copy of the status levels
+     */
+    static getLevels(levels = CONSTANTS.REWARDS.STATUS.LEVELS) {
+        return [...levels].sort((a, b) => a.threshold - b.threshold);
+    }
+
+    /**
+     * Find the highest level whose threshold a qualifying value reaches
+     * @param {number} qualifyingValue - Rolling spend or points
+     * @param {Array} levels - Status levels, defaults to the configured levels
+     * @returns {Object} Status level (the lowest level if no threshold is reached)
+     */
+    static getLevelForValue(qualifyingValue, levels = this.getLevels()) {
+        const sortedLevels = this.getLevels(levels);
+        return sortedLevels.reduce(
+            (current, level) => (qualifyingValue >= level.threshold ? level : current),
+            sortedLevels[0]
+        );
+    }
+
+    /**
+     * Get the status level in force in every month a customer transacted
+     * Status is qualified on base points and spend, so status boosts never count towards status
+     * @param {Array} transactions - Customer's full transaction history
+     * @param {Object} ruleSet - Optional rule set to qualify status with, defaults to the configured rule versions
+     * @returns {Object} Status level per month-year key, to pass to RewardCalculator as statusByMonth
+     */
+    static getStatusByMonth(transactions, ruleSet = null) {
+        const monthlyBreakdown = RewardCalculator.calculateMonthlyBreakdown(transactions, ruleSet);
+        const statusByMonth = {};
+
+        Object.keys(monthlyBreakdown).forEach(monthYear => {
+            statusByMonth[monthYear] = this.getStatusForMonth(monthlyBreakdown, monthYear).level;
+        });
+
+        return statusByMonth;
+    }
+
+    /**
+     * Score a customer's history with status boosts applied
+     * @param {Array} transactions - Customer's full transaction history
+     * @param {Object} ruleSet - Optional rule set for every transaction, also used to qualify status
+     * @returns {Array} Transactions with calculated points (see RewardCalculator.calculatePointsWithDetails)
+     */
+    static scoreWithStatus(transactions, ruleSet = null) {
+        const statusByMonth = this.getStatusByMonth(transactions, ruleSet);
+        return RewardCalculator.calculatePointsWithDetails(transactions, ruleSet, { statusByMonth });
+    }
+
+    /**
+     * Determine the status level in force in a month
+     * @param {Object} monthlyBreakdown - Monthly breakdown (see RewardCalculator.calculateMonthlyBreakdown)
+     * @param {string} monthYear - Month-year key (e.g., "2025-07")
+     * @returns {Object} Status level and the qualifying value it was earned with
+     */
+    static getStatusForMonth(monthlyBreakdown, monthYear) {
+        const qualifyingValue = this.getRollingValue(monthlyBreakdown, this.shiftMonth(monthYear, -1));
+        return {
+            level: this.getLevelForValue(qualifyingValue),
+            qualifyingValue
+        };
+    }
+
+    /**
+     * Get a customer's current status and progress towards the next level
+     * Progress counts the rolling window up to and including the current month,
+     * which is what next month's status will be based on
+     * @param {Array} transactions - Customer's full transaction history
+     * @param {string|Date} asOf - Date to evaluate status on, defaults to today
+     * @returns {Object} Current level, next level (null at the top), qualifying value,
+     *   amount remaining and percent progress
+     */
+    static getStatusProgress(transactions, asOf = new Date()) {
+        const monthlyBreakdown = RewardCalculator.calculateMonthlyBreakdown(transactions);
+        const currentMonth = RewardCalculator.getMonthYearKey(asOf);
+        const { level } = this.getStatusForMonth(monthlyBreakdown, currentMonth);
+        const qualifyingValue = this.getRollingValue(monthlyBreakdown, currentMonth);
+        const nextLevel = this.getLevels().find(candidate => candidate.threshold > level.threshold) || null;
+
+        const progress = {
+            basis: CONSTANTS.REWARDS.STATUS.BASIS,
+            level,
+            nextLevel,
+            qualifyingValue,
+            remaining: nextLevel ? Math.max(0, nextLevel.threshold - qualifyingValue) : 0,
+            progressPercent: nextLevel ? Math.min(100, Math.round((qualifyingValue / nextLevel.threshold) * 100)) : 100
+        };
+
+        logger.info(`Status as of ${currentMonth}: ${level.name}`, progress);
+        return progress;
+    }
+
+    /**
+     * Sum the qualifying value of the rolling window ending with a month
+     * @param {Object} monthlyBreakdown - Monthly breakdown
+     * @param {string} lastMonth - Last month-year key of the window (inclusive)
+     * @returns {number} Rolling spend or points, never negative
+     * @private
+     */
+    static getRollingValue(monthlyBreakdown, lastMonth) {
+        const { BASIS, WINDOW_MONTHS } = CONSTANTS.REWARDS.STATUS;
+        const firstMonth = this.shiftMonth(lastMonth, -(WINDOW_MONTHS - 1));
+
+        const values = Object.entries(monthlyBreakdown)
+            .filter(([monthYear]) => monthYear >= firstMonth && monthYear <= lastMonth)
+            .map(([, data]) => (BASIS === 'points' ? data.points : data.totalAmount));
+        const total = BASIS === 'points' ? values.reduce((sum, value) => sum + value, 0) : Money.add(...values);
+
+        return Math.max(0, total);
+    }
+
+    /**
+     * Move a month-year key by a number of months
+     * @param {string} monthYear - Month-year key (e.g., "2025-01")
+     * @param {number} months - Months to add (negative to go back)
+     * @returns {string} Shifted month-year key
+     * @private
+     */
+    static shiftMonth(monthYear, months) {
+        return DateUtils.shiftMonth(monthYear, months);
+    }
+}
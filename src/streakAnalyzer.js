@@ -0,0 +1,110 @@
+/**
+ * Streak Analyzer
+ * Detects purchase streaks (consecutive months with a qualifying purchase) and monthly purchase frequency
+ * @module StreakAnalyzer
+ */
+
+import logger from './logger.js';
+import { CONSTANTS } from './constants.js';
+import { RewardCalculator } from './rewardCalculator.js';
+import { RewardRules } from './rewardRules.js';
+import { DateUtils } from './dateUtils.js';
+import { Money } from './money.js';
+
+/**
+ * Analyzer class for purchase engagement
+ * Only purchases of at least the configured minimum amount, net of their refunds, qualify; refunds and
+ * bonuses never count
+ */
+export class StreakAnalyzer {
+    /**
+     * Analyze a customer's monthly purchase streaks and frequency
+     * @param {Array} transactions - Customer's full transaction history
+     * @param {string|Date} asOf - Date to evaluate the current streak on, defaults to today
+     * @returns {Object} Months with a qualifying purchase as { monthYear, transactionCount, streak }, oldest first,
+     *   the current streak length and the longest streak length
+     */
+    static analyze(transactions, asOf = new Date()) {
+        if (!Array.isArray(transactions)) {
+            logger.error('Invalid transactions array provided for streak analysis');
+            throw new Error('Transactions must be an array');
+        }
+
+        const monthlyBreakdown = RewardCalculator.calculateMonthlyBreakdown(this.getQualifyingPurchases(transactions));
+
+        let previousMonth = null;
+        let streak = 0;
+        const months = Object.keys(monthlyBreakdown).sort().map(monthYear => {
+            streak = previousMonth && this.shiftMonth(previousMonth, 1) === monthYear ? streak + 1 : 1;
+            previousMonth = monthYear;
+
+            return {
+                monthYear,
+                transactionCount: monthlyBreakdown[monthYear].transactionCount,
+                streak
+            };
+        });
+
+        const analysis = {
+            months,
+            currentStreak: this.getCurrentStreak(months, RewardCalculator.getMonthYearKey(asOf)),
+            longestStreak: months.reduce((longest, month) => Math.max(longest, month.streak), 0)
+        };
+
+        logger.info(`Streak analysis: current ${analysis.currentStreak}, longest ${analysis.longestStreak} months`);
+        return analysis;
+    }
+
+    /**
+     * Get the purchases that count towards streaks and frequency, oldest first
+     * A purchase is compared with the minimum amount net of every refund of it, so a purchase that is
+     * refunded never keeps a streak going or counts towards frequency
+     * @param {Array} transactions - Transactions
+     * @returns {Array} Qualifying purchases
+     */
+    static getQualifyingPurchases(transactions) {
+        const minAmount = CONSTANTS.REWARDS.ENGAGEMENT.MIN_AMOUNT;
+        const refundedAmounts = new Map();
+        transactions
+            .filter(transaction => transaction && transaction.type === 'refund' && transaction.originalTransactionId && Number.isFinite(transaction.amount))
+            .forEach(refund => {
+                const refunded = refundedAmounts.get(refund.originalTransactionId) || 0;
+                refundedAmounts.set(refund.originalTransactionId, Money.add(refunded, Math.abs(refund.amount)));
+            });
+
+        return transactions
+            .filter(transaction => transaction && transaction.type !== 'refund' && transaction.type !== 'bonus')
+            .filter(transaction => RewardRules.toDateKey(transaction.date) && Number.isFinite(transaction.amount))
+            .filter(transaction => Money.add(transaction.amount, -(refundedAmounts.get(transaction.transactionId) || 0)) >= minAmount)
+            .sort((a, b) => RewardRules.toDateKey(a.date).localeCompare(RewardRules.toDateKey(b.date)));
+    }
+
+    /**
+     * Get the length of the streak that is still running in a month
+     * A streak stays alive through the current month until it passes without a qualifying purchase
+     * @param {Array} months - Analyzed months, oldest first
+     * @param {string} currentMonth - Current month-year key
+     * @returns {number} Current streak length in months
+     * @private
+     */
+    static getCurrentStreak(months, currentMonth) {
+        const lastMonth = months[months.length - 1];
+        if (!lastMonth) {
+            return 0;
+        }
+
+        const isRunning = lastMonth.monthYear === currentMonth || lastMonth.monthYear === this.shiftMonth(currentMonth, -1);
+        return isRunning ? lastMonth.streak : 0;
+    }
+
+    /**
+     * Move a month-year key by a number of months
+     * @param {string} monthYear - Month-year key (e.g., "2025-01")
+     * @param {number} months - Months to add (negative to go back)
+     * @returns {string} Shifted month-year key
+     * @private
+     */
+    static shiftMonth(monthYear, months) {
+        return DateUtils.shiftMonth(monthYear, months);
+    }
+}
@@ -118,6 +118,10 @@ export class UIManager {
         if (errorMessageElement) {
             errorMessageElement.textContent = message;
         }
+
+        // Clear any hint left by a failed data load and offer retry again
+        this.setText('errorHint', '');
+        this.showElement('retryBtn');
         
         logger.info('Error state displayed with message:', message);
     }
@@ -0,0 +1,159 @@
+/**
+ * Unit tests for BonusEngine
+ * Tests welcome, anniversary, tenure, referral and engagement bonus generation
+ * @module BonusEngineTests
+ */
+
+import { BonusEngine } from '../src/bonusEngine.js';
+import { CONSTANTS } from '../src/constants.js';
+
+// Mock logger to avoid console output during tests
+jest.mock('../src/logger.js', () => ({
+    default: {
+        info: jest.fn(),
+        error: jest.fn(),
+        warn: jest.fn(),
+        debug: jest.fn()
+    }
+}));
+
+describe('BonusEngine', () => {
+    const customer = { customerId: 'CUST001', joinDate: '2022-03-15' };
+    const transactions = [
+        { transactionId: 'T1', customerId: 'CUST001', amount: 30, date: '2022-03-20' },  // below welcome minimum
+        { transactionId: 'T2', customerId: 'CUST001', amount: 80, date: '2022-04-01' },  // first qualifying purchase
+        { transactionId: 'T3', customerId: 'CUST001', amount: 120, date: '2025-03-15' }, // 3 years of tenure
+        { transactionId: 'R1', customerId: 'CUST001', amount: -20, date: '2025-03-20', type: 'refund', originalTransactionId: 'T3' }
+    ];
+
+    let originalLifecycle;
+
+    beforeEach(() => {
+        originalLifecycle = CONSTANTS.REWARDS.LIFECYCLE;
+        CONSTANTS.REWARDS.LIFECYCLE = {
+            WELCOME: { POINTS: 500, MIN_AMOUNT: 50 },
+            ANNIVERSARY: { POINTS: 250 },
+            TENURE: { YEARS: 3, MULTIPLIER: 1.1 }
+        };
+    });
+
+    afterEach(() => {
+        CONSTANTS.REWARDS.LIFECYCLE = originalLifecycle;
+    });
+
+    test('should generate welcome, anniversary and tenure bonuses', () => {
+        const bonuses = BonusEngine.generateBonuses(customer, transactions, '2025-06-01');
+
+        expect(bonuses.map(bonus => [bonus.transactionId, bonus.date])).toEqual([
+            ['BONUS-WELCOME-CUST001', '2022-04-01'],
+            ['BONUS-ANNIVERSARY-CUST001-2023', '2023-03-15'],
+            ['BONUS-ANNIVERSARY-CUST001-2024', '2024-03-15'],
+            ['BONUS-ANNIVERSARY-CUST001-2025', '2025-03-15'],
+            ['BONUS-TENURE-T3', '2025-03-15']
+        ]);
+        expect(bonuses[0]).toEqual({
+            customerId: 'CUST001',
+            amount: 0,
+            type: 'bonus',
+            transactionId: 'BONUS-WELCOME-CUST001',
+            bonusType: 'welcome',
+            date: '2022-04-01',
+            bonusPoints: 500,
+            relatedTransactionId: 'T2',
+            description: 'Welcome bonus for first purchase T2'
+        });
+        expect(bonuses[4]).toMatchObject({ bonusMultiplier: 1.1, relatedTransactionId: 'T3' });
+    });
+
+    test('should skip disabled bonuses', () => {
+        CONSTANTS.REWARDS.LIFECYCLE = { WELCOME: null, ANNIVERSARY: null, TENURE: null };
+
+        expect(BonusEngine.generateBonuses(customer, transactions, '2025-06-01')).toEqual([]);
+    });
+
+    test('should return no bonuses without a valid join date', () => {
+        expect(BonusEngine.generateBonuses({ customerId: 'CUST002', joinDate: '' }, transactions)).toEqual([]);
+    });
+
+    test('should throw error for invalid input', () => {
+        expect(() => BonusEngine.generateBonuses(customer, null)).toThrow('Transactions must be an array');
+    });
+
+    describe('generateEngagementBonuses', () => {
+        test('should award streak and frequency bonuses', () => {
+            const purchases = [
+                { transactionId: 'E1', customerId: 'CUST001', amount: 60, date: '2025-01-10' },
+                { transactionId: 'E2', customerId: 'CUST001', amount: 60, date: '2025-02-10' },
+                ...['03', '08', '12', '16', '20'].map((day, index) => (
+                    { transactionId: `M${index + 1}`, customerId: 'CUST001', amount: 60, date: `2025-03-${day}` }
+                ))
+            ];
+
+            const bonuses = BonusEngine.generateEngagementBonuses(customer, purchases);
+
+            expect(bonuses.map(bonus => [bonus.transactionId, bonus.date, bonus.bonusPoints])).toEqual([
+                ['BONUS-STREAK-CUST001-2025-03', '2025-03-03', CONSTANTS.REWARDS.ENGAGEMENT.STREAK.POINTS],
+                ['BONUS-FREQUENCY-CUST001-2025-03', '2025-03-20', CONSTANTS.REWARDS.ENGAGEMENT.FREQUENCY.POINTS]
+            ]);
+            expect(bonuses[0].description).toBe('3-month purchase streak bonus');
+        });
+
+        test('should not award bonuses for purchases that were refunded', () => {
+            const purchases = [
+                { transactionId: 'E1', customerId: 'CUST001', amount: 60, date: '2025-01-10' },
+                { transactionId: 'E2', customerId: 'CUST001', amount: 60, date: '2025-02-10' },
+                { transactionId: 'RE2', customerId: 'CUST001', amount: -60, date: '2025-02-12', type: 'refund', originalTransactionId: 'E2' },
+                ...['03', '08', '12', '16', '20'].map((day, index) => (
+                    { transactionId: `M${index + 1}`, customerId: 'CUST001', amount: 60, date: `2025-03-${day}` }
+                )),
+                { transactionId: 'RM5', customerId: 'CUST001', amount: -20, date: '2025-03-25', type: 'refund', originalTransactionId: 'M5' }
+            ];
+
+            expect(BonusEngine.generateEngagementBonuses(customer, purchases)).toEqual([]);
+        });
+    });
+
+    describe('generateReferralBonuses', () => {
+        const referrer = { customerId: 'CUST009', name: 'Ivy Thomas', joinDate: '2021-01-01' };
+        const referee = { customerId: 'CUST002', name: 'Bob Smith', joinDate: '2022-03-01', referredBy: 'CUST009' };
+        const refereeTransactions = [
+            { transactionId: 'B2', customerId: 'CUST002', amount: 90, date: '2022-05-10' },
+            { transactionId: 'B1', customerId: 'CUST002', amount: 20, date: '2022-04-01' }, // below minimum
+            { transactionId: 'B0', customerId: 'CUST002', amount: 200, date: '2022-02-01' }  // before joining
+        ];
+
+        test('should award the referee on their first qualifying purchase', () => {
+            const bonuses = BonusEngine.generateReferralBonuses(referee, refereeTransactions, referrer);
+
+            expect(bonuses).toEqual([{
+                customerId: 'CUST002',
+                amount: 0,
+                type: 'bonus',
+                transactionId: 'BONUS-REFEREE-CUST002',
+                bonusType: 'referral',
+                date: '2022-05-10',
+                bonusPoints: CONSTANTS.REWARDS.REFERRAL.REFEREE_POINTS,
+                relatedTransactionId: 'B2',
+                referralCustomerId: 'CUST009',
+                description: 'Referral bonus for joining via Ivy Thomas'
+            }]);
+        });
+
+        test('should award the referrer only for referees who qualified', () => {
+            const pending = { customer: { customerId: 'CUST003', name: 'Carol Davis', joinDate: '2022-01-01' }, transactions: [] };
+            const bonuses = BonusEngine.generateReferralBonuses(referrer, [], null, [
+                { customer: referee, transactions: refereeTransactions },
+                pending
+            ]);
+
+            expect(bonuses).toHaveLength(1);
+            expect(bonuses[0]).toMatchObject({
+                customerId: 'CUST009',
+                transactionId: 'BONUS-REFERRER-CUST002',
+                date: '2022-05-10',
+                bonusPoints: CONSTANTS.REWARDS.REFERRAL.REFERRER_POINTS,
+                referralCustomerId: 'CUST002'
+            });
+        });
+    });
+});
@@ -0,0 +1,69 @@
+/**
+ * Unit tests for CsvParser
+ * Tests quoted fields, delimiters, header mapping and decimal commas
+ * @module CsvParserTests
+ */
+
+import { CsvParser } from '../src/csvParser.js';
+
+// Mock logger to avoid console output during tests
+jest.mock('../src/logger.js', () => ({
+    default: {
+        info: jest.fn(),
+        error: jest.fn(),
+        warn: jest.fn(),
+        debug: jest.fn()
+    }
+}));
+
+describe('CsvParser', () => {
+    describe('parse', () => {
+        test('should map headers to fields and parse quoted fields', () => {
+            const csv = [
+                'Transaction ID,Customer ID,Amount,Date,Merchant,Register',
+                'TXN100,CUST001,"1,234.50",2025-07-01,"Bella ""Italia"", Downtown",3',
+                'TXN101,CUST002,45,2025-07-02,"Fresh\nMart",4'
+            ].join('\r\n');
+
+            const result = CsvParser.parse(csv);
+
+            expect(result.records).toEqual([
+                { transactionId: 'TXN100', customerId: 'CUST001', amount: 1234.5, date: '2025-07-01', merchant: 'Bella "Italia", Downtown' },
+                { transactionId: 'TXN101', customerId: 'CUST002', amount: 45, date: '2025-07-02', merchant: 'Fresh\nMart' }
+            ]);
+            expect(result.unmappedHeaders).toEqual(['Register']);
+            expect(result.delimiter).toBe(',');
+        });
+
+        test('should detect semicolons and read decimal commas', () => {
+            const csv = 'receipt_no;member id;total;sale date\nR1;CUST001;1.234,56;2025-07-01\nR2;CUST001;;2025-07-02\n';
+
+            const { records, delimiter } = CsvParser.parse(csv, { decimalSeparator: ',' });
+
+            expect(delimiter).toBe(';');
+            expect(records).toEqual([
+                { transactionId: 'R1', customerId: 'CUST001', amount: 1234.56, date: '2025-07-01' },
+                { transactionId: 'R2', customerId: 'CUST001', date: '2025-07-02' }
+            ]);
+        });
+
+        test('should apply a custom header map and reject ambiguous or empty files', () => {
+            const { records } = CsvParser.parse('Ref\tWho\tAmount\tDate\nA1\tCUST001\t10\t2025-07-01', {
+                delimiter: '\t',
+                headerMap: { Ref: 'transactionId', Who: 'customerId' }
+            });
+
+            expect(records[0]).toEqual({ transactionId: 'A1', customerId: 'CUST001', amount: 10, date: '2025-07-01' });
+            expect(() => CsvParser.parse('Amount,Total\n1,2')).toThrow('Columns "Amount" and "Total" both map to amount');
+            expect(() => CsvParser.parse('\n\n')).toThrow('CSV file is empty');
+        });
+    });
+
+    describe('parseNumber', () => {
+        test('should leave text that is not a number for validation to reject', () => {
+            expect(CsvParser.parseNumber('$1,000.25')).toBe(1000.25);
+            expect(CsvParser.parseNumber('-20,5', ',')).toBe(-20.5);
+            expect(CsvParser.parseNumber('12abc')).toBe('12abc');
+        });
+    });
+});
@@ -0,0 +1,39 @@
+/**
+ * Unit tests for CurrencyConverter
+ * Tests dated exchange-rate lookup and conversion to the base currency
+ * @module CurrencyConverterTests
+ */
+
+import { CurrencyConverter } from '../src/currencyConverter.js';
+import { formatCurrency } from '../src/constants.js';
+
+describe('CurrencyConverter', () => {
+    const exchangeRates = [
+        { date: '2025-01-01', rates: { CAD: 0.72, EUR: 1.04 } },
+        { date: '2025-07-01', rates: { CAD: 0.73 } }
+    ];
+
+    test('should use the latest rate in force on the date', () => {
+        expect(CurrencyConverter.getRate('CAD', '2025-06-30', exchangeRates)).toBe(0.72);
+        expect(CurrencyConverter.getRate('CAD', '2025-07-01', exchangeRates)).toBe(0.73);
+        expect(CurrencyConverter.getRate('EUR', '2025-08-01', exchangeRates)).toBe(1.04);
+        expect(CurrencyConverter.getRate('USD', '2020-01-01', exchangeRates)).toBe(1);
+    });
+
+    test('should convert to the nearest cent', () => {
+        expect(CurrencyConverter.convert(110.75, 'CAD', '2025-07-08', exchangeRates)).toBe(80.85);
+        expect(CurrencyConverter.convert(87.3, 'EUR', '2025-02-01', exchangeRates)).toBe(90.79);
+        expect(CurrencyConverter.convert(42, undefined, '2025-02-01', exchangeRates)).toBe(42);
+    });
+
+    test('should throw error when no rate is in force', () => {
+        expect(() => CurrencyConverter.convert(10, 'CAD', '2024-12-31', exchangeRates)).toThrow('No exchange rate for CAD on 2024-12-31');
+        expect(() => CurrencyConverter.convert(10, 'GBP', '2025-08-01', exchangeRates)).toThrow('No exchange rate for GBP on 2025-08-01');
+    });
+
+    test('should format amounts in their own currency', () => {
+        expect(formatCurrency(110.75, 'CAD')).toBe('CA$110.75');
+        expect(formatCurrency(87.3, 'EUR')).toBe('€87.30');
+        expect(formatCurrency(5)).toBe('$5.00');
+    });
+});
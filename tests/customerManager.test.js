@@ -0,0 +1,94 @@
+/**
+ * Unit tests for CustomerManager
+ * Tests that data from imported files and configuration is rendered as text
+ * @module CustomerManagerTests
+ */
+
+import { CustomerManager } from '../src/customerManager.js';
+import { RewardCalculator } from '../src/rewardCalculator.js';
+import { StatementParser } from '../src/statementParser.js';
+import { CONSTANTS } from '../src/constants.js';
+
+// Mock logger to avoid console output during tests
+jest.mock('../src/logger.js', () => ({
+    default: {
+        info: jest.fn(),
+        error: jest.fn(),
+        warn: jest.fn(),
+        debug: jest.fn()
+    }
+}));
+
+describe('CustomerManager', () => {
+    const originalDocument = global.document;
+
+    beforeEach(() => {
+        // Rows are built with document.createElement; keeping the generated HTML is enough to check escaping
+        global.document = {
+            createElement: jest.fn(() => ({ className: '', innerHTML: '' }))
+        };
+    });
+
+    afterEach(() => {
+        global.document = originalDocument;
+    });
+
+    describe('createTransactionRow', () => {
+        test('should render markup in an imported statement merchant as text', () => {
+            const payee = '<img src=x onerror="alert(1)">';
+            const statement = StatementParser.parse(`!Type:CCard\nD07/15/2025\nT-120.00\nP${payee}\nN<b>42</b>\n^`);
+            const [transaction] = RewardCalculator.calculatePointsWithDetails(
+                StatementParser.toTransactions(statement, 'CUST001').transactions
+            );
+
+            const row = new CustomerManager(null, null).createTransactionRow(transaction);
+
+            expect(row.innerHTML).not.toContain('<img');
+            expect(row.innerHTML).not.toContain('<b>');
+            expect(row.innerHTML).toContain('&lt;img src=x onerror=&quot;alert(1)&quot;&gt;');
+            expect(row.innerHTML).toContain('QIF-CUST001-&lt;b&gt;42&lt;/b&gt;');
+        });
+
+        test('should render markup in a redemption description as text', () => {
+            const row = new CustomerManager(null, null).createTransactionRow({
+                entryType: 'redemption',
+                transactionId: 'RED001',
+                date: '2025-07-20',
+                points: -500,
+                description: '<script>alert(1)</script>'
+            });
+
+            expect(row.innerHTML).not.toContain('<script>');
+            expect(row.innerHTML).toContain('Redeemed: &lt;script&gt;alert(1)&lt;/script&gt;');
+        });
+    });
+
+    describe('campaign names', () => {
+        const campaignName = '<img src=x onerror="alert(1)">';
+        let originalCampaigns;
+
+        beforeEach(() => {
+            originalCampaigns = CONSTANTS.REWARDS.CAMPAIGNS;
+            CONSTANTS.REWARDS.CAMPAIGNS = [
+                { id: 'july-bonus', name: campaignName, type: 'bonus', startDate: '2025-07-01', endDate: '2025-07-31', bonusPoints: 50 }
+            ];
+        });
+
+        afterEach(() => {
+            CONSTANTS.REWARDS.CAMPAIGNS = originalCampaigns;
+        });
+
+        test('should render a campaign name as text in the monthly stats and the transaction breakdown', () => {
+            const transactions = [{ transactionId: 'T1', customerId: 'CUST001', amount: 120, date: '2025-07-10' }];
+            const manager = new CustomerManager(null, null);
+
+            const stats = manager.formatCampaignStats(RewardCalculator.calculateMonthlyBreakdown(transactions)['2025-07']);
+            const row = manager.createTransactionRow(RewardCalculator.calculatePointsWithDetails(transactions)[0]);
+
+            [stats, row.innerHTML].forEach(html => {
+                expect(html).not.toContain('<img');
+                expect(html).toContain('&lt;img src=x onerror=&quot;alert(1)&quot;&gt;');
+            });
+        });
+    });
+});
@@ -5,6 +5,7 @@
  */
 
 import { DataService } from '../src/dataService.js';
+import { InMemoryDataSource } from '../src/dataSources.js';
 
 // Mock logger to avoid console output during tests
 jest.mock('../src/logger.js', () => ({
@@ -164,6 +165,29 @@ describe('DataService', () => {
         });
     });
 
+    describe('loadCustomers - Referrals', () => {
+        test('should keep known referral links and drop unknown or self referrals', async () => {
+            const mockCustomers = [
+                { customerId: 'CUST001', name: 'John Doe' },
+                { customerId: 'CUST002', name: 'Jane Smith', referredBy: 'CUST001' },
+                { customerId: 'CUST003', name: 'Bob Brown', referredBy: 'CUST999' },
+                { customerId: 'CUST004', name: 'Amy Green', referredBy: 'CUST004' }
+            ];
+
+            fetch.mockResolvedValueOnce({
+                ok: true,
+                json: jest.fn().mockResolvedValueOnce(mockCustomers)
+            });
+
+            const result = await dataService.loadCustomers();
+
+            expect(result[1].referredBy).toBe('CUST001');
+            expect(result[2]).not.toHaveProperty('referredBy');
+            expect(result[3]).not.toHaveProperty('referredBy');
+            expect(dataService.getReferralsForCustomer('CUST001').map(customer => customer.customerId)).toEqual(['CUST002']);
+        });
+    });
+
     describe('loadTransactions - Positive Test Cases', () => {
         test('should load and validate transactions data successfully', async () => {
             const mockTransactions = [
@@ -278,6 +302,140 @@ describe('DataService', () => {
         });
     });
 
+    describe('loadTransactions - Refunds', () => {
+        test('should accept refunds that reference a purchase of the same customer', async () => {
+            fetch.mockResolvedValueOnce({
+                ok: true,
+                json: jest.fn().mockResolvedValueOnce([
+                    { transactionId: 'TXN001', customerId: 'CUST001', amount: 120, date: '2025-01-15' },
+                    { transactionId: 'TXN002', customerId: 'CUST001', amount: -20, date: '2025-01-20', type: 'refund', originalTransactionId: 'TXN001' },
+                    { transactionId: 'TXN003', customerId: 'CUST002', amount: -20, date: '2025-01-20', type: 'refund', originalTransactionId: 'TXN001' }, // other customer
+                    { transactionId: 'TXN004', customerId: 'CUST001', amount: -20, date: '2025-01-20', type: 'refund', originalTransactionId: 'TXN999' }, // unknown purchase
+                    { transactionId: 'TXN005', customerId: 'CUST001', amount: 20, date: '2025-01-20', type: 'refund', originalTransactionId: 'TXN001' }, // positive refund
+                    { transactionId: 'TXN006', customerId: 'CUST001', amount: -20, date: '2025-01-20' } // negative purchase
+                ])
+            });
+
+            const result = await dataService.loadTransactions();
+
+            expect(result).toHaveLength(2);
+            expect(result[1]).toEqual({
+                transactionId: 'TXN002',
+                customerId: 'CUST001',
+                amount: -20,
+                date: '2025-01-20',
+                type: 'refund',
+                originalTransactionId: 'TXN001'
+            });
+        });
+    });
+
+    describe('loadTransactions - Categories', () => {
+        test('should keep normalized category and merchant and pass them on to refunds', async () => {
+            fetch.mockResolvedValueOnce({
+                ok: true,
+                json: jest.fn().mockResolvedValueOnce([
+                    { transactionId: 'TXN001', customerId: 'CUST001', amount: 120, date: '2025-01-15', category: ' Dining ', merchant: 'Bella Italia ' },
+                    { transactionId: 'TXN002', customerId: 'CUST001', amount: -20, date: '2025-01-20', type: 'refund', originalTransactionId: 'TXN001' },
+                    { transactionId: 'TXN003', customerId: 'CUST001', amount: 80, date: '2025-01-21', category: '' } // empty category
+                ])
+            });
+
+            const result = await dataService.loadTransactions();
+
+            expect(result).toHaveLength(2);
+            expect(result[0]).toMatchObject({ category: 'dining', merchant: 'Bella Italia' });
+            expect(result[1]).toMatchObject({ type: 'refund', category: 'dining', merchant: 'Bella Italia' });
+        });
+    });
+
+    describe('loadTransactions - Currencies', () => {
+        test('should convert foreign amounts to the base currency with the dated rates', async () => {
+            fetch
+                .mockResolvedValueOnce({
+                    ok: true,
+                    json: jest.fn().mockResolvedValueOnce([
+                        { transactionId: 'TXN001', customerId: 'CUST001', amount: 100, currency: 'cad', date: '2025-03-10' },
+                        { transactionId: 'TXN002', customerId: 'CUST001', amount: -50, date: '2025-08-01', type: 'refund', originalTransactionId: 'TXN001' },
+                        { transactionId: 'TXN003', customerId: 'CUST001', amount: 40, currency: 'GBP', date: '2025-03-10' }, // no rate
+                        { transactionId: 'TXN004', customerId: 'CUST001', amount: 60, date: '2025-03-11' }
+                    ])
+                })
+                .mockResolvedValueOnce({
+                    ok: true,
+                    json: jest.fn().mockResolvedValueOnce([
+                        { date: '2025-07-01', rates: { CAD: 0.8 } },
+                        { date: '2025-01-01', rates: { CAD: 0.7 } }
+                    ])
+                });
+
+            const result = await dataService.loadTransactions();
+
+            expect(fetch).toHaveBeenLastCalledWith('public/data/exchangeRates.json', expect.anything());
+            expect(result.map(transaction => transaction.transactionId)).toEqual(['TXN001', 'TXN002', 'TXN004']);
+            expect(result[0]).toMatchObject({ amount: 70, currency: 'CAD', originalAmount: 100 });
+            // Refunds inherit the purchase currency and are converted at the purchase's rate
+            expect(result[1]).toMatchObject({ amount: -35, currency: 'CAD', originalAmount: -50 });
+            expect(result[2]).not.toHaveProperty('currency');
+        });
+    });
+
+    describe('loadRedemptions', () => {
+        test('should load, validate and cache redemptions', async () => {
+            const mockRedemptions = [
+                { redemptionId: 'RDM001', customerId: 'CUST001', points: 300, date: '2025-06-01', description: 'Store credit' },
+                { redemptionId: 'RDM002', customerId: 'CUST001', points: -5, date: '2025-06-02' }, // invalid points
+                { redemptionId: 'RDM003', customerId: 'CUST002', points: 100, date: 'not-a-date' } // invalid date
+            ];
+
+            fetch.mockResolvedValueOnce({
+                ok: true,
+                json: jest.fn().mockResolvedValueOnce(mockRedemptions)
+            });
+
+            const result = await dataService.loadRedemptions();
+            await dataService.loadRedemptions();
+
+            expect(fetch).toHaveBeenCalledTimes(1);
+            expect(result).toEqual([
+                { redemptionId: 'RDM001', customerId: 'CUST001', points: 300, date: '2025-06-01', description: 'Store credit' }
+            ]);
+        });
+
+        test('should accept an empty redemptions file', async () => {
+            fetch.mockResolvedValueOnce({
+                ok: true,
+                json: jest.fn().mockResolvedValueOnce([])
+            });
+
+            await expect(dataService.loadRedemptions()).resolves.toEqual([]);
+        });
+
+        test('should return redemptions for a customer newest first', async () => {
+            fetch.mockResolvedValueOnce({
+                ok: true,
+                json: jest.fn().mockResolvedValueOnce([
+                    { redemptionId: 'RDM001', customerId: 'CUST001', points: 100, date: '2025-01-10' },
+                    { redemptionId: 'RDM002', customerId: 'CUST001', points: 50, date: '2025-03-10' },
+                    { redemptionId: 'RDM003', customerId: 'CUST002', points: 75, date: '2025-02-10' }
+                ])
+            });
+
+            await dataService.loadRedemptions();
+
+            const result = dataService.getRedemptionsForCustomer('CUST001');
+            expect(result.map(r => r.redemptionId)).toEqual(['RDM002', 'RDM001']);
+        });
+
+        test('should handle HTTP errors', async () => {
+            fetch.mockResolvedValueOnce({ ok: false, status: 404 });
+
+            await expect(dataService.loadRedemptions()).rejects.toThrow(
+                'Failed to load redemptions data: HTTP error! status: 404'
+            );
+        });
+    });
+
     describe('getCustomerById', () => {
         beforeEach(async () => {
             const mockCustomers = [
@@ -372,6 +530,16 @@ describe('DataService', () => {
             expect(result[0].transactionId).toBe('TXN001');
         });
 
+        test('should filter dates into the calendar month written, whatever the time zone', () => {
+            const result = dataService.applyDateFilters([
+                { transactionId: 'TXN010', date: '2025-02-01' },
+                { transactionId: 'TXN011', date: '2025-01-31T23:30:00-05:00' },
+                { transactionId: 'TXN012', date: '2025-02-28T23:59:00+09:00' }
+            ], { month: '02', year: '2025' });
+
+            expect(result.map(transaction => transaction.transactionId)).toEqual(['TXN010', 'TXN012']);
+        });
+
         test('should handle last3 months filter', () => {
             const result = dataService.getTransactionsForCustomer('CUST001', {
                 month: 'last3'
@@ -410,6 +578,167 @@ describe('DataService', () => {
         });
     });
 
+    describe('Validation report', () => {
+        test('should list rejected transactions with their reasons', async () => {
+            const service = new DataService(new InMemoryDataSource({
+                customers: [{ customerId: 'CUST001', name: 'John Doe' }],
+                transactions: [
+                    { transactionId: 'TXN001', customerId: 'CUST001', amount: 120, date: '2025-01-15' },
+                    { transactionId: 'TXN002', customerId: 'CUST999', amount: 80, date: '2025-01-16' },
+                    { transactionId: 'TXN003', customerId: 'CUST001', amount: -20, date: '2025-01-17', type: 'refund', originalTransactionId: 'TXN404' }
+                ]
+            }));
+
+            await service.loadAllData();
+            const report = service.getValidationReport();
+
+            expect(service.getTransactionsForCustomer('CUST001').map(transaction => transaction.transactionId)).toEqual(['TXN001']);
+            expect(service.getTransactionsForCustomer('CUST999')).toEqual([]);
+            expect(report.getIssues('transactions').map(issue => [issue.recordId, issue.reasons[0].code])).toEqual([
+                ['TXN003', 'UNKNOWN_REFERENCE'],
+                ['TXN002', 'UNKNOWN_CUSTOMER']
+            ]);
+            expect(report.getSummary()).toContainEqual({ resource: 'transactions', received: 3, accepted: 1, rejected: 2, warnings: 0 });
+        });
+
+        test('should check orphan transactions against the customers of the same load', async () => {
+            const service = new DataService(new InMemoryDataSource({
+                customers: [{ customerId: 'CUST001', name: 'John Doe' }],
+                transactions: [
+                    { transactionId: 'TXN001', customerId: 'CUST001', amount: 120, date: '2025-01-15' },
+                    { transactionId: 'TXN002', customerId: 'CUST999', amount: 80, date: '2025-01-16' }
+                ]
+            }));
+
+            // Transactions on their own are not checked against customers that have not loaded yet
+            await service.loadTransactions();
+            expect(service.getValidationReport().getIssues('transactions')).toEqual([]);
+
+            await service.loadAllData();
+
+            expect(service.getTransactionsForCustomer('CUST999')).toEqual([]);
+            expect(service.getValidationReport().getIssues('transactions').map(issue => [issue.recordId, issue.reasons[0].code]))
+                .toEqual([['TXN002', 'UNKNOWN_CUSTOMER']]);
+        });
+    });
+
+    describe('importRecords', () => {
+        test('should validate imported records together with the loaded data', async () => {
+            const service = new DataService(new InMemoryDataSource({
+                customers: [{ customerId: 'CUST001', name: 'John Doe' }],
+                transactions: [{ transactionId: 'TXN001', customerId: 'CUST001', amount: 120, date: '2025-01-15' }]
+            }));
+            await service.loadCustomers();
+            await service.loadTransactions();
+
+            await service.importRecords('transactions', [
+                { transactionId: 'TXN100', customerId: 'CUST001', amount: 60, date: '2025-02-01' },
+                { transactionId: 'TXN001', customerId: 'CUST001', amount: 75, date: '2025-02-02' },
+                { transactionId: 'TXN101', customerId: 'CUST001', amount: 'n/a', date: '2025-02-03' }
+            ]);
+
+            expect(service.getTransactionsForCustomer('CUST001').map(transaction => transaction.transactionId)).toEqual(['TXN100', 'TXN001']);
+            expect(service.getValidationReport().getIssues('transactions').map(issue => issue.reasons[0].code)).toEqual(['INVALID_TYPE', 'DUPLICATE_ID']);
+            await expect(service.importRecords('redemptions', [{}])).rejects.toThrow('Cannot import redemptions');
+        });
+    });
+
+    describe('Persistent cache', () => {
+        const customers = [{ customerId: 'CUST001', name: 'John Doe' }];
+        const transactions = [{ transactionId: 'TXN001', customerId: 'CUST001', amount: 120, date: '2025-01-15' }];
+        const createCache = (entries = {}) => ({
+            get: jest.fn(async key => entries[key] || null),
+            set: jest.fn(async () => true)
+        });
+
+        test('should restore data only when every resource is cached', async () => {
+            const savedAt = new Date('2025-08-01T10:00:00Z');
+            const cache = createCache({
+                customers: { data: customers, savedAt },
+                transactions: { data: transactions, savedAt: new Date('2025-08-01T11:00:00Z') },
+                redemptions: { data: [], savedAt },
+                validationReport: { data: { issues: [], received: {} }, savedAt }
+            });
+            const restoredService = new DataService(new InMemoryDataSource(), cache);
+
+            await expect(restoredService.restoreFromPersistentCache()).resolves.toBe(true);
+            expect(restoredService.getCustomers()).toEqual(customers);
+            expect(restoredService.getTransactionsForCustomer('CUST001')).toHaveLength(1);
+            expect(restoredService.getDataAsOf()).toEqual(savedAt);
+
+            const partialService = new DataService(new InMemoryDataSource(), createCache({ customers: { data: customers, savedAt } }));
+            await expect(partialService.restoreFromPersistentCache()).resolves.toBe(false);
+            expect(partialService.getCustomers()).toEqual([]);
+        });
+
+        test('should restore the validation report saved with the data', async () => {
+            const cache = createCache();
+            const loadedService = new DataService(new InMemoryDataSource({
+                customers,
+                transactions: [...transactions, { transactionId: 'TXN002', customerId: 'CUST001', amount: 'n/a', date: '2025-01-16' }]
+            }), cache);
+            await loadedService.loadAllData();
+
+            const entries = Object.fromEntries(cache.set.mock.calls.map(([key, data, savedAt]) => [key, { data, savedAt }]));
+            const restoredService = new DataService(new InMemoryDataSource(), createCache(entries));
+
+            await expect(restoredService.restoreFromPersistentCache()).resolves.toBe(true);
+            expect(restoredService.getValidationReport().getIssues().map(issue => [issue.recordId, issue.reasons[0].code]))
+                .toEqual([['TXN002', 'INVALID_TYPE']]);
+            expect(restoredService.getValidationReport().getSummary())
+                .toEqual(loadedService.getValidationReport().getSummary());
+
+            delete entries.validationReport;
+            await expect(new DataService(new InMemoryDataSource(), createCache(entries)).restoreFromPersistentCache()).resolves.toBe(false);
+        });
+
+        test('should persist loaded data and keep the current data when a refresh fails', async () => {
+            const cache = createCache();
+            const source = new InMemoryDataSource({ customers, transactions });
+            const service = new DataService(source, cache);
+
+            await service.loadAllData();
+            expect(cache.set.mock.calls.map(([key]) => key)).toEqual(['customers', 'transactions', 'redemptions', 'validationReport']);
+            expect(cache.set).toHaveBeenCalledWith('customers', service.getCustomers(), expect.any(Date));
+            expect(service.getDataAsOf()).toBeInstanceOf(Date);
+
+            source.load = jest.fn().mockRejectedValue(new Error('Network error'));
+            const loadedCustomers = service.getCustomers();
+            await expect(service.refreshData()).rejects.toThrow('Failed to load customers data: Network error');
+            expect(service.getCustomers()).toEqual(loadedCustomers);
+        });
+
+        test('should persist nothing and keep serving the current data until every resource reloads', async () => {
+            const cache = createCache();
+            const source = new InMemoryDataSource({ customers, transactions });
+            const service = new DataService(source, cache);
+            await service.loadAllData();
+            cache.set.mockClear();
+            const loadedCustomers = service.getCustomers();
+
+            const load = source.load.bind(source);
+            let customersReloaded;
+            source.load = jest.fn(async resource => {
+                if (resource === 'customers') {
+                    customersReloaded = true;
+                    return [...customers, { customerId: 'CUST002', name: 'Jane Roe' }];
+                }
+                // The data in use is unchanged while the refresh is still loading
+                expect(service.getCustomers()).toEqual(loadedCustomers);
+                if (resource === 'transactions') {
+                    throw new Error('Network error');
+                }
+                return load(resource);
+            });
+
+            await expect(service.refreshData()).rejects.toThrow('Failed to load transactions data: Network error');
+            expect(customersReloaded).toBe(true);
+            expect(cache.set).not.toHaveBeenCalled();
+            expect(service.getCustomers()).toEqual(loadedCustomers);
+            expect(service.getTransactionsForCustomer('CUST001')).toHaveLength(1);
+        });
+    });
+
     describe('isDataLoading', () => {
         test('should return loading state correctly', async () => {
             const mockCustomers = [{ customerId: 'CUST001', name: 'John' }];
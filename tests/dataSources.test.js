@@ -0,0 +1,92 @@
+/**
+ * Unit tests for DataSources
+ * Tests the static JSON, REST API and in-memory data source adapters
+ * @module DataSourcesTests
+ */
+
+import { DataSource, StaticJsonDataSource, RestApiDataSource, InMemoryDataSource } from '../src/dataSources.js';
+import { DataService } from '../src/dataService.js';
+import { RequestClient } from '../src/requestClient.js';
+
+// Mock logger to avoid console output during tests
+jest.mock('../src/logger.js', () => ({
+    default: {
+        info: jest.fn(),
+        error: jest.fn(),
+        warn: jest.fn(),
+        debug: jest.fn()
+    }
+}));
+
+// Mock fetch globally
+global.fetch = jest.fn();
+
+describe('DataSources', () => {
+    beforeEach(() => {
+        fetch.mockReset();
+    });
+
+    describe('create', () => {
+        test('should create the configured data source', () => {
+            expect(DataSource.create({ TYPE: 'static' })).toBeInstanceOf(StaticJsonDataSource);
+            expect(DataSource.create({ TYPE: 'rest', REST: { BASE_URL: 'https://api.example.com' } })).toBeInstanceOf(RestApiDataSource);
+            expect(DataSource.create({ TYPE: 'memory', DATA: {} })).toBeInstanceOf(InMemoryDataSource);
+        });
+
+        test('should throw error for unknown types', () => {
+            expect(() => DataSource.create({ TYPE: 'ftp' })).toThrow('Unknown data source type: ftp');
+            expect(() => DataSource.create({ TYPE: 'rest', REST: {} })).toThrow('REST data source requires a BASE_URL');
+        });
+    });
+
+    describe('StaticJsonDataSource', () => {
+        test('should fetch the static file of a resource', async () => {
+            fetch.mockResolvedValueOnce({ ok: true, json: jest.fn().mockResolvedValueOnce([{ customerId: 'CUST001' }]) });
+
+            const data = await new StaticJsonDataSource().load('customers');
+
+            expect(fetch).toHaveBeenCalledWith('public/data/customers.json', expect.anything());
+            expect(data).toEqual([{ customerId: 'CUST001' }]);
+        });
+
+        test('should throw error for failed responses and unknown resources', async () => {
+            fetch.mockResolvedValueOnce({ ok: false, status: 500 });
+            const source = new StaticJsonDataSource(undefined, new RequestClient({ retryAttempts: 0 }));
+
+            await expect(source.load('transactions')).rejects.toThrow('HTTP error! status: 500');
+            await expect(new StaticJsonDataSource().load('orders')).rejects.toThrow('Unknown data resource: orders');
+        });
+    });
+
+    describe('RestApiDataSource', () => {
+        test('should request the resource endpoint with configured headers', async () => {
+            fetch.mockResolvedValueOnce({ ok: true, json: jest.fn().mockResolvedValueOnce([]) });
+            const source = new RestApiDataSource({
+                BASE_URL: 'https://api.example.com/v1/',
+                ENDPOINTS: { transactions: 'loyalty/transactions' },
+                HEADERS: { Authorization: 'Bearer token' }
+            });
+
+            await source.load('transactions');
+
+            expect(fetch).toHaveBeenCalledWith('https://api.example.com/v1/loyalty/transactions', expect.objectContaining({
+                method: 'GET',
+                headers: { Accept: 'application/json', Authorization: 'Bearer token' }
+            }));
+        });
+    });
+
+    describe('InMemoryDataSource', () => {
+        test('should serve copies of in-memory data to DataService', async () => {
+            const customers = [{ customerId: 'CUST001', name: 'John Doe', referredBy: 'CUST999' }];
+            const dataService = new DataService(new InMemoryDataSource({ customers }));
+
+            const result = await dataService.loadCustomers();
+
+            expect(fetch).not.toHaveBeenCalled();
+            expect(result).toEqual([{ customerId: 'CUST001', name: 'John Doe', email: '', joinDate: '' }]);
+            expect(customers[0].referredBy).toBe('CUST999');
+            await expect(dataService.loadRedemptions()).resolves.toEqual([]);
+        });
+    });
+});
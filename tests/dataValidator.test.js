@@ -0,0 +1,82 @@
+/**
+ * Unit tests for DataValidator
+ * Tests schema validation, issue codes and the validation report
+ * @module DataValidatorTests
+ */
+
+import { DataValidator, ValidationReport } from '../src/dataValidator.js';
+
+// Mock logger to avoid console output during tests
+jest.mock('../src/logger.js', () => ({
+    default: {
+        info: jest.fn(),
+        error: jest.fn(),
+        warn: jest.fn(),
+        debug: jest.fn()
+    }
+}));
+
+describe('DataValidator', () => {
+    describe('validateRecord', () => {
+        test('should accept valid records', () => {
+            const transaction = { transactionId: 'TXN001', customerId: 'CUST001', amount: 120, date: '2025-01-15', currency: 'cad' };
+
+            expect(DataValidator.validateRecord(transaction, 'transactions')).toEqual([]);
+        });
+
+        test('should report every invalid field with its code', () => {
+            const reasons = DataValidator.validateRecord({ transactionId: 'TXN001', amount: '120', date: 'not-a-date' }, 'transactions');
+
+            expect(reasons.map(reason => [reason.code, reason.field])).toEqual([
+                ['MISSING_FIELD', 'customerId'],
+                ['INVALID_TYPE', 'amount'],
+                ['INVALID_DATE', 'date']
+            ]);
+        });
+
+        test('should apply schema rules once every field is valid', () => {
+            const purchase = { transactionId: 'TXN001', customerId: 'CUST001', amount: -10, date: '2025-01-15' };
+            const refund = { ...purchase, type: 'refund', amount: 10, originalTransactionId: 'TXN000' };
+
+            expect(DataValidator.validateRecord(purchase, 'transactions')).toEqual([
+                { code: 'NEGATIVE_AMOUNT', field: 'amount', message: 'Purchase amount is negative' }
+            ]);
+            expect(DataValidator.validateRecord(refund, 'transactions')[0].code).toBe('INVALID_VALUE');
+            expect(DataValidator.validateRecord(null, 'customers')[0].code).toBe('INVALID_TYPE');
+        });
+    });
+
+    describe('validateRecords', () => {
+        test('should reject unknown customers and duplicate IDs into the report', () => {
+            const report = new ValidationReport();
+            const records = [
+                { redemptionId: 'RED001', customerId: 'CUST001', points: 100, date: '2025-01-15' },
+                { redemptionId: 'RED001', customerId: 'CUST001', points: 200, date: '2025-01-16' },
+                { redemptionId: 'RED002', customerId: 'CUST999', points: 100, date: '2025-01-16' }
+            ];
+
+            const valid = DataValidator.validateRecords(records, 'redemptions', report, { customers: new Set(['CUST001']) });
+
+            expect(valid).toEqual([records[0]]);
+            expect(report.getIssues().map(issue => [issue.recordId, issue.row, issue.reasons[0].code])).toEqual([
+                ['RED001', 2, 'DUPLICATE_ID'],
+                ['RED002', 3, 'UNKNOWN_CUSTOMER']
+            ]);
+            expect(report.getCountsByCode()).toEqual({ DUPLICATE_ID: 1, UNKNOWN_CUSTOMER: 1 });
+        });
+    });
+});
+
+describe('ValidationReport', () => {
+    test('should summarize received, accepted, rejected and corrected records per resource', () => {
+        const report = new ValidationReport();
+        report.startResource('customers', 3);
+        report.reject('customers', { name: 'No ID' }, [{ code: 'MISSING_FIELD', field: 'customerId', message: 'Missing customerId' }], 2);
+        report.warn('customers', { customerId: 'CUST001' }, { code: 'UNKNOWN_REFERENCE', field: 'referredBy', message: 'Referral ignored' });
+
+        expect(report.getSummary()).toEqual([{ resource: 'customers', received: 3, accepted: 2, rejected: 1, warnings: 1 }]);
+
+        report.startResource('customers', 2);
+        expect(report.getIssues('customers')).toEqual([]);
+    });
+});
@@ -0,0 +1,73 @@
+/**
+ * Unit tests for DateUtils
+ * Tests calendar date keys, timestamps with offsets, program time zones and date key arithmetic
+ * @module DateUtilsTests
+ */
+
+import { DateUtils } from '../src/dateUtils.js';
+
+describe('DateUtils', () => {
+    describe('toDateKey', () => {
+        test('should keep date-only strings on the calendar date written', () => {
+            expect(DateUtils.toDateKey('2025-06-01')).toBe('2025-06-01');
+            expect(DateUtils.toMonthKey('2025-06-01')).toBe('2025-06');
+        });
+
+        test('should keep timestamps on the date written without a program time zone', () => {
+            expect(DateUtils.toDateKey('2025-06-01T01:30:00-04:00', null)).toBe('2025-06-01');
+            expect(DateUtils.toDateKey('2025-05-31T23:30:00Z', null)).toBe('2025-05-31');
+            expect(DateUtils.toDateKey('2025-06-01 08:15', null)).toBe('2025-06-01');
+        });
+
+        test('should place timestamps with an offset on the calendar of the program time zone', () => {
+            expect(DateUtils.toDateKey('2025-06-01T02:00:00Z', 'America/New_York')).toBe('2025-05-31');
+            expect(DateUtils.toDateKey('2025-05-31T20:00:00-07:00', 'Asia/Tokyo')).toBe('2025-06-01');
+            expect(DateUtils.toDateKey('2025-06-01T02:00:00', 'America/New_York')).toBe('2025-06-01');
+            expect(DateUtils.toDateKey(new Date('2025-06-01T02:00:00Z'), 'America/New_York')).toBe('2025-05-31');
+        });
+
+        test('should return null for invalid dates', () => {
+            expect(DateUtils.toDateKey('2025-02-30')).toBeNull();
+            expect(DateUtils.toDateKey('2025-13-01T10:00:00Z')).toBeNull();
+            expect(DateUtils.toDateKey('not a date')).toBeNull();
+            expect(DateUtils.toDateKey('')).toBeNull();
+            expect(DateUtils.isValid(null)).toBe(false);
+        });
+
+        test('should throw for an invalid time zone', () => {
+            expect(() => DateUtils.toDateKey(new Date(), 'Mars/Olympus_Mons')).toThrow('Invalid time zone: Mars/Olympus_Mons');
+        });
+    });
+
+    describe('local dates and sorting', () => {
+        test('should display a date-only string on its own calendar day', () => {
+            const date = DateUtils.toLocalDate('2025-06-01');
+
+            expect([date.getFullYear(), date.getMonth(), date.getDate()]).toEqual([2025, 5, 1]);
+        });
+
+        test('should sort by calendar date with invalid dates last', () => {
+            const dates = ['2025-06-02', 'bad', '2025-05-31T23:00:00-05:00', '2025-06-01'];
+
+            expect([...dates].sort((a, b) => DateUtils.compare(a, b)))
+                .toEqual(['2025-05-31T23:00:00-05:00', '2025-06-01', '2025-06-02', 'bad']);
+        });
+    });
+
+    describe('date key arithmetic', () => {
+        test('should add days, months and years across month and year ends', () => {
+            expect(DateUtils.addDays('2025-12-30', 3)).toBe('2026-01-02');
+            expect(DateUtils.addDays('2025-03-01', -1)).toBe('2025-02-28');
+            expect(DateUtils.addMonths('2025-06-15', -6)).toBe('2024-12-15');
+            expect(DateUtils.addMonths('2025-01-31', 1)).toBe('2025-03-03');
+            expect(DateUtils.addYears('2024-02-29', 1)).toBe('2025-03-01');
+        });
+
+        test('should shift month keys and find the end of a month', () => {
+            expect(DateUtils.shiftMonth('2025-01', -1)).toBe('2024-12');
+            expect(DateUtils.shiftMonth('2025-11', 3)).toBe('2026-02');
+            expect(DateUtils.getMonthEnd('2024-02')).toBe('2024-02-29');
+            expect(DateUtils.getMonthEnd('2025-04')).toBe('2025-04-30');
+        });
+    });
+});
@@ -0,0 +1,142 @@
+/**
+ * Unit tests for ExpirationEngine
+ * Tests point lots and available/expired/expiring-soon balances
+ * @module ExpirationEngineTests
+ */
+
+import { ExpirationEngine } from '../src/expirationEngine.js';
+import { BonusEngine } from '../src/bonusEngine.js';
+import { RewardCalculator } from '../src/rewardCalculator.js';
+import { CONSTANTS } from '../src/constants.js';
+
+// Mock logger to avoid console output during tests
+jest.mock('../src/logger.js', () => ({
+    default: {
+        info: jest.fn(),
+        error: jest.fn(),
+        warn: jest.fn(),
+        debug: jest.fn()
+    }
+}));
+
+describe('ExpirationEngine', () => {
+    const history = [
+        { transactionId: 'T1', date: '2024-03-10', points: 100 }, // expired on 2025-03-10
+        { transactionId: 'T2', date: '2024-06-20', points: 40 },  // expires 2025-06-20
+        { transactionId: 'T3', date: '2025-01-05', points: 25 },  // expires 2026-01-05
+        { transactionId: 'T4', date: '2025-02-01', points: 0 }    // no points, no lot
+    ];
+
+    describe('getExpiryDate', () => {
+        test('should expire points 12 months after they were earned', () => {
+            expect(ExpirationEngine.getExpiryDate('2024-06-20')).toBe('2025-06-20');
+            expect(ExpirationEngine.getExpiryDate('2024-12-31')).toBe('2025-12-31');
+        });
+    });
+
+    describe('getPointLots', () => {
+        test('should create one lot per earning transaction, oldest first', () => {
+            const lots = ExpirationEngine.getPointLots([...history].reverse());
+
+            expect(lots.map(lot => lot.transactionId)).toEqual(['T1', 'T2', 'T3']);
+            expect(lots[0]).toEqual({
+                transactionId: 'T1',
+                earnedDate: '2024-03-10',
+                expiryDate: '2025-03-10',
+                grossPoints: 100,
+                refunds: [],
+                points: 100
+            });
+        });
+
+        test('should reduce the original lot by points reversed in refunds', () => {
+            const lots = ExpirationEngine.getPointLots([
+                ...history,
+                { transactionId: 'R1', date: '2024-07-01', points: -30, type: 'refund', originalTransactionId: 'T1' }
+            ]);
+
+            expect(lots[0].grossPoints).toBe(100);
+            expect(lots[0].points).toBe(70);
+            expect(lots[0].refunds).toEqual([{ transactionId: 'R1', date: '2024-07-01', points: 30 }]);
+        });
+
+        test('should throw error for invalid input', () => {
+            expect(() => ExpirationEngine.getPointLots(null)).toThrow('Transactions must be an array');
+        });
+    });
+
+    describe('calculateBalances', () => {
+        test('should split points into available, expired and expiring soon', () => {
+            const balances = ExpirationEngine.calculateBalances(history, '2025-06-01');
+
+            expect(balances).toEqual({
+                totalPoints: 165,
+                availablePoints: 65,
+                expiredPoints: 100,
+                expiringSoonPoints: 40
+            });
+        });
+
+        test('should treat points as expired on their expiry date', () => {
+            const balances = ExpirationEngine.calculateBalances(history, '2025-06-20');
+
+            expect(balances.expiredPoints).toBe(140);
+            expect(balances.availablePoints).toBe(25);
+            expect(balances.expiringSoonPoints).toBe(0);
+        });
+
+        describe('tenure bonuses', () => {
+            const customer = { customerId: 'CUST001', joinDate: '2021-03-01' };
+            const purchase = { transactionId: 'T1', customerId: 'CUST001', amount: 120, date: '2025-03-15' }; // 90 points + 9 tenure
+            let originalLifecycle;
+
+            const score = (refundAmount) => {
+                const transactions = [
+                    purchase,
+                    { transactionId: 'R1', customerId: 'CUST001', amount: refundAmount, date: '2025-03-20', type: 'refund', originalTransactionId: 'T1' }
+                ];
+                return RewardCalculator.calculatePointsWithDetails([
+                    ...transactions,
+                    ...BonusEngine.generateBonuses(customer, transactions, '2025-04-01')
+                ]);
+            };
+
+            beforeEach(() => {
+                originalLifecycle = CONSTANTS.REWARDS.LIFECYCLE;
+                CONSTANTS.REWARDS.LIFECYCLE = { WELCOME: null, ANNIVERSARY: null, TENURE: { YEARS: 3, MULTIPLIER: 1.1 } };
+            });
+
+            afterEach(() => {
+                CONSTANTS.REWARDS.LIFECYCLE = originalLifecycle;
+            });
+
+            test('should reverse the tenure bonus lot with its refunded purchase', () => {
+                const history = score(-120);
+
+                expect(history.map(t => [t.transactionId, t.points])).toEqual([['T1', 90], ['R1', -99], ['BONUS-TENURE-T1', 9]]);
+                expect(ExpirationEngine.calculateBalances(history, '2025-04-01')).toEqual({
+                    totalPoints: 0,
+                    availablePoints: 0,
+                    expiredPoints: 0,
+                    expiringSoonPoints: 0
+                });
+            });
+
+            test('should keep the tenure bonus lot for a partial refund the purchase lot covers', () => {
+                const lots = ExpirationEngine.getPointLots(score(-60));
+
+                expect(lots.map(lot => [lot.transactionId, lot.points])).toEqual([['T1', 40], ['BONUS-TENURE-T1', 9]]);
+                expect(ExpirationEngine.calculateBalances(score(-60), '2025-04-01').availablePoints).toBe(49);
+            });
+        });
+
+        test('should return zero balances for empty history', () => {
+            expect(ExpirationEngine.calculateBalances([], '2025-06-01')).toEqual({
+                totalPoints: 0,
+                availablePoints: 0,
+                expiredPoints: 0,
+                expiringSoonPoints: 0
+            });
+        });
+    });
+});
@@ -0,0 +1,94 @@
+/**
+ * Unit tests for IntegrityChecker
+ * Tests orphan, duplicate ID and near-duplicate checks under each policy
+ * @module IntegrityCheckerTests
+ */
+
+import { IntegrityChecker } from '../src/integrityChecker.js';
+import { ValidationReport } from '../src/dataValidator.js';
+
+// Mock logger to avoid console output during tests
+jest.mock('../src/logger.js', () => ({
+    default: {
+        info: jest.fn(),
+        error: jest.fn(),
+        warn: jest.fn(),
+        debug: jest.fn()
+    }
+}));
+
+describe('IntegrityChecker', () => {
+    const customers = [{ customerId: 'CUST001', name: 'John Doe' }];
+    const policies = { ORPHAN_TRANSACTIONS: 'reject', DUPLICATE_IDS: 'reject', NEAR_DUPLICATES: 'keep' };
+    const purchase = { transactionId: 'TXN001', customerId: 'CUST001', amount: 120, date: '2025-01-15' };
+    let report;
+
+    beforeEach(() => {
+        report = new ValidationReport();
+    });
+
+    const getCodes = () => report.getIssues().map(issue => [issue.recordId, issue.severity, issue.reasons[0].code]);
+
+    test('should reject orphan transactions and duplicate IDs by default', () => {
+        const transactions = [
+            purchase,
+            { ...purchase, amount: 80 },
+            { ...purchase, transactionId: 'TXN002', customerId: 'CUST999' }
+        ];
+
+        const result = IntegrityChecker.check(transactions, customers, report, policies);
+
+        expect(result).toEqual([purchase]);
+        expect(getCodes()).toEqual([
+            ['TXN001', 'error', 'DUPLICATE_ID'],
+            ['TXN002', 'error', 'UNKNOWN_CUSTOMER']
+        ]);
+    });
+
+    test('should keep orphans and near-duplicates with warnings under the keep policy', () => {
+        const transactions = [purchase, { ...purchase, transactionId: 'TXN002' }, { ...purchase, transactionId: 'TXN003', customerId: 'CUST999' }];
+
+        const result = IntegrityChecker.check(transactions, customers, report, { ...policies, ORPHAN_TRANSACTIONS: 'keep' });
+
+        expect(result).toHaveLength(3);
+        expect(getCodes()).toEqual([
+            ['TXN002', 'warning', 'NEAR_DUPLICATE'],
+            ['TXN003', 'warning', 'UNKNOWN_CUSTOMER']
+        ]);
+    });
+
+    test('should merge near-duplicates into the first transaction and redirect their refunds', () => {
+        const transactions = [
+            purchase,
+            { ...purchase, transactionId: 'TXN002' },
+            { transactionId: 'TXN003', customerId: 'CUST001', amount: -20, date: '2025-01-20', type: 'refund', originalTransactionId: 'TXN002' }
+        ];
+
+        const result = IntegrityChecker.check(transactions, customers, report, { ...policies, NEAR_DUPLICATES: 'merge' });
+
+        expect(result).toEqual([
+            { ...purchase, mergedTransactionIds: ['TXN002'] },
+            { ...transactions[2], originalTransactionId: 'TXN001' }
+        ]);
+    });
+
+    test('should merge identical duplicate IDs but reject conflicting ones', () => {
+        const transactions = [purchase, { ...purchase }, { ...purchase, amount: 80 }];
+
+        const result = IntegrityChecker.check(transactions, customers, report, { ...policies, DUPLICATE_IDS: 'merge' });
+
+        expect(result).toEqual([purchase]);
+        expect(getCodes()).toEqual([
+            ['TXN001', 'warning', 'DUPLICATE_ID'],
+            ['TXN001', 'error', 'DUPLICATE_ID']
+        ]);
+    });
+
+    test('should skip the orphan check until customers are loaded and reject unknown policies', () => {
+        const orphan = { ...purchase, customerId: 'CUST999' };
+
+        expect(IntegrityChecker.check([orphan], [], report, policies)).toEqual([orphan]);
+        expect(() => IntegrityChecker.check([], customers, report, { ...policies, ORPHAN_TRANSACTIONS: 'merge' }))
+            .toThrow('Invalid ORPHAN_TRANSACTIONS policy: merge (expected reject, keep)');
+    });
+});
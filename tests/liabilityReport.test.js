@@ -0,0 +1,112 @@
+/**
+ * Unit tests for LiabilityReport
+ * Tests monthly issued, redeemed, expired and outstanding points and their valuation
+ * @module LiabilityReportTests
+ */
+
+import { LiabilityReport } from '../src/liabilityReport.js';
+import { CONSTANTS } from '../src/constants.js';
+
+// Mock logger to avoid console output during tests
+jest.mock('../src/logger.js', () => ({
+    default: {
+        info: jest.fn(),
+        error: jest.fn(),
+        warn: jest.fn(),
+        debug: jest.fn()
+    }
+}));
+
+describe('LiabilityReport', () => {
+    const customerHistories = [
+        {
+            customer: { customerId: 'CUST001' },
+            transactions: [
+                { transactionId: 'T1', customerId: 'CUST001', amount: 120, date: '2024-01-10' }, // 90 points, expire 2025-01-10
+                { transactionId: 'T2', customerId: 'CUST001', amount: 200, date: '2024-06-05' }  // 250 points
+            ],
+            redemptions: [{ redemptionId: 'RED1', customerId: 'CUST001', points: 40, date: '2024-06-20' }]
+        },
+        {
+            customer: { customerId: 'CUST002' },
+            transactions: [
+                { transactionId: 'T3', customerId: 'CUST002', amount: 150, date: '2024-06-15' }, // 150 points
+                { transactionId: 'R1', customerId: 'CUST002', amount: -75, date: '2024-07-01', type: 'refund', originalTransactionId: 'T3' }
+            ],
+            redemptions: []
+        }
+    ];
+
+    let originalStatus;
+
+    beforeEach(() => {
+        originalStatus = CONSTANTS.REWARDS.STATUS;
+        CONSTANTS.REWARDS.STATUS = { ...originalStatus, LEVELS: [{ id: 'member', name: 'Member', threshold: 0, multiplier: 1 }] };
+    });
+
+    afterEach(() => {
+        CONSTANTS.REWARDS.STATUS = originalStatus;
+    });
+
+    test('should aggregate points per month across customers', () => {
+        const report = LiabilityReport.buildReport(customerHistories, '2025-02-01', 1);
+
+        expect(report.rows.map(row => [row.monthYear, row.issuedPoints, row.redeemedPoints, row.expiredPoints, row.outstandingPoints])).toEqual([
+            ['2024-01', 90, 0, 0, 90],
+            ['2024-06', 400, 40, 0, 450],
+            ['2024-07', -75, 0, 0, 375],
+            ['2025-01', 0, 0, 50, 325]
+        ]);
+        expect(report.totals).toMatchObject({ issuedPoints: 415, redeemedPoints: 40, expiredPoints: 50, outstandingPoints: 325 });
+    });
+
+    test('should value points at the cents-per-point valuation', () => {
+        const report = LiabilityReport.buildReport(customerHistories, '2025-02-01', 1.5);
+
+        expect(report.rows[1]).toMatchObject({ issuedValue: 6, redeemedValue: 0.6, outstandingValue: 6.75 });
+        expect(report.totals.outstandingValue).toBe(4.88);
+    });
+
+    test('should export the report as CSV with a totals row', () => {
+        const csv = LiabilityReport.toCSV(LiabilityReport.buildReport(customerHistories, '2024-06-30', 1));
+
+        expect(csv.split('\n')).toEqual([
+            'Month,Issued Points,Issued Cost,Redeemed Points,Redeemed Value,Unfunded Points,Expired Points,Expired Value,Outstanding Points,Outstanding Liability',
+            '2024-01,90,0.90,0,0.00,0,0,0.00,90,0.90',
+            '2024-06,400,4.00,40,0.40,0,0,0.00,450,4.50',
+            'Total,490,4.90,40,0.40,0,0,0.00,450,4.50'
+        ]);
+    });
+
+    test('should cut off issued points on the report date like redemptions', () => {
+        const report = LiabilityReport.buildReport(customerHistories, '2024-06-10', 1);
+
+        // T3 (June 15) and RED1 (June 20) fall after the report date in the same month
+        expect(report.rows.map(row => [row.monthYear, row.issuedPoints, row.redeemedPoints, row.outstandingPoints])).toEqual([
+            ['2024-01', 90, 0, 90],
+            ['2024-06', 250, 0, 340]
+        ]);
+    });
+
+    test('should report points redeemed beyond the balance as unfunded, not as redeemed', () => {
+        const report = LiabilityReport.buildReport([{
+            customer: { customerId: 'CUST003' },
+            transactions: [{ transactionId: 'T4', customerId: 'CUST003', amount: 120, date: '2024-06-01' }], // 90 points
+            redemptions: [{ redemptionId: 'RED2', customerId: 'CUST003', points: 150, date: '2024-06-20' }]
+        }], '2024-06-30', 1);
+
+        expect(report.rows).toEqual([expect.objectContaining({
+            monthYear: '2024-06',
+            issuedPoints: 90,
+            redeemedPoints: 90,
+            unfundedPoints: 60,
+            outstandingPoints: 0,
+            outstandingValue: 0
+        })]);
+        expect(report.totals.unfundedPoints).toBe(60);
+    });
+
+    test('should throw error for invalid input', () => {
+        expect(() => LiabilityReport.buildReport(null)).toThrow('Customer histories must be an array');
+    });
+});
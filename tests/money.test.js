@@ -0,0 +1,76 @@
+/**
+ * Unit tests for Money
+ * Tests integer-cent conversion and points rounding policies
+ * @module MoneyTests
+ */
+
+import { Money } from '../src/money.js';
+import { CONSTANTS } from '../src/constants.js';
+
+describe('Money', () => {
+    describe('toCents', () => {
+        test('should convert amounts to integer cents without float error', () => {
+            expect(Money.toCents(100.29)).toBe(10029);
+            expect(Money.toCents(75.5)).toBe(7550);
+            expect(Money.toCents(-25.1)).toBe(-2510);
+        });
+
+        test('should throw error for non-numeric amounts', () => {
+            expect(() => Money.toCents(NaN)).toThrow('Invalid money amount: NaN');
+            expect(() => Money.toCents('10')).toThrow('Invalid money amount: 10');
+        });
+    });
+
+    describe('add', () => {
+        test('should add amounts without accumulating drift', () => {
+            expect(0.1 + 0.2).not.toBe(0.3);
+            expect(Money.add(0.1, 0.2)).toBe(0.3);
+            expect(Money.add(120.1, 75.2, -25.3)).toBe(170);
+        });
+    });
+
+    describe('pointsFromCents', () => {
+        test('should calculate whole points exactly for fractional multipliers', () => {
+            // (200 - 100) * 1.15 is 114.99999999999999 in floating point
+            expect(Money.pointsFromCents(10000, 1.15, 'floor')).toBe(115);
+            expect(Money.pointsFromCents(9000, 0.7, 'floor')).toBe(63);
+        });
+
+        test('should apply each rounding policy', () => {
+            expect(Money.pointsFromCents(250, 1, 'floor')).toBe(2);
+            expect(Money.pointsFromCents(250, 1, 'half-up')).toBe(3);
+            expect(Money.pointsFromCents(250, 1, 'half-even')).toBe(2);
+            expect(Money.pointsFromCents(350, 1, 'half-even')).toBe(4);
+            expect(Money.pointsFromCents(251, 1, 'half-even')).toBe(3);
+        });
+
+        test('should use the configured rounding policy by default', () => {
+            const originalPolicy = CONSTANTS.REWARDS.ROUNDING_POLICY;
+            CONSTANTS.REWARDS.ROUNDING_POLICY = 'half-up';
+
+            try {
+                expect(Money.pointsFromCents(150, 1)).toBe(2);
+                CONSTANTS.REWARDS.ROUNDING_POLICY = 'ceiling';
+                expect(() => Money.pointsFromCents(150, 1)).toThrow('Unknown rounding policy: ceiling');
+            } finally {
+                CONSTANTS.REWARDS.ROUNDING_POLICY = originalPolicy;
+            }
+        });
+    });
+
+    describe('valuePoints', () => {
+        test('should value points in whole cents', () => {
+            expect(Money.valuePoints(325, 1.5)).toBe(4.88);
+            expect(Money.valuePoints(-75, 1)).toBe(-0.75);
+            expect(Money.valuePoints(1000, 0.7)).toBe(7);
+        });
+    });
+
+    describe('multiplyPoints', () => {
+        test('should multiply points without float error', () => {
+            expect(Money.multiplyPoints(90, 1.1 - 1, 'floor')).toBe(9);
+            expect(Money.multiplyPoints(45, 0.5, 'half-even')).toBe(22);
+            expect(Money.multiplyPoints(45, 0.5, 'half-up')).toBe(23);
+        });
+    });
+});
@@ -0,0 +1,84 @@
+/**
+ * Unit tests for PersistentCache
+ * Tests IndexedDB storage, versioning and time-to-live of cached data
+ * @module PersistentCacheTests
+ */
+
+import { PersistentCache } from '../src/persistentCache.js';
+
+// Mock logger to avoid console output during tests
+jest.mock('../src/logger.js', () => ({
+    default: {
+        info: jest.fn(),
+        error: jest.fn(),
+        warn: jest.fn(),
+        debug: jest.fn()
+    }
+}));
+
+/**
+ * Create a minimal in-memory IndexedDB factory with a single key-path object store
+ * @returns {Object} IDBFactory-like object
+ */
+const createFakeIndexedDB = () => {
+    const records = new Map();
+    const respond = (result) => {
+        const request = { result };
+        setTimeout(() => request.onsuccess && request.onsuccess());
+        return request;
+    };
+    const store = {
+        get: key => respond(records.get(key)),
+        put: record => respond(records.set(record.key, structuredClone(record)) && record.key),
+        clear: () => respond(records.clear())
+    };
+    const storeNames = new Set();
+    const db = {
+        objectStoreNames: { contains: name => storeNames.has(name) },
+        createObjectStore: name => storeNames.add(name),
+        transaction: () => ({ objectStore: () => store })
+    };
+
+    return {
+        open: jest.fn(() => {
+            const request = { result: db };
+            setTimeout(() => {
+                request.onupgradeneeded();
+                request.onsuccess();
+            });
+            return request;
+        })
+    };
+};
+
+describe('PersistentCache', () => {
+    const options = { dbName: 'test', storeName: 'data', version: 2, ttl: 60 * 60 * 1000 };
+
+    test('should store and read fresh entries', async () => {
+        const cache = new PersistentCache(options, createFakeIndexedDB());
+        const savedAt = new Date('2025-08-01T10:00:00Z');
+
+        await expect(cache.set('customers', [{ customerId: 'CUST001' }], savedAt)).resolves.toBe(true);
+
+        const entry = await cache.get('customers', new Date('2025-08-01T10:30:00Z'));
+        expect(entry).toEqual({ data: [{ customerId: 'CUST001' }], savedAt });
+        await expect(cache.get('transactions')).resolves.toBeNull();
+    });
+
+    test('should not serve entries past their time-to-live or from another version', async () => {
+        const idb = createFakeIndexedDB();
+        const savedAt = new Date('2025-08-01T10:00:00Z');
+        await new PersistentCache(options, idb).set('customers', [], savedAt);
+
+        await expect(new PersistentCache(options, idb).get('customers', new Date('2025-08-01T12:00:00Z'))).resolves.toBeNull();
+        await expect(new PersistentCache({ ...options, version: 3 }, idb).get('customers', savedAt)).resolves.toBeNull();
+    });
+
+    test('should fall back gracefully when IndexedDB is unavailable', async () => {
+        const cache = new PersistentCache(options, undefined);
+
+        expect(cache.isSupported()).toBe(false);
+        await expect(cache.set('customers', [])).resolves.toBe(false);
+        await expect(cache.get('customers')).resolves.toBeNull();
+    });
+});
@@ -0,0 +1,110 @@
+/**
+ * Unit tests for PointsLedger
+ * Tests FIFO redemption, expiration and running balances
+ * @module PointsLedgerTests
+ */
+
+import { PointsLedger } from '../src/pointsLedger.js';
+
+// Mock logger to avoid console output during tests
+jest.mock('../src/logger.js', () => ({
+    default: {
+        info: jest.fn(),
+        error: jest.fn(),
+        warn: jest.fn(),
+        debug: jest.fn()
+    }
+}));
+
+describe('PointsLedger', () => {
+    const history = [
+        { transactionId: 'T1', date: '2024-03-10', points: 100 }, // expires 2025-03-10
+        { transactionId: 'T2', date: '2024-06-20', points: 40 },  // expires 2025-06-20
+        { transactionId: 'T3', date: '2025-01-05', points: 25 }   // expires 2026-01-05
+    ];
+
+    describe('buildLedger - Positive Test Cases', () => {
+        test('should consume oldest points first so newer points survive expiration', () => {
+            const redemptions = [
+                { redemptionId: 'R1', points: 120, date: '2024-07-01', description: 'Gift card' }
+            ];
+
+            const { balances } = PointsLedger.buildLedger(history, redemptions, '2025-06-01');
+
+            // R1 uses all of T1 and 20 of T2; 20 of T2 remain and expire on 2025-06-20
+            expect(balances).toEqual({
+                earnedPoints: 165,
+                reversedPoints: 0,
+                redeemedPoints: 120,
+                unfundedPoints: 0,
+                expiredPoints: 0,
+                availablePoints: 45,
+                expiringSoonPoints: 20
+            });
+        });
+
+        test('should produce chronological entries with running balance', () => {
+            const redemptions = [
+                { redemptionId: 'R1', points: 30, date: '2024-07-01' }
+            ];
+
+            const { entries } = PointsLedger.buildLedger(history, redemptions, '2025-07-01');
+
+            expect(entries.map(entry => [entry.entryType, entry.date, entry.points, entry.balance])).toEqual([
+                ['earn', '2024-03-10', 100, 100],
+                ['earn', '2024-06-20', 40, 140],
+                ['redeem', '2024-07-01', -30, 110],
+                ['earn', '2025-01-05', 25, 135],
+                ['expire', '2025-03-10', -70, 65],
+                ['expire', '2025-06-20', -40, 25]
+            ]);
+        });
+
+        test('should reverse refunded points from the original purchase first', () => {
+            const withRefund = [
+                ...history,
+                { transactionId: 'R1', date: '2024-08-01', points: -40, type: 'refund', originalTransactionId: 'T2' }
+            ];
+
+            const { entries, balances } = PointsLedger.buildLedger(withRefund, [], '2025-03-01');
+
+            expect(entries.find(entry => entry.entryType === 'refund')).toMatchObject({
+                date: '2024-08-01',
+                referenceId: 'R1',
+                points: -40,
+                balance: 100,
+                unfundedPoints: 0
+            });
+            expect(balances.reversedPoints).toBe(40);
+            expect(balances.availablePoints).toBe(125);
+        });
+
+        test('should calculate balance as earned minus redeemed minus expired', () => {
+            const { balances } = PointsLedger.buildLedger(history, [], '2025-07-01');
+
+            expect(balances.availablePoints)
+                .toBe(balances.earnedPoints - balances.redeemedPoints - balances.expiredPoints);
+            expect(balances.expiredPoints).toBe(140);
+        });
+    });
+
+    describe('buildLedger - Negative Test Cases', () => {
+        test('should record unfunded points when redeeming more than available', () => {
+            const redemptions = [
+                { redemptionId: 'R1', points: 200, date: '2024-07-01' }
+            ];
+
+            const { entries, balances } = PointsLedger.buildLedger(history, redemptions, '2024-08-01');
+            const redeemEntry = entries.find(entry => entry.entryType === 'redeem');
+
+            expect(redeemEntry.unfundedPoints).toBe(60);
+            expect(balances.availablePoints).toBe(-60);
+            expect(balances.redeemedPoints).toBe(140);
+            expect(balances.unfundedPoints).toBe(60);
+        });
+
+        test('should throw error for invalid redemptions', () => {
+            expect(() => PointsLedger.buildLedger(history, null)).toThrow('Redemptions must be an array');
+        });
+    });
+});
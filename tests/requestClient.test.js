@@ -0,0 +1,110 @@
+/**
+ * Unit tests for RequestClient
+ * Tests retries with exponential backoff, timeouts and retryable error classification
+ * @module RequestClientTests
+ */
+
+import { RequestClient, RequestError } from '../src/requestClient.js';
+
+// Mock logger to avoid console output during tests
+jest.mock('../src/logger.js', () => ({
+    default: {
+        info: jest.fn(),
+        error: jest.fn(),
+        warn: jest.fn(),
+        debug: jest.fn()
+    }
+}));
+
+// Mock fetch globally
+global.fetch = jest.fn();
+
+describe('RequestClient', () => {
+    const createClient = (options = {}) => new RequestClient({ retryAttempts: 2, retryBaseDelay: 0, ...options });
+
+    beforeEach(() => {
+        fetch.mockReset();
+    });
+
+    describe('fetchJson', () => {
+        test('should retry server errors until the request succeeds', async () => {
+            fetch
+                .mockResolvedValueOnce({ ok: false, status: 503 })
+                .mockResolvedValueOnce({ ok: true, json: jest.fn().mockResolvedValueOnce([{ customerId: 'CUST001' }]) });
+
+            const data = await createClient().fetchJson('public/data/customers.json');
+
+            expect(fetch).toHaveBeenCalledTimes(2);
+            expect(data).toEqual([{ customerId: 'CUST001' }]);
+        });
+
+        test('should retry network errors and give up after the configured retries', async () => {
+            fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+
+            const error = await createClient().fetchJson('public/data/customers.json').catch(e => e);
+
+            expect(fetch).toHaveBeenCalledTimes(3);
+            expect(error).toBeInstanceOf(RequestError);
+            expect(error).toMatchObject({ message: 'Failed to fetch', retryable: true, attempts: 3 });
+        });
+
+        test('should not retry client errors or invalid JSON', async () => {
+            fetch.mockResolvedValueOnce({ ok: false, status: 404 });
+
+            await expect(createClient().fetchJson('missing.json')).rejects.toMatchObject({
+                message: 'HTTP error! status: 404',
+                retryable: false,
+                status: 404,
+                attempts: 1
+            });
+
+            fetch.mockResolvedValueOnce({ ok: true, status: 200, json: jest.fn().mockRejectedValueOnce(new SyntaxError('Unexpected token')) });
+
+            await expect(createClient().fetchJson('broken.json')).rejects.toMatchObject({ message: 'Unexpected token', retryable: false });
+            expect(fetch).toHaveBeenCalledTimes(2);
+        });
+
+        test('should abort requests that exceed the timeout', async () => {
+            fetch.mockImplementation((url, options) => new Promise((resolve, reject) => {
+                options.signal.addEventListener('abort', () => {
+                    reject(Object.assign(new Error('The operation was aborted'), { name: 'AbortError' }));
+                });
+            }));
+
+            await expect(createClient({ retryAttempts: 1, timeout: 10 }).fetchJson('slow.json')).rejects.toMatchObject({
+                message: 'Request timed out after 10ms',
+                retryable: true,
+                attempts: 2
+            });
+        });
+    });
+
+    describe('getRetryDelay', () => {
+        test('should double the delay on every retry, with jitter and a maximum', () => {
+            const client = new RequestClient({ retryBaseDelay: 100, retryMaxDelay: 300 });
+
+            for (let i = 0; i < 20; i++) {
+                const first = client.getRetryDelay(1);
+                const second = client.getRetryDelay(2);
+                const capped = client.getRetryDelay(5);
+
+                expect(first).toBeGreaterThanOrEqual(50);
+                expect(first).toBeLessThanOrEqual(100);
+                expect(second).toBeGreaterThanOrEqual(100);
+                expect(second).toBeLessThanOrEqual(200);
+                expect(capped).toBeGreaterThanOrEqual(150);
+                expect(capped).toBeLessThanOrEqual(300);
+            }
+        });
+    });
+
+    describe('isRetryable', () => {
+        test('should follow the cause chain of wrapped errors', () => {
+            const requestError = new RequestError('HTTP error! status: 502', { retryable: true, status: 502 });
+            const wrapped = new Error('Failed to load customers data: HTTP error! status: 502', { cause: requestError });
+
+            expect(RequestClient.isRetryable(wrapped)).toBe(true);
+            expect(RequestClient.isRetryable(new Error('Invalid customers data format'))).toBe(false);
+        });
+    });
+});
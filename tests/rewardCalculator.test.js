@@ -5,6 +5,10 @@
  */
 
 import { RewardCalculator } from '../src/rewardCalculator.js';
+import { RewardRules } from '../src/rewardRules.js';
+import { CampaignEngine } from '../src/campaignEngine.js';
+import { CONSTANTS } from '../src/constants.js';
+import logger from '../src/logger.js';
 
 // Mock logger to avoid console output during tests
 jest.mock('../src/logger.js', () => ({
@@ -152,13 +156,31 @@ describe('RewardCalculator', () => {
             expect(result['2025-01']).toEqual({
                 points: 115,
                 transactionCount: 2,
-                totalAmount: 195
+                totalAmount: 195,
+                campaignPoints: 0,
+                campaigns: {},
+                statusPoints: 0,
+                cappedPoints: 0,
+                refundedPoints: 0,
+                bonusPoints: 0,
+                categories: {
+                    uncategorized: { points: 115, transactionCount: 2, totalAmount: 195 }
+                }
             });
             
             expect(result['2025-02']).toEqual({
                 points: 150,
                 transactionCount: 1,
-                totalAmount: 150
+                totalAmount: 150,
+                campaignPoints: 0,
+                campaigns: {},
+                statusPoints: 0,
+                cappedPoints: 0,
+                refundedPoints: 0,
+                bonusPoints: 0,
+                categories: {
+                    uncategorized: { points: 150, transactionCount: 1, totalAmount: 150 }
+                }
             });
         });
 
@@ -174,11 +196,30 @@ describe('RewardCalculator', () => {
             expect(result['2025-01']).toEqual({
                 points: 90,
                 transactionCount: 1,
-                totalAmount: 120
+                totalAmount: 120,
+                campaignPoints: 0,
+                campaigns: {},
+                statusPoints: 0,
+                cappedPoints: 0,
+                refundedPoints: 0,
+                bonusPoints: 0,
+                categories: {
+                    uncategorized: { points: 90, transactionCount: 1, totalAmount: 120 }
+                }
             });
             
             expect(Object.keys(result)).toHaveLength(1);
         });
+
+        test('should total amounts in cents without float drift', () => {
+            const result = RewardCalculator.calculateMonthlyBreakdown([
+                { amount: 60.1, date: '2025-03-01' },
+                { amount: 70.2, date: '2025-03-02' },
+                { amount: 0.3, date: '2025-03-03' }
+            ]);
+
+            expect(result['2025-03'].totalAmount).toBe(130.6);
+        });
     });
 
     describe('calculatePointsWithDetails', () => {
@@ -195,7 +236,14 @@ describe('RewardCalculator', () => {
                 amount: 120,
                 date: '2025-01-15',
                 points: 90,
-                pointsBreakdown: { highTier: 40, lowTier: 50 }
+                pointsBreakdown: {
+                    ruleVersion: 'standard-2021',
+                    tiers: [
+                        { id: 'lowTier', label: '$50-$100', multiplier: 1, amount: 50, points: 50 },
+                        { id: 'highTier', label: '>$100', multiplier: 2, amount: 20, points: 40 }
+                    ],
+                    campaigns: []
+                }
             });
             
             expect(result[1]).toEqual({
@@ -203,7 +251,14 @@ describe('RewardCalculator', () => {
                 amount: 75,
                 date: '2025-01-20',
                 points: 25,
-                pointsBreakdown: { highTier: 0, lowTier: 25 }
+                pointsBreakdown: {
+                    ruleVersion: 'standard-2021',
+                    tiers: [
+                        { id: 'lowTier', label: '$50-$100', multiplier: 1, amount: 25, points: 25 },
+                        { id: 'highTier', label: '>$100', multiplier: 2, amount: 0, points: 0 }
+                    ],
+                    campaigns: []
+                }
             });
         });
 
@@ -219,13 +274,290 @@ describe('RewardCalculator', () => {
                 transactionId: 'T1',
                 amount: 'invalid',
                 points: 0,
-                pointsBreakdown: { highTier: 0, lowTier: 0 }
+                pointsBreakdown: { ruleVersion: null, tiers: [], campaigns: [] }
             });
             
             expect(result[1].points).toBe(25);
         });
     });
 
+    describe('Configurable rule sets', () => {
+        const marketingRuleSet = {
+            id: 'marketing',
+            tiers: [
+                { id: 'bronze', min: 25, max: 50, multiplier: 0.5 },
+                { id: 'silver', min: 50, max: 100, multiplier: 1 },
+                { id: 'gold', min: 100, max: 250, multiplier: 2 },
+                { id: 'platinum', min: 250, max: null, multiplier: 3 }
+            ]
+        };
+
+        test('should calculate points across any number of tiers', () => {
+            // $300 = 0.5x$25 + 1x$50 + 2x$150 + 3x$50 = 12 + 50 + 300 + 150 = 512 points
+            const result = RewardCalculator.calculatePointsForTransaction(300, marketingRuleSet);
+            expect(result).toBe(512);
+        });
+
+        test('should return per-tier points in the breakdown', () => {
+            const result = RewardCalculator.getPointsBreakdown(120, marketingRuleSet);
+            expect(result.tiers.map(tier => [tier.id, tier.label, tier.points])).toEqual([
+                ['bronze', '$25-$50', 12],
+                ['silver', '$50-$100', 50],
+                ['gold', '$100-$250', 40],
+                ['platinum', '>$250', 0]
+            ]);
+        });
+
+        test('should evaluate tiers regardless of definition order', () => {
+            const reversed = { tiers: [...marketingRuleSet.tiers].reverse() };
+            expect(RewardCalculator.calculatePointsForTransaction(300, reversed)).toBe(512);
+        });
+
+        test('should apply injected rule set to totals and monthly breakdown', () => {
+            const transactions = [
+                { amount: 40, date: '2025-03-01' }, // 7 points
+                { amount: 300, date: '2025-03-15' } // 512 points
+            ];
+
+            expect(RewardCalculator.calculateTotalPoints(transactions, marketingRuleSet)).toBe(519);
+            expect(RewardCalculator.calculateMonthlyBreakdown(transactions, marketingRuleSet)['2025-03'].points).toBe(519);
+        });
+
+        test('should reject invalid rule sets', () => {
+            expect(() => RewardRules.validateRuleSet({ tiers: [] }))
+                .toThrow('Rule set must define at least one tier');
+
+            expect(() => RewardRules.validateRuleSet({
+                tiers: [{ id: 'bad', min: 100, max: 50, multiplier: 1 }]
+            })).toThrow('Invalid upper bound for tier bad: 50');
+
+            expect(() => RewardRules.validateRuleSet({
+                tiers: [
+                    { id: 'a', min: 0, max: 100, multiplier: 1 },
+                    { id: 'b', min: 50, max: null, multiplier: 2 }
+                ]
+            })).toThrow('Tier b overlaps tier a');
+
+            expect(RewardRules.validateRuleSet(marketingRuleSet)).toBe(true);
+        });
+    });
+
+    describe('Effective-dated rule versions', () => {
+        const tiers = (highMultiplier) => [
+            { id: 'lowTier', min: 50, max: 100, multiplier: 1 },
+            { id: 'highTier', min: 100, max: null, multiplier: highMultiplier }
+        ];
+        const ruleVersions = [
+            { id: 'v1', effectiveFrom: '2024-01-01', effectiveTo: '2024-12-31', tiers: tiers(2) },
+            { id: 'v2', effectiveFrom: '2025-01-01', effectiveTo: null, tiers: tiers(3) }
+        ];
+        let originalVersions;
+
+        beforeEach(() => {
+            originalVersions = CONSTANTS.REWARDS.RULE_VERSIONS;
+            CONSTANTS.REWARDS.RULE_VERSIONS = ruleVersions;
+        });
+
+        afterEach(() => {
+            CONSTANTS.REWARDS.RULE_VERSIONS = originalVersions;
+        });
+
+        test('should find the rule version in force on a date', () => {
+            expect(RewardRules.getRuleSetForDate('2024-12-31').id).toBe('v1');
+            expect(RewardRules.getRuleSetForDate('2025-01-01').id).toBe('v2');
+            expect(RewardRules.getRuleSetForDate('2023-06-01')).toBeNull();
+        });
+
+        test('should score each transaction with the rules in force on its date', () => {
+            const transactions = [
+                { transactionId: 'T1', amount: 120, date: '2024-12-15' }, // 2x$20 + 1x$50 = 90
+                { transactionId: 'T2', amount: 120, date: '2025-01-15' }  // 3x$20 + 1x$50 = 110
+            ];
+
+            const result = RewardCalculator.calculatePointsWithDetails(transactions);
+            expect(result.map(t => [t.points, t.pointsBreakdown.ruleVersion])).toEqual([
+                [90, 'v1'],
+                [110, 'v2']
+            ]);
+
+            const monthly = RewardCalculator.calculateMonthlyBreakdown(transactions);
+            expect(monthly['2024-12'].points).toBe(90);
+            expect(monthly['2025-01'].points).toBe(110);
+        });
+
+        test('should not award points for dates no rule version covers', () => {
+            const result = RewardCalculator.calculatePointsWithDetails([
+                { transactionId: 'T1', amount: 120, date: '2023-06-01' }
+            ]);
+            expect(result[0].points).toBe(0);
+        });
+
+        test('should reject overlapping rule versions', () => {
+            expect(RewardRules.validateRuleVersions(ruleVersions)).toBe(true);
+            expect(() => RewardRules.validateRuleVersions([
+                { ...ruleVersions[0], effectiveTo: null },
+                ruleVersions[1]
+            ])).toThrow('Rule version v2 overlaps rule version v1');
+        });
+
+        test('should validate the configured rule versions when they are read', () => {
+            expect(RewardRules.getRuleVersions()).toBe(ruleVersions);
+            expect(() => RewardRules.validateRuleVersions(CONSTANTS.REWARDS.RULE_VERSIONS)).not.toThrow();
+
+            CONSTANTS.REWARDS.RULE_VERSIONS = [{ ...ruleVersions[0], effectiveTo: null }, ruleVersions[1]];
+
+            expect(() => RewardRules.getRuleVersions())
+                .toThrow('Invalid reward rule configuration: Rule version v2 overlaps rule version v1');
+            expect(() => RewardRules.getRuleSetForDate('2025-01-01')).toThrow('Invalid reward rule configuration');
+        });
+    });
+
+    describe('Promotional campaigns', () => {
+        const campaigns = [
+            { id: 'dec-double', name: 'Holiday Double Points', type: 'multiplier', startDate: '2024-12-01', endDate: '2024-12-07', multiplier: 2 },
+            { id: 'july-bonus', name: 'July Big Spender', type: 'bonus', startDate: '2025-07-01', endDate: '2025-07-31', minAmount: 200, bonusPoints: 50 }
+        ];
+        let originalCampaigns;
+
+        beforeEach(() => {
+            originalCampaigns = CONSTANTS.REWARDS.CAMPAIGNS;
+            CONSTANTS.REWARDS.CAMPAIGNS = campaigns;
+        });
+
+        afterEach(() => {
+            CONSTANTS.REWARDS.CAMPAIGNS = originalCampaigns;
+        });
+
+        test('should double points inside the campaign window only', () => {
+            const result = RewardCalculator.calculatePointsWithDetails([
+                { transactionId: 'T1', amount: 120, date: '2024-12-07' },
+                { transactionId: 'T2', amount: 120, date: '2024-12-08' }
+            ]);
+
+            expect(result[0].points).toBe(180);
+            expect(result[0].pointsBreakdown.campaigns).toEqual([
+                { id: 'dec-double', name: 'Holiday Double Points', type: 'multiplier', points: 90 }
+            ]);
+            expect(result[1].points).toBe(90);
+            expect(result[1].pointsBreakdown.campaigns).toEqual([]);
+        });
+
+        test('should add flat bonus only for qualifying amounts', () => {
+            const result = RewardCalculator.calculatePointsWithDetails([
+                { transactionId: 'T1', amount: 250, date: '2025-07-10' }, // 350 + 50
+                { transactionId: 'T2', amount: 150, date: '2025-07-10' }  // 150
+            ]);
+
+            expect(result.map(t => t.points)).toEqual([400, 150]);
+        });
+
+        test('should record campaign contributions in the monthly breakdown', () => {
+            const result = RewardCalculator.calculateMonthlyBreakdown([
+                { amount: 250, date: '2025-07-10' },
+                { amount: 300, date: '2025-07-20' }
+            ]);
+
+            expect(result['2025-07'].campaignPoints).toBe(100);
+            expect(result['2025-07'].campaigns).toEqual({
+                'july-bonus': { name: 'July Big Spender', points: 100 }
+            });
+            expect(result['2025-07'].points).toBe(350 + 450 + 100);
+        });
+
+        test('should reject invalid campaigns', () => {
+            expect(CampaignEngine.validateCampaign(campaigns[0])).toBe(true);
+            expect(() => CampaignEngine.validateCampaign({ ...campaigns[0], multiplier: 0.5 }))
+                .toThrow('Invalid multiplier for campaign dec-double: 0.5');
+            expect(() => CampaignEngine.validateCampaign({ ...campaigns[1], endDate: '2025-06-01' }))
+                .toThrow('Invalid endDate for campaign july-bonus: 2025-06-01');
+        });
+
+        test('should skip invalid configured campaigns with a logged error', () => {
+            CONSTANTS.REWARDS.CAMPAIGNS = [{ ...campaigns[0], multiplier: 0.5 }, campaigns[1]];
+
+            expect(CampaignEngine.getCampaigns()).toEqual([campaigns[1]]);
+            expect(logger.error).toHaveBeenCalledWith(
+                'Skipping invalid campaign: Invalid multiplier for campaign dec-double: 0.5',
+                CONSTANTS.REWARDS.CAMPAIGNS[0]
+            );
+
+            const result = RewardCalculator.calculatePointsWithDetails([
+                { transactionId: 'T1', amount: 120, date: '2024-12-05' }
+            ]);
+            expect(result[0].points).toBe(90);
+        });
+    });
+
+    describe('Refunds', () => {
+        const purchase = { transactionId: 'T1', amount: 120, date: '2025-01-15' }; // 90 points
+
+        test('should reverse all points for a full refund', () => {
+            const result = RewardCalculator.calculatePointsWithDetails([
+                purchase,
+                { transactionId: 'R1', amount: -120, date: '2025-01-20', type: 'refund', originalTransactionId: 'T1' }
+            ]);
+
+            expect(result[1].points).toBe(-90);
+            expect(result[1].pointsBreakdown.refund).toEqual({
+                originalTransactionId: 'T1',
+                originalPoints: 90,
+                refundRatio: 1,
+                reversedPoints: 90
+            });
+        });
+
+        test('should reverse points pro-rata for a partial refund', () => {
+            const result = RewardCalculator.calculatePointsWithDetails([
+                { transactionId: 'R1', amount: -30, date: '2025-02-01', type: 'refund', originalTransactionId: 'T1' },
+                purchase
+            ]);
+
+            // Refund is listed first but scored after the purchase it references
+            expect(result[0].points).toBe(-23); // round(90 * 30/120)
+            expect(result[1].points).toBe(90);
+        });
+
+        test('should score a same-day refund listed before its purchase after the purchase', () => {
+            const result = RewardCalculator.calculatePointsWithDetails([
+                { transactionId: 'R1', amount: -50, date: '2025-03-10', type: 'refund', originalTransactionId: 'A' },
+                { transactionId: 'A', amount: 150, date: '2025-03-10' } // 150 points
+            ]);
+
+            expect(result[1].points).toBe(150);
+            expect(result[0].points).toBe(-50); // round(150 * 50/150)
+        });
+
+        test('should never reverse more points than the purchase earned', () => {
+            const total = RewardCalculator.calculateTotalPoints([
+                purchase,
+                { transactionId: 'R1', amount: -100, date: '2025-01-20', type: 'refund', originalTransactionId: 'T1' },
+                { transactionId: 'R2', amount: -100, date: '2025-01-21', type: 'refund', originalTransactionId: 'T1' }
+            ]);
+
+            expect(total).toBe(0);
+        });
+
+        test('should net refunds in the monthly breakdown', () => {
+            const result = RewardCalculator.calculateMonthlyBreakdown([
+                purchase,
+                { transactionId: 'R1', amount: -60, date: '2025-02-03', type: 'refund', originalTransactionId: 'T1' }
+            ]);
+
+            expect(result['2025-01'].points).toBe(90);
+            expect(result['2025-02'].points).toBe(-45);
+            expect(result['2025-02'].refundedPoints).toBe(45);
+            expect(result['2025-02'].totalAmount).toBe(-60);
+        });
+
+        test('should give 0 points to a refund without its original purchase', () => {
+            const result = RewardCalculator.calculatePointsWithDetails([
+                { transactionId: 'R1', amount: -60, date: '2025-02-03', type: 'refund', originalTransactionId: 'T9' }
+            ]);
+
+            expect(result[0].points).toBe(0);
+        });
+    });
+
     describe('getMonthYearDisplay', () => {
         test('should format month-year correctly', () => {
             const result1 = RewardCalculator.getMonthYearDisplay('2025-01');
@@ -258,6 +590,190 @@ describe('RewardCalculator', () => {
         });
     });
 
+    describe('Category multipliers', () => {
+        test('should multiply base points by the category multiplier', () => {
+            const result = RewardCalculator.calculatePointsWithDetails([
+                { transactionId: 'T1', amount: 120, date: '2025-01-15', category: 'dining' },    // 90 x 3
+                { transactionId: 'T2', amount: 120, date: '2025-01-16', category: 'groceries' }, // 90 x 1
+                { transactionId: 'T3', amount: 120, date: '2025-01-17', category: 'hardware' }   // unknown, 90 x 1
+            ]);
+
+            expect(result.map(t => t.points)).toEqual([270, 90, 90]);
+            expect(result[0].pointsBreakdown.category).toEqual({ id: 'dining', multiplier: 3, points: 180 });
+            expect(result[1].pointsBreakdown.category).toBeUndefined();
+        });
+
+        test('should use injected category multipliers, including reductions', () => {
+            const result = RewardCalculator.calculatePointsWithDetails([
+                { transactionId: 'T1', amount: 125, date: '2025-01-15', category: 'fuel' } // 100 x 0.5
+            ], null, { categoryMultipliers: { fuel: 0.5 } });
+
+            expect(result[0].points).toBe(50);
+            expect(result[0].pointsBreakdown.category.points).toBe(-50);
+        });
+
+        test('should total points per category in the monthly breakdown', () => {
+            const result = RewardCalculator.calculateMonthlyBreakdown([
+                { transactionId: 'T1', amount: 120, date: '2025-01-15', category: 'dining' },
+                { transactionId: 'T2', amount: 75, date: '2025-01-20' },
+                { transactionId: 'R1', amount: -60, date: '2025-01-25', type: 'refund', originalTransactionId: 'T1', category: 'dining' }
+            ]);
+
+            expect(result['2025-01'].categories).toEqual({
+                dining: { points: 135, transactionCount: 2, totalAmount: 60 },
+                uncategorized: { points: 25, transactionCount: 1, totalAmount: 75 }
+            });
+        });
+    });
+
+    describe('Lifecycle bonus entries', () => {
+        test('should score fixed bonuses and tenure multipliers on the related purchase', () => {
+            const result = RewardCalculator.calculatePointsWithDetails([
+                { transactionId: 'T1', amount: 120, date: '2025-01-15' },
+                { transactionId: 'R1', amount: -120, date: '2025-01-20', type: 'refund', originalTransactionId: 'T1' },
+                { transactionId: 'B1', amount: 0, date: '2025-01-15', type: 'bonus', bonusType: 'welcome', bonusPoints: 500, description: 'Welcome bonus' },
+                { transactionId: 'B2', amount: 0, date: '2025-01-15', type: 'bonus', bonusType: 'tenure', bonusMultiplier: 1.5, relatedTransactionId: 'T1' }
+            ]);
+
+            expect(result.map(t => t.points)).toEqual([90, -135, 500, 45]);
+            expect(result[2].pointsBreakdown.bonus).toEqual({ type: 'welcome', description: 'Welcome bonus' });
+        });
+
+        test('should report bonuses separately from purchases in the monthly breakdown', () => {
+            const result = RewardCalculator.calculateMonthlyBreakdown([
+                { transactionId: 'T1', amount: 120, date: '2025-01-15' },
+                { transactionId: 'B1', amount: 0, date: '2025-01-31', type: 'bonus', bonusType: 'anniversary', bonusPoints: 250 }
+            ]);
+
+            expect(result['2025-01'].points).toBe(340);
+            expect(result['2025-01'].bonusPoints).toBe(250);
+            expect(result['2025-01'].transactionCount).toBe(1);
+        });
+    });
+
+    describe('Points caps', () => {
+        let originalCaps;
+
+        beforeEach(() => {
+            originalCaps = CONSTANTS.REWARDS.CAPS;
+            CONSTANTS.REWARDS.CAPS = { MONTHLY: 500, ANNUAL: 800 };
+        });
+
+        afterEach(() => {
+            CONSTANTS.REWARDS.CAPS = originalCaps;
+        });
+
+        test('should cap later transactions in a month in chronological order', () => {
+            const result = RewardCalculator.calculatePointsWithDetails([
+                { transactionId: 'T2', amount: 250, date: '2025-01-20' }, // 350 points, only 150 left
+                { transactionId: 'T1', amount: 250, date: '2025-01-10' }, // 350 points
+                { transactionId: 'T3', amount: 120, date: '2025-02-01' }  // 90 points, new month
+            ]);
+
+            expect(result.map(t => t.points)).toEqual([150, 350, 90]);
+            expect(result[0].pointsBreakdown.cap).toEqual({
+                uncappedPoints: 350,
+                cappedPoints: 200,
+                limits: [{ period: 'monthly', limit: 500 }]
+            });
+            expect(result[1].pointsBreakdown.cap).toBeUndefined();
+        });
+
+        test('should give refunded points back to the cap so it holds net of refunds', () => {
+            const transactions = [
+                { transactionId: 'T1', amount: 400, date: '2025-01-05' }, // 650 points, capped to 500
+                { transactionId: 'R1', amount: -400, date: '2025-01-06', type: 'refund', originalTransactionId: 'T1' },
+                { transactionId: 'T2', amount: 200, date: '2025-01-20' }, // 250 points
+                { transactionId: 'T3', amount: 300, date: '2025-01-25' }  // 450 points, 250 left
+            ];
+
+            const result = RewardCalculator.calculatePointsWithDetails(transactions);
+            expect(result.map(t => t.points)).toEqual([500, -500, 250, 250]);
+
+            const monthly = RewardCalculator.calculateMonthlyBreakdown(transactions);
+            expect(monthly['2025-01'].points).toBe(500);
+        });
+
+        test('should apply the annual cap across months', () => {
+            const transactions = [
+                { amount: 300, date: '2025-01-10' }, // 450 points
+                { amount: 300, date: '2025-02-10' }, // 450 points, 350 left this year
+                { amount: 300, date: '2025-03-10' }, // nothing left this year
+                { amount: 300, date: '2026-01-10' }  // new year
+            ];
+
+            expect(RewardCalculator.calculateTotalPoints(transactions)).toBe(800 + 450);
+
+            const monthly = RewardCalculator.calculateMonthlyBreakdown(transactions);
+            expect(monthly['2025-02'].points).toBe(350);
+            expect(monthly['2025-02'].cappedPoints).toBe(100);
+            expect(monthly['2025-03'].points).toBe(0);
+            expect(monthly['2025-03'].cappedPoints).toBe(450);
+        });
+
+        test('should explain capped points', () => {
+            const result = RewardCalculator.calculatePointsWithDetails([
+                { transactionId: 'T1', amount: 400, date: '2025-01-10' } // 650 points
+            ]);
+
+            const capStep = RewardCalculator.explainPoints(result[0]).find(step => step.step === 'cap');
+            expect(capStep).toEqual({
+                step: 'cap',
+                description: 'Reached the monthly cap of 500 points: would have earned 650, awarded 500',
+                points: -150
+            });
+        });
+    });
+
+    describe('explainPoints', () => {
+        test('should explain rule version, tiers with rounding and total', () => {
+            const [transaction] = RewardCalculator.calculatePointsWithDetails([
+                { transactionId: 'T1', amount: 125.75, date: '2025-01-15' }
+            ]);
+
+            const steps = RewardCalculator.explainPoints(transaction);
+
+            expect(steps.map(step => step.step)).toEqual(['rule', 'tier', 'tier', 'total']);
+            expect(steps[0].description).toBe('Rule version standard-2021 (Standard Rewards 2021) in force on 2025-01-15');
+            expect(steps[2]).toEqual({
+                step: 'tier',
+                description: '>$100: $25.75 x 2 point(s) per dollar = 51.5, rounded (floor) to 51',
+                points: 51
+            });
+            expect(steps[3]).toEqual({ step: 'total', description: 'Total points', points: 101 });
+        });
+
+        test('should explain status boosts and refunds', () => {
+            const result = RewardCalculator.calculatePointsWithDetails([
+                { transactionId: 'T1', amount: 120, date: '2025-01-15' },
+                { transactionId: 'R1', amount: -60, date: '2025-01-20', type: 'refund', originalTransactionId: 'T1' }
+            ], null, { statusByMonth: { '2025-01': { id: 'gold', name: 'Gold', multiplier: 1.25 } } });
+
+            const purchaseSteps = RewardCalculator.explainPoints(result[0]);
+            expect(purchaseSteps.find(step => step.step === 'status')).toEqual({
+                step: 'status',
+                description: 'Gold status earns 1.25x base points, rounded (floor)',
+                points: 22
+            });
+
+            expect(RewardCalculator.explainPoints(result[1])).toEqual([
+                { step: 'refund', description: 'Refund of $60.00 against T1: 50% of its 112 points reversed', points: -56 },
+                { step: 'total', description: 'Total points', points: -56 }
+            ]);
+        });
+
+        test('should explain transactions that could not be scored', () => {
+            const steps = RewardCalculator.explainPoints({
+                transactionId: 'T1',
+                points: 0,
+                pointsBreakdown: { ruleVersion: null, tiers: [], campaigns: [] }
+            });
+
+            expect(steps[0].description).toBe('No reward rules applied: the transaction could not be scored');
+            expect(steps[1].points).toBe(0);
+        });
+    });
+
     describe('Edge Cases and Boundary Testing', () => {
         test('should handle zero amount', () => {
             const result = RewardCalculator.calculatePointsForTransaction(0);
@@ -0,0 +1,122 @@
+/**
+ * Unit tests for RewardSimulator
+ * Tests current versus proposed points and values with an injected rule set
+ * @module RewardSimulatorTests
+ */
+
+import { RewardSimulator } from '../src/rewardSimulator.js';
+import { CONSTANTS } from '../src/constants.js';
+
+// Mock logger to avoid console output during tests
+jest.mock('../src/logger.js', () => ({
+    default: {
+        info: jest.fn(),
+        error: jest.fn(),
+        warn: jest.fn(),
+        debug: jest.fn()
+    }
+}));
+
+describe('RewardSimulator', () => {
+    const customerHistories = [
+        {
+            customer: { customerId: 'CUST001', name: 'John Doe' },
+            transactions: [{ transactionId: 'T1', customerId: 'CUST001', amount: 120, date: '2025-07-01' }]
+        },
+        {
+            customer: { customerId: 'CUST002', name: 'Jane Smith' },
+            transactions: [{ transactionId: 'T2', customerId: 'CUST002', amount: 40, date: '2025-07-02' }]
+        }
+    ];
+
+    const proposedRuleSet = {
+        id: 'proposed',
+        tiers: [{ id: 'flat', min: 0, max: null, multiplier: 1 }]
+    };
+
+    test('should compare current and proposed points per customer', () => {
+        const result = RewardSimulator.simulate(customerHistories, proposedRuleSet);
+
+        expect(result.customers).toEqual([
+            {
+                customerId: 'CUST001', name: 'John Doe', currentPoints: 90, proposedPoints: 120, delta: 30,
+                currentValue: 0.9, proposedValue: 1.2, deltaValue: 0.3
+            },
+            {
+                customerId: 'CUST002', name: 'Jane Smith', currentPoints: 0, proposedPoints: 40, delta: 40,
+                currentValue: 0, proposedValue: 0.4, deltaValue: 0.4
+            }
+        ]);
+        expect(result.totals).toEqual({
+            currentPoints: 90, proposedPoints: 160, delta: 70,
+            currentValue: 0.9, proposedValue: 1.6, deltaValue: 0.7
+        });
+    });
+
+    test('should value the liability change with the valuation given', () => {
+        const result = RewardSimulator.simulate(customerHistories, proposedRuleSet, 2.5);
+
+        expect(result.centsPerPoint).toBe(2.5);
+        expect(result.totals.deltaValue).toBe(1.75);
+        expect(result.customers[0].proposedValue).toBe(3);
+    });
+
+    test('should count bonus entries on both sides', () => {
+        const withBonus = [{
+            customer: { customerId: 'CUST001', name: 'John Doe' },
+            transactions: [
+                ...customerHistories[0].transactions,
+                { transactionId: 'BONUS-WELCOME-CUST001', customerId: 'CUST001', amount: 0, type: 'bonus', bonusType: 'welcome', bonusPoints: 100, date: '2025-07-01' }
+            ]
+        }];
+
+        const [result] = RewardSimulator.simulate(withBonus, proposedRuleSet).customers;
+
+        expect(result.currentPoints).toBe(190);
+        expect(result.proposedPoints).toBe(220);
+        expect(result.delta).toBe(30);
+    });
+
+    describe('status', () => {
+        let originalStatus;
+
+        beforeEach(() => {
+            originalStatus = CONSTANTS.REWARDS.STATUS;
+            CONSTANTS.REWARDS.STATUS = { ...originalStatus, BASIS: 'points', WINDOW_MONTHS: 12 };
+        });
+
+        afterEach(() => {
+            CONSTANTS.REWARDS.STATUS = originalStatus;
+        });
+
+        test('should qualify status on the proposed side under the proposed rules', () => {
+            const history = [{
+                customer: { customerId: 'CUST001', name: 'John Doe' },
+                transactions: [
+                    { transactionId: 'T1', customerId: 'CUST001', amount: 200, date: '2025-06-10' },
+                    { transactionId: 'T2', customerId: 'CUST001', amount: 100, date: '2025-07-10' }
+                ]
+            }];
+
+            const [result] = RewardSimulator.simulate(history, proposedRuleSet).customers;
+
+            // Current: T1 earns 250 points, Silver in July boosts T2 from 50 to 55
+            expect(result.currentPoints).toBe(305);
+            // Proposed: T1 earns 200 points, short of Silver, so T2 earns 100 unboosted
+            expect(result.proposedPoints).toBe(300);
+        });
+    });
+
+    test('should not change the configured rule versions', () => {
+        const configuredVersions = JSON.stringify(CONSTANTS.REWARDS.RULE_VERSIONS);
+
+        RewardSimulator.simulate(customerHistories, proposedRuleSet);
+
+        expect(JSON.stringify(CONSTANTS.REWARDS.RULE_VERSIONS)).toBe(configuredVersions);
+    });
+
+    test('should throw error for an invalid proposed rule set', () => {
+        expect(() => RewardSimulator.simulate(customerHistories, { tiers: [] })).toThrow('Rule set must define at least one tier');
+        expect(() => RewardSimulator.simulate(null, proposedRuleSet)).toThrow('Customer histories must be an array');
+    });
+});
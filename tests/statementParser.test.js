@@ -0,0 +1,157 @@
+/**
+ * Unit tests for StatementParser
+ * Tests OFX and QIF parsing and mapping statement entries to transactions
+ * @module StatementParserTests
+ */
+
+import { StatementParser } from '../src/statementParser.js';
+
+// Mock logger to avoid console output during tests
+jest.mock('../src/logger.js', () => ({
+    default: {
+        info: jest.fn(),
+        error: jest.fn(),
+        warn: jest.fn(),
+        debug: jest.fn()
+    }
+}));
+
+const SGML_OFX = [
+    'OFXHEADER:100',
+    'DATA:OFXSGML',
+    'VERSION:102',
+    '',
+    '<OFX>',
+    '<CREDITCARDMSGSRSV1><CCSTMTTRNRS><CCSTMTRS>',
+    '<CURDEF>usd',
+    '<CCACCTFROM><ACCTID>4111222233334444</CCACCTFROM>',
+    '<BANKTRANLIST>',
+    '<STMTTRN>',
+    '<TRNTYPE>DEBIT',
+    '<DTPOSTED>20250715120000.000[-5:EST]',
+    '<TRNAMT>-120.50',
+    '<FITID>2025071501',
+    '<NAME>Bella &amp; Co',
+    '</STMTTRN>',
+    '<STMTTRN>',
+    '<TRNTYPE>CREDIT',
+    '<DTPOSTED>20250716',
+    '<TRNAMT>35.00',
+    '<FITID>2025071601',
+    '<NAME>Refund',
+    '</STMTTRN>',
+    '<STMTTRN>',
+    '<TRNTYPE>FEE',
+    '<DTPOSTED>20250717',
+    '<TRNAMT>-2.00',
+    '<FITID>2025071701',
+    '</STMTTRN>',
+    '</BANKTRANLIST>',
+    '</CCSTMTRS></CCSTMTTRNRS></CREDITCARDMSGSRSV1>',
+    '</OFX>'
+].join('\r\n');
+
+const QIF = [
+    '!Type:CCard',
+    'D07/15/2025',
+    'T-1,234.56',
+    'PFresh Mart',
+    '^',
+    "D7/15'25",
+    'T-20.00',
+    'PCorner Cafe',
+    'N1042',
+    '^',
+    'D07/20/25',
+    'T500.00',
+    'PPayment - Thank You',
+    '^'
+].join('\n');
+
+describe('StatementParser', () => {
+    describe('detectFormat', () => {
+        test('should detect OFX and QIF statements', () => {
+            expect(StatementParser.detectFormat(SGML_OFX)).toBe('ofx');
+            expect(StatementParser.detectFormat('<?xml version="1.0"?>\n<?OFX OFXHEADER="200"?>\n<OFX></OFX>')).toBe('ofx');
+            expect(StatementParser.detectFormat(QIF)).toBe('qif');
+            expect(StatementParser.detectFormat('transactionId,amount\nTXN1,10')).toBeNull();
+        });
+    });
+
+    describe('parse', () => {
+        test('should parse SGML OFX entries, account and currency', () => {
+            const statement = StatementParser.parse(SGML_OFX);
+
+            expect(statement.format).toBe('ofx');
+            expect(statement.account).toBe('4111222233334444');
+            expect(statement.currency).toBe('USD');
+            expect(statement.entries).toHaveLength(3);
+            expect(statement.entries[0]).toEqual({
+                id: '2025071501',
+                date: '2025-07-15',
+                amount: -120.5,
+                payee: 'Bella & Co',
+                memo: '',
+                type: 'DEBIT'
+            });
+        });
+
+        test('should parse XML OFX with closed leaf elements', () => {
+            const xml = '<?xml version="1.0"?><?OFX OFXHEADER="200"?><OFX><BANKTRANLIST>' +
+                '<STMTTRN><TRNTYPE>POS</TRNTYPE><DTPOSTED>20250801</DTPOSTED><TRNAMT>-9.99</TRNAMT>' +
+                '<FITID>A1</FITID><NAME>Book Shop</NAME></STMTTRN></BANKTRANLIST></OFX>';
+
+            const [entry] = StatementParser.parse(xml).entries;
+
+            expect(entry).toEqual(expect.objectContaining({ id: 'A1', date: '2025-08-01', amount: -9.99, payee: 'Book Shop' }));
+        });
+
+        test('should parse QIF dates and amounts and generate IDs for entries without a number', () => {
+            const { entries } = StatementParser.parse(QIF);
+
+            expect(entries.map(entry => [entry.id, entry.date, entry.amount])).toEqual([
+                ['2025-07-15-1', '2025-07-15', -1234.56],
+                ['1042', '2025-07-15', -20],
+                ['2025-07-20-1', '2025-07-20', 500]
+            ]);
+        });
+
+        test('should read QIF dates day first when configured', () => {
+            const { entries } = StatementParser.parse('!Type:Bank\nD03/07/2025\nT-5\n^', { qifDateOrder: 'DMY' });
+
+            expect(entries[0].date).toBe('2025-07-03');
+        });
+
+        test('should throw for unrecognized text and statements without entries', () => {
+            expect(() => StatementParser.parse('not a statement')).toThrow('Unrecognized statement format');
+            expect(() => StatementParser.parse('!Type:Bank\n')).toThrow('No transactions found in QIF statement');
+        });
+    });
+
+    describe('toTransactions', () => {
+        test('should import debits as purchases of the customer and skip credits and fees', () => {
+            const result = StatementParser.toTransactions(StatementParser.parse(SGML_OFX), 'CUST001');
+
+            expect(result.skipped).toBe(2);
+            expect(result.transactions).toEqual([{
+                transactionId: 'OFX-CUST001-4111222233334444-2025071501',
+                customerId: 'CUST001',
+                amount: 120.5,
+                date: '2025-07-15',
+                merchant: 'Bella & Co',
+                currency: 'USD'
+            }]);
+        });
+
+        test('should give the same entries the same IDs when a statement is imported again', () => {
+            const statement = StatementParser.parse(QIF);
+
+            const first = StatementParser.toTransactions(statement, 'CUST002').transactions;
+            const second = StatementParser.toTransactions(StatementParser.parse(QIF), 'CUST002').transactions;
+
+            expect(first.map(t => t.transactionId)).toEqual(['QIF-CUST002-2025-07-15-1', 'QIF-CUST002-1042']);
+            expect(second.map(t => t.transactionId)).toEqual(first.map(t => t.transactionId));
+            expect(first[0]).not.toHaveProperty('currency');
+        });
+    });
+});
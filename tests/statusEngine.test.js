@@ -0,0 +1,105 @@
+/**
+ * Unit tests for StatusEngine
+ * Tests status qualification, earn-rate boosts and progress to the next level
+ * @module StatusEngineTests
+ */
+
+import { StatusEngine } from '../src/statusEngine.js';
+import { CONSTANTS } from '../src/constants.js';
+
+// Mock logger to avoid console output during tests
+jest.mock('../src/logger.js', () => ({
+    default: {
+        info: jest.fn(),
+        error: jest.fn(),
+        warn: jest.fn(),
+        debug: jest.fn()
+    }
+}));
+
+describe('StatusEngine', () => {
+    const history = [
+        { transactionId: 'T1', amount: 200, date: '2025-01-10' }, // 250 points
+        { transactionId: 'T2', amount: 120, date: '2025-02-05' }, // 90 points, $320 rolling -> Silver from March
+        { transactionId: 'T3', amount: 120, date: '2025-03-15' }, // 90 points + 10% boost
+        { transactionId: 'T4', amount: 120, date: '2026-03-01' }  // January 2025 has left the window
+    ];
+
+    let originalStatus;
+
+    beforeEach(() => {
+        originalStatus = CONSTANTS.REWARDS.STATUS;
+        CONSTANTS.REWARDS.STATUS = { ...originalStatus, BASIS: 'spend', WINDOW_MONTHS: 12 };
+    });
+
+    afterEach(() => {
+        CONSTANTS.REWARDS.STATUS = originalStatus;
+    });
+
+    describe('getLevelForValue', () => {
+        test('should pick the highest level whose threshold is reached', () => {
+            expect(StatusEngine.getLevelForValue(0).id).toBe('member');
+            expect(StatusEngine.getLevelForValue(250).id).toBe('silver');
+            expect(StatusEngine.getLevelForValue(999.99).id).toBe('gold');
+            expect(StatusEngine.getLevelForValue(5000).id).toBe('platinum');
+        });
+    });
+
+    describe('getStatusByMonth', () => {
+        test('should qualify status on the preceding rolling window only', () => {
+            const statusByMonth = StatusEngine.getStatusByMonth(history);
+
+            expect(statusByMonth['2025-01'].id).toBe('member');
+            expect(statusByMonth['2025-02'].id).toBe('member'); // $200 so far
+            expect(statusByMonth['2025-03'].id).toBe('silver'); // $320 in Jan-Feb
+            expect(statusByMonth['2026-03'].id).toBe('member'); // only $240 in Mar 2025-Feb 2026
+        });
+
+        test('should qualify on points when configured', () => {
+            CONSTANTS.REWARDS.STATUS.BASIS = 'points';
+
+            const statusByMonth = StatusEngine.getStatusByMonth(history);
+
+            expect(statusByMonth['2025-02'].id).toBe('silver'); // 250 points in January
+            expect(statusByMonth['2025-03'].id).toBe('silver'); // 340 points
+        });
+    });
+
+    describe('scoreWithStatus', () => {
+        test('should boost base points of transactions after the promotion', () => {
+            const result = StatusEngine.scoreWithStatus(history);
+
+            expect(result.map(t => t.points)).toEqual([250, 90, 99, 90]);
+            expect(result[2].pointsBreakdown.status).toEqual({
+                id: 'silver',
+                name: 'Silver',
+                multiplier: 1.1,
+                points: 9
+            });
+            expect(result[0].pointsBreakdown.status).toBeUndefined();
+        });
+    });
+
+    describe('getStatusProgress', () => {
+        test('should report current level and remaining spend to the next level', () => {
+            const progress = StatusEngine.getStatusProgress(history, '2025-03-20');
+
+            expect(progress.level.id).toBe('silver');
+            expect(progress.nextLevel.id).toBe('gold');
+            expect(progress.qualifyingValue).toBe(440);
+            expect(progress.remaining).toBe(60);
+            expect(progress.progressPercent).toBe(88);
+        });
+
+        test('should report full progress at the highest level', () => {
+            const progress = StatusEngine.getStatusProgress([
+                { transactionId: 'T1', amount: 1200, date: '2025-01-10' }
+            ], '2025-02-01');
+
+            expect(progress.level.id).toBe('platinum');
+            expect(progress.nextLevel).toBeNull();
+            expect(progress.remaining).toBe(0);
+            expect(progress.progressPercent).toBe(100);
+        });
+    });
+});
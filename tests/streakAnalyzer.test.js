@@ -0,0 +1,68 @@
+/**
+ * Unit tests for StreakAnalyzer
+ * Tests purchase streak detection and monthly frequency counts
+ * @module StreakAnalyzerTests
+ */
+
+import { StreakAnalyzer } from '../src/streakAnalyzer.js';
+
+// Mock logger to avoid console output during tests
+jest.mock('../src/logger.js', () => ({
+    default: {
+        info: jest.fn(),
+        error: jest.fn(),
+        warn: jest.fn(),
+        debug: jest.fn()
+    }
+}));
+
+describe('StreakAnalyzer', () => {
+    const transactions = [
+        { transactionId: 'T1', customerId: 'CUST001', amount: 60, date: '2025-01-10' },
+        { transactionId: 'T2', customerId: 'CUST001', amount: 80, date: '2025-02-05' },
+        { transactionId: 'T3', customerId: 'CUST001', amount: 20, date: '2025-03-05' },  // below minimum, breaks the streak
+        { transactionId: 'T4', customerId: 'CUST001', amount: 90, date: '2025-04-02' },
+        { transactionId: 'T5', customerId: 'CUST001', amount: 70, date: '2025-05-12' },
+        { transactionId: 'T6', customerId: 'CUST001', amount: 55, date: '2025-05-20' },  // fully refunded, does not count
+        { transactionId: 'R1', customerId: 'CUST001', amount: -55, date: '2025-05-21', type: 'refund', originalTransactionId: 'T6' }
+    ];
+
+    test('should count consecutive months with a qualifying purchase', () => {
+        const analysis = StreakAnalyzer.analyze(transactions, '2025-05-31');
+
+        expect(analysis.months).toEqual([
+            { monthYear: '2025-01', transactionCount: 1, streak: 1 },
+            { monthYear: '2025-02', transactionCount: 1, streak: 2 },
+            { monthYear: '2025-04', transactionCount: 1, streak: 1 },
+            { monthYear: '2025-05', transactionCount: 1, streak: 2 }
+        ]);
+        expect(analysis.currentStreak).toBe(2);
+        expect(analysis.longestStreak).toBe(2);
+    });
+
+    test('should not let a refunded purchase keep a streak going', () => {
+        const analysis = StreakAnalyzer.analyze([
+            { transactionId: 'T1', customerId: 'CUST001', amount: 60, date: '2025-01-10' },
+            { transactionId: 'T2', customerId: 'CUST001', amount: 80, date: '2025-02-05' },
+            { transactionId: 'R1', customerId: 'CUST001', amount: -40, date: '2025-02-20', type: 'refund', originalTransactionId: 'T2' },
+            { transactionId: 'T3', customerId: 'CUST001', amount: 70, date: '2025-03-05' }
+        ], '2025-03-31');
+
+        // T2 nets $40 after its refund, below the $50 minimum
+        expect(analysis.months.map(month => [month.monthYear, month.streak])).toEqual([['2025-01', 1], ['2025-03', 1]]);
+        expect(analysis.longestStreak).toBe(1);
+    });
+
+    test('should keep the current streak through the month after the last purchase', () => {
+        expect(StreakAnalyzer.analyze(transactions, '2025-06-15').currentStreak).toBe(2);
+        expect(StreakAnalyzer.analyze(transactions, '2025-07-01').currentStreak).toBe(0);
+    });
+
+    test('should return an empty analysis without purchases', () => {
+        expect(StreakAnalyzer.analyze([], '2025-05-31')).toEqual({ months: [], currentStreak: 0, longestStreak: 0 });
+    });
+
+    test('should throw error for invalid input', () => {
+        expect(() => StreakAnalyzer.analyze(null)).toThrow('Transactions must be an array');
+    });
+});